@@ -1,9 +1,388 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { TrendingUp, DollarSign, BarChart3, Globe, Search, Copy, CheckCircle, AlertCircle, RefreshCw } from 'lucide-react';
+import { TrendingUp, DollarSign, BarChart3, Globe, Search, Copy, CheckCircle, AlertCircle, RefreshCw, Download, Printer, Save, Trash2, History, FolderOpen, RotateCcw, GitCompare, Bell, BellRing, X } from 'lucide-react';
+import { ResponsiveContainer, ComposedChart, LineChart, BarChart, Line, Bar, XAxis, YAxis, Tooltip, Legend, CartesianGrid } from 'recharts';
+import { parseSymbol } from './lib/symbols.js';
+import { MAX_BATCH_SYMBOLS, BATCH_CONCURRENCY, mapWithConcurrency } from './lib/batch.js';
+import { PERFORMANCE_PERIODS } from './lib/performance.js';
+import { rateShare, DEFAULT_THRESHOLDS } from './lib/recommendation.js';
+import { parseHoldings, computePortfolio } from './lib/portfolio.js';
+import { BASE_CURRENCIES, convertAmount } from './lib/fx.js';
+import { buildQuote, buildFundamentals } from './lib/marketData.js';
+import { DEMO_SEED, DEMO_AS_OF, DEMO_PROVIDER, generateDemoSnapshot, generateDemoFundamentals } from './lib/demo.js';
+import { toHistoryRows } from './lib/history.js';
+import { CHART_RANGES, MOVING_AVERAGES, buildPriceSeries, rebaseSeries } from './lib/chartData.js';
+import { parseMarkdown } from './lib/markdown.js';
+import { REPORT_FORMATS, reportFileName, reportToMarkdown, reportToHtml, reportToCsv, reportToJson } from './lib/report.js';
+import { STORAGE_KEYS, loadState, saveState } from './lib/storage.js';
+import { validateWatchlistName, upsertWatchlist, removeWatchlist, sanitizeWatchlists } from './lib/watchlists.js';
+import { createSavedAnalysis, addSavedAnalysis, removeSavedAnalysis, sanitizeSavedAnalyses, diffReports, diffToMarkdown } from './lib/savedAnalyses.js';
+import { ALERT_TYPES, CROSSOVERS, ALERT_POLL_INTERVAL_MS, ALERT_QUOTE_RANGE, ALERT_QUOTE_INTERVAL, createAlertRule, describeAlertRule, evaluateAlerts, alertSymbols, addAlertRule, removeAlertRule, toggleAlertRule, addAlertLogEntries, sanitizeAlertRules, sanitizeAlertLog } from './lib/alerts.js';
+import { LIVE_INTERVALS, DEFAULT_LIVE_SETTINGS, CLOSED_RECHECK_MS, LIVE_FLASH_MS, MARKET_STATE_LABELS, isMarketLive, selectDueSymbols, nextPollDelay, mergeLiveQuotes, clearFlashes } from './lib/liveQuotes.js';
+import { DEFAULT_BENCHMARKS, DEFAULT_BENCHMARK_SETTINGS, MIN_OBSERVATIONS, benchmarkExchangeKey, resolveBenchmark, computeRelativeStats } from './lib/benchmark.js';
+import { DEFAULT_CONFIDENCE, analyseRisk } from './lib/risk.js';
+import { REBALANCE_SCHEDULES, DEFAULT_BACKTEST_OPTIONS, BACKTEST_RANGES, MAX_BACKTEST_SYMBOLS, runBacktest } from './lib/backtest.js';
+
+// Five years of daily bars covers every chart range; ranges are sliced client-side
+const CHART_HISTORY_RANGE = '5y';
+// In-app alert notifications kept on screen at once; older ones are still in the alert log
+const MAX_ALERT_NOTIFICATIONS = 5;
+
+// Market cap size bands in USD for the risk assessment (smallest band last)
+const MARKET_CAP_BANDS = [
+  { min: 10e9, label: 'large cap', risk: 'Low' },
+  { min: 2e9, label: 'mid cap', risk: 'Moderate' },
+  { min: 0, label: 'small cap', risk: 'Elevated' }
+];
+
+const SERIES_COLOURS = ['#34d399', '#60a5fa', '#f472b6', '#fbbf24', '#a78bfa', '#f87171', '#2dd4bf', '#fb923c'];
+const OVERLAY_COLOURS = { sma20: '#fbbf24', sma50: '#60a5fa', sma200: '#f472b6' };
+const AXIS_TICK = { fontSize: 10, fill: '#94a3b8' };
+const TOOLTIP_STYLE = { backgroundColor: '#0f172a', border: '1px solid #334155', fontSize: 12 };
+
+const compactNumber = (value) => {
+  if (value >= 1e12) return `${(value / 1e12).toFixed(2)}T`;
+  if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(0)}K`;
+  return String(value);
+};
+
+const RangeSelector = ({ value, onChange }) => (
+  <div className="flex space-x-1">
+    {CHART_RANGES.map(({ key }) => (
+      <button
+        key={key}
+        type="button"
+        onClick={() => onChange(key)}
+        className={`px-2 py-0.5 text-xs rounded transition-colors ${
+          value === key ? 'bg-green-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+        }`}
+      >
+        {key}
+      </button>
+    ))}
+  </div>
+);
+
+// Close price with rolling 52-week high/low bands, optional moving averages and a volume sub-chart
+const PriceChart = ({ symbol, history, currency }) => {
+  const [range, setRange] = useState('1Y');
+  const [overlays, setOverlays] = useState({ sma20: false, sma50: true, sma200: true });
+  const data = useMemo(() => buildPriceSeries(history && history.rows, range), [history, range]);
+
+  if (!history || history.status === 'loading') {
+    return <div className="my-3 text-xs text-slate-400">Loading price chart for {symbol}...</div>;
+  }
+  if (history.status === 'error' || data.length === 0) {
+    return <div className="my-3 text-xs text-slate-400">Price chart unavailable for {symbol}{history.error ? `: ${history.error}` : ''}</div>;
+  }
+
+  return (
+    <div className="my-4 p-3 bg-slate-800 bg-opacity-40 rounded-lg not-prose">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex items-center space-x-3 text-xs text-slate-300">
+          {MOVING_AVERAGES.map(average => (
+            <label key={average.key} className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={overlays[average.key]}
+                onChange={(e) => setOverlays(prev => ({ ...prev, [average.key]: e.target.checked }))}
+              />
+              <span style={{ color: OVERLAY_COLOURS[average.key] }}>{average.label}</span>
+            </label>
+          ))}
+        </div>
+        <RangeSelector value={range} onChange={setRange} />
+      </div>
+      <ResponsiveContainer width="100%" height={220}>
+        <ComposedChart data={data} syncId={`price-${symbol}`}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="date" tick={AXIS_TICK} minTickGap={40} />
+          <YAxis domain={['auto', 'auto']} tick={AXIS_TICK} width={60} />
+          <Tooltip contentStyle={TOOLTIP_STYLE} />
+          <Legend wrapperStyle={{ fontSize: 11 }} />
+          <Line dataKey="high52" name="52-week high" stroke="#22c55e" strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+          <Line dataKey="low52" name="52-week low" stroke="#ef4444" strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+          {MOVING_AVERAGES.filter(average => overlays[average.key]).map(average => (
+            <Line key={average.key} dataKey={average.key} name={average.label} stroke={OVERLAY_COLOURS[average.key]} dot={false} strokeWidth={1} isAnimationActive={false} />
+          ))}
+          <Line dataKey="close" name={`Close (${currency})`} stroke="#e2e8f0" dot={false} strokeWidth={1.5} isAnimationActive={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+      <ResponsiveContainer width="100%" height={70}>
+        <BarChart data={data} syncId={`price-${symbol}`}>
+          <XAxis dataKey="date" hide />
+          <YAxis tick={AXIS_TICK} width={60} tickFormatter={compactNumber} />
+          <Tooltip contentStyle={TOOLTIP_STYLE} formatter={(value) => [Number(value).toLocaleString(), 'Volume']} />
+          <Bar dataKey="volume" name="Volume" fill="#475569" isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+// Every analysed symbol rebased to 100 at the start of the selected range
+const ComparisonChart = ({ symbols, histories }) => {
+  const [range, setRange] = useState('1Y');
+  const { data, symbols: plotted } = useMemo(() => {
+    const ready = {};
+    symbols.forEach(symbol => {
+      if (histories[symbol] && histories[symbol].status === 'ready') ready[symbol] = histories[symbol].rows;
+    });
+    return rebaseSeries(ready, range);
+  }, [symbols, histories, range]);
+
+  if (plotted.length < 2) return null;
+
+  return (
+    <div className="my-4 p-3 bg-slate-800 bg-opacity-40 rounded-lg not-prose">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-semibold text-white">Relative Performance (rebased to 100)</span>
+        <RangeSelector value={range} onChange={setRange} />
+      </div>
+      <ResponsiveContainer width="100%" height={260}>
+        <LineChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="date" tick={AXIS_TICK} minTickGap={40} />
+          <YAxis domain={['auto', 'auto']} tick={AXIS_TICK} width={50} />
+          <Tooltip contentStyle={TOOLTIP_STYLE} />
+          <Legend wrapperStyle={{ fontSize: 11 }} />
+          {plotted.map((symbol, index) => (
+            <Line key={symbol} dataKey={symbol} stroke={SERIES_COLOURS[index % SERIES_COLOURS.length]} dot={false} connectNulls isAnimationActive={false} />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+// Pairwise return correlations: red where symbols move together, blue where they offset each other
+const CorrelationHeatmap = ({ correlation }) => {
+  if (!correlation || correlation.symbols.length < 2) return null;
+
+  const cellStyle = (value) => {
+    if (typeof value !== 'number') return { backgroundColor: 'rgba(51, 65, 85, 0.4)' };
+    const colour = value >= 0 ? '239, 68, 68' : '59, 130, 246';
+    return { backgroundColor: `rgba(${colour}, ${(0.15 + Math.abs(value) * 0.75).toFixed(2)})` };
+  };
+
+  return (
+    <div className="my-4 p-3 bg-slate-800 bg-opacity-40 rounded-lg overflow-x-auto not-prose">
+      <table className="text-xs border-separate" style={{ borderSpacing: 2 }}>
+        <thead>
+          <tr>
+            <th />
+            {correlation.symbols.map(symbol => (
+              <th key={symbol} className="px-2 py-1 text-slate-300 font-semibold whitespace-nowrap">{symbol}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {correlation.symbols.map((symbol, row) => (
+            <tr key={symbol}>
+              <th className="px-2 py-1 text-right text-slate-300 font-semibold whitespace-nowrap">{symbol}</th>
+              {correlation.matrix[row].map((value, column) => (
+                <td
+                  key={correlation.symbols[column]}
+                  className="w-14 px-2 py-2 text-center text-white rounded"
+                  style={cellStyle(value)}
+                  title={`${symbol} / ${correlation.symbols[column]}`}
+                >
+                  {typeof value === 'number' ? value.toFixed(2) : 'N/A'}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-2 text-xs text-slate-400">Red: move together - blue: tend to offset - pale: largely independent</div>
+    </div>
+  );
+};
+
+// Equity curves (growth of 100) and summary statistics from lib/backtest.js
+const BacktestResults = ({ result }) => {
+  const columns = [
+    ['strategy', 'Strategy', SERIES_COLOURS[0]],
+    ['buyAndHold', 'Buy & Hold', SERIES_COLOURS[1]],
+    ...(result.benchmark ? [['benchmark', `Benchmark (${result.benchmark.symbol})`, SERIES_COLOURS[2]]] : [])
+  ];
+  const percent = (value) => (typeof value === 'number' ? `${value > 0 ? '+' : ''}${value.toFixed(2)}%` : 'N/A');
+  const number = (value) => (typeof value === 'number' ? value.toFixed(2) : 'N/A');
+  const rows = [
+    ['Total Return', 'totalReturn', percent],
+    ['CAGR', 'cagr', percent],
+    ['Max Drawdown', 'maxDrawdown', percent],
+    ['Volatility', 'volatility', (value) => (typeof value === 'number' ? `${value.toFixed(2)}%` : 'N/A')],
+    ['Sharpe', 'sharpe', number]
+  ];
+  const { strategy } = result;
+
+  return (
+    <div className="mt-4 not-prose">
+      <div className="text-xs text-slate-400 mb-2">
+        {result.start.slice(0, 10)} to {result.end.slice(0, 10)} - {result.rebalances.length} rebalances, holding {result.ratings.join(' or ')} ratings
+      </div>
+      <ResponsiveContainer width="100%" height={220}>
+        <LineChart data={result.equityCurve}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+          <XAxis dataKey="date" tick={AXIS_TICK} minTickGap={40} />
+          <YAxis domain={['auto', 'auto']} tick={AXIS_TICK} width={50} />
+          <Tooltip contentStyle={TOOLTIP_STYLE} />
+          <Legend wrapperStyle={{ fontSize: 11 }} />
+          {columns.map(([key, label, colour]) => (
+            <Line key={key} dataKey={key} name={label} stroke={colour} dot={false} connectNulls isAnimationActive={false} />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+      <table className="w-full mt-3 text-xs text-slate-200">
+        <thead>
+          <tr className="text-slate-400">
+            <th className="text-left font-semibold py-1" />
+            {columns.map(([key, label]) => <th key={key} className="text-right font-semibold py-1">{label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, field, format]) => (
+            <tr key={field} className="border-t border-slate-700">
+              <td className="py-1 text-slate-300">{label}</td>
+              {columns.map(([key]) => <td key={key} className="py-1 text-right">{format(result[key][field])}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="mt-2 text-xs text-slate-400">
+        Hit rate {typeof strategy.hitRate === 'number' ? `${strategy.hitRate}%` : 'N/A'} of {strategy.picks} picks |
+        beat buy-and-hold in {typeof strategy.periodWinRate === 'number' ? `${strategy.periodWinRate}%` : 'N/A'} of periods |
+        turnover {typeof strategy.turnover === 'number' ? `${strategy.turnover}%` : 'N/A'} a year | {strategy.averageHoldings} holdings on average
+      </div>
+    </div>
+  );
+};
+
+const BADGE_CLASSES = {
+  BUY: 'bg-green-500 text-white',
+  HOLD: 'bg-blue-500 text-white',
+  WAIT: 'bg-yellow-500 text-black',
+  SELL: 'bg-red-500 text-white'
+};
+
+const HEADING_CLASSES = {
+  1: 'text-2xl font-bold mt-8 mb-4 text-white',
+  2: 'text-xl font-bold mt-6 mb-3 text-green-400',
+  3: 'text-lg font-semibold mt-4 mb-2 text-white'
+};
+
+// Inline nodes from lib/markdown.js as React elements - text is rendered as text, never as HTML
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index} className="text-green-400">{renderInline(node.children)}</strong>;
+    case 'em':
+      return <em key={index} className="text-blue-300">{renderInline(node.children)}</em>;
+    case 'badge':
+      return BADGE_CLASSES[node.value]
+        ? <span key={index} className={`${BADGE_CLASSES[node.value]} px-2 py-1 rounded font-bold`}>{node.value}</span>
+        : <strong key={index}>{node.value}</strong>;
+    default:
+      return <React.Fragment key={index}>{node.value}</React.Fragment>;
+  }
+});
+
+// Report Markdown rendered block by block; {{name:value}} directive lines are handed to renderDirective
+const MarkdownReport = ({ markdown, renderDirective }) => {
+  const blocks = useMemo(() => parseMarkdown(markdown), [markdown]);
+
+  return blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${Math.min(block.level, 6)}`;
+        return <Tag key={index} className={HEADING_CLASSES[block.level] || 'font-semibold mt-3 mb-1 text-white'}>{renderInline(block.children)}</Tag>;
+      }
+      case 'paragraph':
+        return (
+          <p key={index} className="my-2">
+            {block.lines.map((line, lineIndex) => (
+              <React.Fragment key={lineIndex}>
+                {lineIndex > 0 && <br />}
+                {renderInline(line)}
+              </React.Fragment>
+            ))}
+          </p>
+        );
+      case 'list':
+        return (
+          <ul key={index} className="my-2 pl-5 list-disc space-y-1">
+            {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+          </ul>
+        );
+      case 'table':
+        return (
+          <div key={index} className="my-4 overflow-x-auto not-prose">
+            <table className="min-w-full text-xs border-collapse">
+              <thead>
+                <tr>
+                  {block.header.map((cell, cellIndex) => (
+                    <th key={cellIndex} className="px-2 py-2 text-left text-green-400 border-b border-slate-600 whitespace-nowrap">{renderInline(cell)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {block.rows.map((row, rowIndex) => (
+                  <tr key={rowIndex} className="border-b border-slate-700">
+                    {row.map((cell, cellIndex) => (
+                      <td key={cellIndex} className="px-2 py-2 text-slate-200 whitespace-nowrap">{renderInline(cell)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      case 'rule':
+        return <hr key={index} className="my-4 border-slate-600" />;
+      case 'directive':
+        return <React.Fragment key={index}>{renderDirective ? renderDirective(block) : null}</React.Fragment>;
+      default:
+        return null;
+    }
+  });
+};
 
 const FinMaster = () => {
   const [shareList, setShareList] = useState('');
+  const [inputMode, setInputMode] = useState('watchlist'); // 'watchlist' | 'portfolio'
+  const [holdingsText, setHoldingsText] = useState('');
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+  const [demoMode, setDemoMode] = useState(false); // seeded demo data instead of the API - never mixed with live quotes
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
   const [analysis, setAnalysis] = useState('');
+  const [report, setReport] = useState(null); // structured report behind `analysis` and every export
+  const [watchlists, setWatchlists] = useState([]);
+  const [watchlistName, setWatchlistName] = useState('');
+  const [savedAnalyses, setSavedAnalyses] = useState([]); // newest first, see lib/savedAnalyses.js
+  const [openedAnalysisId, setOpenedAnalysisId] = useState(null); // reopened saved analysis on screen, null for a fresh run
+  const [compareIds, setCompareIds] = useState([]);
+  const [comparison, setComparison] = useState(''); // Markdown diff of two saved analyses, shown instead of the report
+  const [storageLoaded, setStorageLoaded] = useState(false);
+  const [rerunRequested, setRerunRequested] = useState(false);
+  const [alertRules, setAlertRules] = useState([]); // see lib/alerts.js
+  const [alertLog, setAlertLog] = useState([]); // fired alerts, newest first
+  const [alertForm, setAlertForm] = useState({ symbol: '', type: 'price-below', value: '', direction: null, indicator: 'price-sma200' });
+  const [alertQuotes, setAlertQuotes] = useState(null); // { quotes, errors, checkedAt } from the latest poll
+  const [alertNotifications, setAlertNotifications] = useState([]); // in-app notifications not yet dismissed
+  const [notificationPermission, setNotificationPermission] = useState(typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+  const [isCheckingAlerts, setIsCheckingAlerts] = useState(false);
+  const [liveSettings, setLiveSettings] = useState(DEFAULT_LIVE_SETTINGS);
+  const [liveQuotes, setLiveQuotes] = useState({}); // see mergeLiveQuotes in lib/liveQuotes.js
+  const [liveStatus, setLiveStatus] = useState(null); // { nextPollAt, delayMs, hidden, liveCount } while live mode runs
+  const [benchmarkSettings, setBenchmarkSettings] = useState(DEFAULT_BENCHMARK_SETTINGS); // see lib/benchmark.js
+  const [backtestOptions, setBacktestOptions] = useState({ rebalance: DEFAULT_BACKTEST_OPTIONS.rebalance, range: '5y', includeHold: false });
+  const [backtest, setBacktest] = useState(null); // { result, error, demo } from the latest backtest run
+  const [isBacktesting, setIsBacktesting] = useState(false);
+  const [chartSymbols, setChartSymbols] = useState([]); // [{ symbol, providerSymbol, currency }] for symbols with price data
+  const [priceHistories, setPriceHistories] = useState({}); // { [symbol]: { status, rows, error } }
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [copied, setCopied] = useState(false);
   const [error, setError] = useState('');
@@ -14,12 +393,20 @@ const FinMaster = () => {
     baseUrl: 'https://finmaster-api.vercel.app',
     timeout: 15000,
     corsMode: 'cors',
-    retryAttempts: 2
+    retryAttempts: 2,
+    apiKey: ''
   });
 
   // API Configuration - easily changeable
   const API_BASE_URL = apiConfig.baseUrl;
   const API_TIMEOUT = apiConfig.timeout;
+  // History requested with each quote - long enough for 3-year trailing returns
+  const HISTORY_RANGE = '5y';
+  const HISTORY_INTERVAL = '1d';
+  // Window for the benchmark comparison - excess return, beta and correlation are over the last year
+  const BENCHMARK_RANGE = '1y';
+  // Window for volatility, drawdown, VaR and correlations - the same daily history as the benchmark comparison
+  const RISK_RANGE = '1y';
 
   // Safe number parsing utilities
   const safeParseFloat = (value, fallback = 0) => {
@@ -36,6 +423,10 @@ const FinMaster = () => {
     return safeParseFloat(value).toFixed(decimals);
   };
 
+  const formatPercent = (value, decimals = 1) => {
+    return typeof value === 'number' && !isNaN(value) ? `${value.toFixed(decimals)}%` : 'N/A';
+  };
+
   const formatVolume = (value) => {
     const num = safeParseInt(value);
     return num > 0 ? num.toLocaleString() : 'N/A';
@@ -56,6 +447,8 @@ const FinMaster = () => {
             'Accept': 'application/json',
             'Content-Type': 'application/json',
             'X-Requested-With': 'XMLHttpRequest', // Help with CORS preflight
+            // Only sent when set - deployments without API_KEYS ignore it anyway
+            ...(apiConfig.apiKey ? { 'X-API-Key': apiConfig.apiKey } : {}),
             ...options.headers
           }
         });
@@ -78,9 +471,37 @@ const FinMaster = () => {
     }
   };
 
-  // Test API connection on component mount
+  // Restore saved API settings, watchlists, analysis history and price alerts from browser storage
   useEffect(() => {
-    testApiConnection();
+    let cancelled = false;
+
+    (async () => {
+      const [settings, storedWatchlists, storedAnalyses, storedAlerts, storedAlertLog] = await Promise.all([
+        loadState(STORAGE_KEYS.settings, null),
+        loadState(STORAGE_KEYS.watchlists, []),
+        loadState(STORAGE_KEYS.analyses, []),
+        loadState(STORAGE_KEYS.alerts, []),
+        loadState(STORAGE_KEYS.alertLog, [])
+      ]);
+      if (cancelled) return;
+
+      if (settings && settings.apiConfig) {
+        setApiConfig(prev => ({ ...prev, ...settings.apiConfig }));
+      }
+      if (settings && settings.live) {
+        setLiveSettings(prev => ({ ...prev, ...settings.live }));
+      }
+      if (settings && settings.benchmark) {
+        setBenchmarkSettings(prev => ({ ...prev, ...settings.benchmark }));
+      }
+      setWatchlists(sanitizeWatchlists(storedWatchlists));
+      setSavedAnalyses(sanitizeSavedAnalyses(storedAnalyses));
+      setAlertRules(sanitizeAlertRules(storedAlerts));
+      setAlertLog(sanitizeAlertLog(storedAlertLog));
+      setStorageLoaded(true);
+    })();
+
+    return () => { cancelled = true; };
   }, []);
 
   const testApiConnection = useCallback(async () => {
@@ -146,6 +567,11 @@ const FinMaster = () => {
         status = 'warning';
       } else if (error.message.includes('timeout')) {
         errorMessage = `Timeout Error: API response took too long. Try again or check API performance.`;
+      } else if (/ 401 /.test(error.message)) {
+        errorMessage = `Authentication Error: this API requires a key. Enter a valid key under API Configuration.`;
+      } else if (/ 429 /.test(error.message)) {
+        errorMessage = `Rate Limited: the API quota is used up for now. ${error.message}`;
+        status = 'warning';
       } else if (error.message.includes('Health API Error')) {
         errorMessage = `Health Check Failed: ${error.message}. Your /api/health endpoint may be missing.`;
       }
@@ -157,300 +583,1460 @@ const FinMaster = () => {
       });
       setIsApiWorking(false);
     }
-  }, []);
+  }, [apiConfig]);
+
+  // Persist API, live quote and benchmark settings once they are restored and whenever they change
+  useEffect(() => {
+    if (!storageLoaded) return;
+    saveState(STORAGE_KEYS.settings, { apiConfig, live: liveSettings, benchmark: benchmarkSettings });
+  }, [apiConfig, liveSettings, benchmarkSettings, storageLoaded]);
+
+  // (Re-)test the connection once the settings are restored and whenever the API config changes.
+  // Debounced so typing a URL does not fire a request per keystroke.
+  useEffect(() => {
+    if (!storageLoaded) return undefined;
+
+    const timer = setTimeout(testApiConnection, 500);
+    return () => clearTimeout(timer);
+  }, [apiConfig, storageLoaded]);
+
+  // Validate a single typed symbol; returns { input, symbol, type, code, error } with symbol in canonical form when valid.
+  // The grammar lives in lib/symbols.js so the API rejects exactly what the UI rejects.
+  const checkSymbol = (raw) => {
+    const parsed = parseSymbol(raw);
+
+    if (!parsed.ok) {
+      return { input: parsed.input, symbol: null, type: null, code: parsed.code, error: parsed.message };
+    }
+
+    // Canonical form means JSE:STXRES and STXRES.JO (or BRK.B and BRK-B) are treated as one share
+    return { input: parsed.input, symbol: parsed.canonical, type: parsed.type, code: null, error: null };
+  };
+
+  const cleanAndValidateSymbols = useCallback((input) => {
+    if (!input || typeof input !== 'string') return [];
+    
+    // Split by comma and clean each symbol
+    const symbols = input.split(',')
+      .filter(symbol => symbol && symbol.trim())
+      .map(symbol => checkSymbol(symbol).symbol)
+      .filter(symbol => symbol !== null);
+    
+    // Remove duplicates
+    return [...new Set(symbols)];
+  }, []);
+
+  // Per-symbol validity shown under the input before analysis is run
+  const symbolChecks = useMemo(() => {
+    return shareList.split(',').filter(symbol => symbol.trim()).map(checkSymbol);
+  }, [shareList]);
+
+  // Exchanges in the current input, each of which gets its own benchmark field in per-exchange mode
+  const benchmarkExchanges = useMemo(() => {
+    const symbols = inputMode === 'portfolio'
+      ? parseHoldings(holdingsText).holdings.map(holding => holding.symbol)
+      : cleanAndValidateSymbols(shareList);
+    return [...new Set(symbols.map(symbol => benchmarkExchangeKey(parseSymbol(symbol))))];
+  }, [inputMode, holdingsText, shareList, cleanAndValidateSymbols]);
+
+  // Blank overrides fall back to the exchange default
+  const updateBenchmarkOverride = (exchange, value) => {
+    setBenchmarkSettings(prev => {
+      const overrides = { ...prev.overrides };
+      if (value.trim()) overrides[exchange] = value.trim().toUpperCase();
+      else delete overrides[exchange];
+      return { ...prev, overrides };
+    });
+  };
+
+  // The symbol currently being typed (text after the last comma) drives the typeahead
+  const currentToken = useMemo(() => {
+    const parts = shareList.split(',');
+    return parts[parts.length - 1].trim();
+  }, [shareList]);
+
+  useEffect(() => {
+    if (inputMode !== 'watchlist' || currentToken.length < 2) {
+      setSuggestions([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    // Debounce keystrokes so typing a name costs one search request
+    const timeoutId = setTimeout(async () => {
+      try {
+        const response = await fetchWithTimeout(`${API_BASE_URL}/api/search?q=${encodeURIComponent(currentToken)}&limit=8`);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        const data = await response.json();
+        if (!cancelled) {
+          setSuggestions(data.results || []);
+          setActiveSuggestion(-1);
+        }
+      } catch (error) {
+        console.warn(`Symbol search failed for ${currentToken}:`, error.message);
+        if (!cancelled) setSuggestions([]);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [currentToken, inputMode, API_BASE_URL]);
+
+  // Replace the token being typed with the chosen instrument
+  const applySuggestion = useCallback((result) => {
+    const parts = shareList.split(',');
+    parts[parts.length - 1] = `${parts.length > 1 ? ' ' : ''}${result.canonicalSymbol}`;
+    setShareList(`${parts.join(',')}, `);
+    setSuggestions([]);
+    setActiveSuggestion(-1);
+  }, [shareList]);
+
+  const handleShareListKeyDown = useCallback((e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveSuggestion(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveSuggestion(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+      e.preventDefault();
+      applySuggestion(suggestions[activeSuggestion]);
+    } else if (e.key === 'Escape') {
+      setSuggestions([]);
+    }
+  }, [suggestions, activeSuggestion, applySuggestion]);
+
+  // Display strings for the Dividends & Corporate Actions section; null when the API sent no dividend summary
+  const describeDividends = (dividends, currency) => {
+    if (!dividends) return null;
+    const amount = (value) => `${currency} ${formatCurrency(value, value < 0.1 ? 4 : 2)}`;
+    const growth = (value) => (typeof value === 'number' ? `${value > 0 ? '+' : ''}${value.toFixed(1)}%` : 'N/A');
+
+    return {
+      trailingYield: dividends.trailingAmount > 0
+        ? `${formatPercent(dividends.trailingYield, 2)} (${amount(dividends.trailingAmount)} over the last 12 months in ${dividends.paymentsPerYear} payment${dividends.paymentsPerYear === 1 ? '' : 's'})`
+        : 'No dividends in the last 12 months',
+      lastExDate: dividends.lastExDate ? `${dividends.lastExDate} (${amount(dividends.lastAmount)})` : 'N/A',
+      nextExDate: dividends.nextExDate ? `${dividends.nextExDate} (estimated from past payments)` : 'N/A',
+      growth: dividends.growth1y === null && dividends.growth3y === null
+        ? 'N/A (needs two or more years of payments)'
+        : `${growth(dividends.growth1y)} over 1 year | ${growth(dividends.growth3y)} a year over 3 years`,
+      lastSplit: dividends.lastSplit ? `${dividends.lastSplit.ratio} on ${dividends.lastSplit.date}` : 'None in the fetched history'
+    };
+  };
+
+  // Shape a live API quote for the report
+  const formatQuote = (data, symbol) => {
+    // Trailing returns are computed by the API from the requested history - total return, with the price move alone alongside
+    const performance = {};
+    const pricePerformance = {};
+    PERFORMANCE_PERIODS.forEach(({ key }) => {
+      performance[key] = formatPercent(data.performance ? data.performance[key] : null);
+      pricePerformance[key] = formatPercent(data.pricePerformance ? data.pricePerformance[key] : null);
+    });
+
+    // Raw numbers for the rating engine - the fields below are display strings
+    const metrics = {
+      price: data.currentPrice,
+      previousClose: data.previousClose,
+      high52Week: data.fiftyTwoWeekHigh,
+      low52Week: data.fiftyTwoWeekLow,
+      dayChangePercent: data.dayChangePercent,
+      volume: data.regularMarketVolume,
+      performance: data.performance || {},
+      indicators: data.indicators || null,
+      dividends: data.dividends || null
+    };
+    
+    const isDemo = data.provider === DEMO_PROVIDER;
+
+    return {
+      price: formatCurrency(data.currentPrice),
+      // Stale quotes are the API's last good copy, served while Yahoo is failing; demo quotes are pinned to DEMO_AS_OF
+      timestamp: isDemo
+        ? `${new Date(`${DEMO_AS_OF}T21:00:00Z`).toLocaleDateString()} ⚠️ DEMO DATA (seed ${DEMO_SEED})`
+        : data.stale
+        ? `${new Date(Date.now() - data.staleAgeSeconds * 1000).toLocaleString()} ⚠️ CACHED (${Math.round(data.staleAgeSeconds / 60)} min old)`
+        : new Date().toLocaleString(),
+      isStale: Boolean(data.stale),
+      high52Week: formatCurrency(data.fiftyTwoWeekHigh, 2),
+      low52Week: formatCurrency(data.fiftyTwoWeekLow, 2),
+      yearPerformance: performance['1Y'],
+      performance,
+      pricePerformance,
+      dividends: describeDividends(data.dividends, data.currency || 'USD'),
+      dayChange: formatPercent(data.dayChangePercent, 2),
+      historyHigh: data.history ? formatCurrency(data.history.high) : 'N/A',
+      historyLow: data.history ? formatCurrency(data.history.low) : 'N/A',
+      historyRange: data.range || HISTORY_RANGE,
+      previousClose: formatCurrency(data.previousClose, 2),
+      currency: data.currency || 'USD',
+      exchangeName: data.exchangeName || 'Unknown Exchange',
+      symbol: data.canonicalSymbol || symbol,
+      providerSymbol: data.providerSymbol || data.symbol,
+      dataProvider: data.provider || 'unknown',
+      marketCap: 'N/A', // Filled in from /api/fundamentals by applyFundamentals
+      volume: formatVolume(data.regularMarketVolume),
+      metrics,
+      rating: rateShare(metrics),
+      isSimulated: isDemo,
+      isError: false
+    };
+  };
+
+  // Readable indicator lines for the Technical Position section (rendered as bullets)
+  const describeIndicators = (indicators, price, currency) => {
+    if (!indicators) return ['Technical indicators unavailable for this symbol'];
+
+    const lines = [];
+    const { rsi14, sma50, sma200, macd, macdSignal, bollingerUpper, bollingerLower, atr14 } = indicators;
+
+    if (typeof rsi14 === 'number') {
+      const zone = rsi14 > DEFAULT_THRESHOLDS.rsiOverbought ? 'overbought' : rsi14 < DEFAULT_THRESHOLDS.rsiOversold ? 'oversold' : 'neutral';
+      lines.push(`RSI(14): ${rsi14.toFixed(1)} - ${zone}`);
+    }
+    [['50-day SMA', sma50], ['200-day SMA', sma200]].forEach(([label, value]) => {
+      if (typeof value === 'number') {
+        lines.push(`${label}: ${currency} ${formatCurrency(value)} - price ${price >= value ? 'above' : 'below'} (${formatPercent((price - value) / value * 100)})`);
+      }
+    });
+    if (typeof macd === 'number' && typeof macdSignal === 'number') {
+      lines.push(`MACD(12,26,9): ${macd.toFixed(2)} vs signal ${macdSignal.toFixed(2)} - ${macd > macdSignal ? 'bullish' : 'bearish'} momentum`);
+    }
+    if (typeof bollingerUpper === 'number' && typeof bollingerLower === 'number') {
+      lines.push(`Bollinger Bands(20,2): ${currency} ${formatCurrency(bollingerLower)} - ${currency} ${formatCurrency(bollingerUpper)}`);
+    }
+    if (typeof atr14 === 'number' && price > 0) {
+      lines.push(`ATR(14): ${currency} ${formatCurrency(atr14)} (${formatPercent(atr14 / price * 100)} of price)`);
+    }
+
+    return lines.length > 0 ? lines : ['Not enough price history for technical indicators'];
+  };
+
+  // Seeded demo quote run through the same pipeline as live data (only used when demo mode is switched on)
+  const buildDemoQuote = (symbol) => {
+    const resolved = parseSymbol(symbol);
+    const snapshot = generateDemoSnapshot(resolved, { range: HISTORY_RANGE });
+    return formatQuote(buildQuote(snapshot, resolved), symbol);
+  };
+
+  // Seeded demo fundamentals, shaped like an /api/fundamentals response
+  const buildDemoFundamentals = (symbol) => {
+    const resolved = parseSymbol(symbol);
+    return buildFundamentals(generateDemoFundamentals(resolved), resolved);
+  };
+
+  // Seeded demo benchmark comparison, shaped like an /api/benchmark response. Demo walks are independent,
+  // so betas and correlations come out near zero.
+  const buildDemoBenchmark = (symbol) => {
+    const resolved = parseSymbol(symbol);
+    const benchmark = parseSymbol(resolveBenchmark(resolved, benchmarkSettings));
+    if (!benchmark.ok) return { error: benchmark.message };
+
+    const stats = computeRelativeStats(
+      generateDemoSnapshot(resolved, { range: BENCHMARK_RANGE }).points,
+      generateDemoSnapshot(benchmark, { range: BENCHMARK_RANGE }).points
+    );
+    if (stats.observations < MIN_OBSERVATIONS) return { error: `Only ${stats.observations} overlapping returns` };
+    return { benchmark: { symbol: benchmark.provider, canonicalSymbol: benchmark.canonical }, range: BENCHMARK_RANGE, ...stats };
+  };
+
+  // Seeded demo risk analytics, shaped like fetchRisk's result
+  const buildDemoRisk = (entries, weights = null) => {
+    const pointsBySymbol = {};
+    const currencies = new Set();
+    entries.forEach(({ symbol }) => {
+      const snapshot = generateDemoSnapshot(parseSymbol(symbol), { range: RISK_RANGE });
+      pointsBySymbol[symbol] = snapshot.points;
+      currencies.add(snapshot.currency);
+    });
+    const risk = analyseRisk(pointsBySymbol, { weights: weights || {} });
+
+    return {
+      range: RISK_RANGE,
+      confidence: DEFAULT_CONFIDENCE,
+      riskFreeRate: 0,
+      results: risk.results,
+      portfolio: entries.length > 0 ? { ...risk.portfolio, currencies: [...currencies] } : null,
+      correlation: risk.correlation,
+      error: null
+    };
+  };
+
+  // Placeholder for a symbol the API could not price - reported as an error, never rated
+  const buildErrorQuote = (symbol, errorMessage) => {
+    const resolved = parseSymbol(symbol);
+    return {
+      symbol,
+      providerSymbol: resolved.ok ? resolved.provider : symbol,
+      exchangeName: resolved.ok && resolved.exchange ? resolved.exchange.name : 'Unknown Exchange',
+      currency: null,
+      metrics: { price: null },
+      rating: null,
+      isSimulated: false,
+      isError: true,
+      errorDetails: errorMessage
+    };
+  };
+
+  // Fetch quotes through the batch endpoint - one round trip per MAX_BATCH_SYMBOLS symbols
+  const fetchLatestPrices = useCallback(async (symbols) => {
+    const priceMap = {};
+
+    for (let i = 0; i < symbols.length; i += MAX_BATCH_SYMBOLS) {
+      const chunk = symbols.slice(i, i + MAX_BATCH_SYMBOLS);
+
+      try {
+        const query = chunk.map(symbol => encodeURIComponent(parseSymbol(symbol).provider)).join(',');
+        const response = await fetchWithTimeout(`${API_BASE_URL}/api/quotes?symbols=${query}&range=${HISTORY_RANGE}&interval=${HISTORY_INTERVAL}`);
+        
+        if (!response.ok) {
+          const errorBody = await response.text();
+          throw new Error(`HTTP ${response.status}: ${response.statusText}. ${errorBody}`);
+        }
+        
+        const data = await response.json();
+        
+        if (!data.results || typeof data.results !== 'object') {
+          throw new Error('Invalid API response structure - missing results');
+        }
+
+        chunk.forEach(symbol => {
+          const result = data.results[symbol];
+
+          if (result && result.success && typeof result.data.currentPrice === 'number') {
+            priceMap[symbol] = formatQuote(result.data, symbol);
+          } else {
+            const message = result ? `${result.error}: ${result.message}` : 'Symbol missing from batch response';
+            console.warn(`API failed for ${symbol}:`, message);
+            priceMap[symbol] = buildErrorQuote(symbol, message);
+          }
+        });
+        
+      } catch (error) {
+        console.warn(`Batch API failed for ${chunk.join(', ')}:`, error.message);
+        chunk.forEach(symbol => {
+          priceMap[symbol] = buildErrorQuote(symbol, error.message);
+        });
+      }
+    }
+
+    return priceMap;
+  }, []);
+
+  // Load daily history for the report charts; runs after the report is shown so charts fill in as they arrive
+  const loadPriceHistories = useCallback(async (entries, useDemoData) => {
+    const loading = {};
+    entries.forEach(({ symbol }) => { loading[symbol] = { status: 'loading', rows: [], error: null }; });
+    setPriceHistories(loading);
+
+    await mapWithConcurrency(entries, BATCH_CONCURRENCY, async ({ symbol, providerSymbol }) => {
+      let entry;
+      try {
+        if (useDemoData) {
+          const snapshot = generateDemoSnapshot(parseSymbol(symbol), { range: CHART_HISTORY_RANGE });
+          entry = { status: 'ready', rows: toHistoryRows(snapshot.points, { interval: '1d' }), error: null };
+        } else {
+          const response = await fetchWithTimeout(`${API_BASE_URL}/api/history/${encodeURIComponent(providerSymbol)}?range=${CHART_HISTORY_RANGE}&interval=1d`);
+          const data = await response.json();
+          if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+          entry = { status: 'ready', rows: data.rows, error: null };
+        }
+      } catch (error) {
+        console.warn(`Chart history failed for ${symbol}:`, error.message);
+        entry = { status: 'error', rows: [], error: error.message };
+      }
+      setPriceHistories(prev => ({ ...prev, [symbol]: entry }));
+    });
+  }, []);
+
+  // Fundamentals for every priced symbol; a failure only blanks that symbol's valuation figures
+  const fetchFundamentals = useCallback(async (entries) => {
+    const fundamentalsMap = {};
+
+    await mapWithConcurrency(entries, BATCH_CONCURRENCY, async ({ symbol, providerSymbol }) => {
+      try {
+        const response = await fetchWithTimeout(`${API_BASE_URL}/api/fundamentals/${encodeURIComponent(providerSymbol)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+        fundamentalsMap[symbol] = data;
+      } catch (error) {
+        console.warn(`Fundamentals failed for ${symbol}:`, error.message);
+        fundamentalsMap[symbol] = null;
+      }
+    });
+
+    return fundamentalsMap;
+  }, [API_BASE_URL]);
+
+  // Benchmark-relative statistics for every priced symbol against the benchmark the settings pick for it.
+  // Entries are the /api/benchmark response, or { error } so the report can say why the comparison is missing.
+  const fetchBenchmarks = useCallback(async (entries) => {
+    const benchmarkMap = {};
+
+    await mapWithConcurrency(entries, BATCH_CONCURRENCY, async ({ symbol, providerSymbol }) => {
+      const benchmark = resolveBenchmark(parseSymbol(symbol), benchmarkSettings);
+      try {
+        const response = await fetchWithTimeout(`${API_BASE_URL}/api/benchmark/${encodeURIComponent(providerSymbol)}?benchmark=${encodeURIComponent(benchmark)}&range=${BENCHMARK_RANGE}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+        benchmarkMap[symbol] = data;
+      } catch (error) {
+        console.warn(`Benchmark comparison failed for ${symbol} vs ${benchmark}:`, error.message);
+        benchmarkMap[symbol] = { error: error.message };
+      }
+    });
+
+    return benchmarkMap;
+  }, [API_BASE_URL, benchmarkSettings]);
+
+  // Fetch conversion rates into the base currency for every quote currency in the report
+  const fetchFxRates = useCallback(async (currencies, base) => {
+    const fx = { base, rates: {}, details: {}, error: null };
+    const needed = [...new Set(currencies)].filter(Boolean);
+    if (needed.length === 0) return fx;
+
+    try {
+      const query = needed.map(currency => encodeURIComponent(currency)).join(',');
+      const response = await fetchWithTimeout(`${API_BASE_URL}/api/fx?base=${encodeURIComponent(base)}&symbols=${query}`);
+
+      if (!response.ok) {
+        const errorBody = await response.text();
+        throw new Error(`HTTP ${response.status}: ${response.statusText}. ${errorBody}`);
+      }
+
+      const data = await response.json();
+      needed.forEach(currency => {
+        const entry = data.rates && data.rates[currency];
+        if (entry && entry.success) {
+          fx.rates[currency] = entry.rate;
+          fx.details[currency] = entry;
+        }
+      });
+    } catch (error) {
+      console.warn(`FX rates failed for ${needed.join(', ')}:`, error.message);
+      fx.error = error.message;
+    }
+
+    return fx;
+  }, []);
+
+  // Add market cap, valuation ratios and sector from /api/fundamentals; anything missing stays N/A
+  const applyFundamentals = (quote, fundamentals) => {
+    if (quote.isError) return quote;
+
+    const source = fundamentals || {};
+    const number = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+    const ratio = (value) => (number(value) !== null && value > 0 ? `${value.toFixed(1)}x` : 'N/A');
+    const marketCap = number(source.marketCap);
+
+    return {
+      ...quote,
+      marketCap: marketCap !== null ? `${quote.currency} ${compactNumber(marketCap)}` : 'N/A',
+      sector: source.sector || null,
+      industry: source.industry || null,
+      fundamentals: {
+        trailingPE: ratio(source.trailingPE),
+        forwardPE: ratio(source.forwardPE),
+        eps: number(source.trailingEps) !== null ? `${quote.currency} ${formatCurrency(source.trailingEps)}` : 'N/A',
+        dividendYield: formatPercent(number(source.dividendYield), 2),
+        beta: number(source.beta) !== null ? source.beta.toFixed(2) : 'N/A'
+      },
+      metrics: {
+        ...quote.metrics,
+        marketCap,
+        trailingPE: number(source.trailingPE),
+        forwardPE: number(source.forwardPE),
+        trailingEps: number(source.trailingEps),
+        dividendYield: number(source.dividendYield),
+        beta: number(source.beta)
+      }
+    };
+  };
+
+  // Volatility, drawdown and VaR for the whole list in one request so the portfolio figures and correlation matrix
+  // cover every symbol. weights is { [symbol]: weight } for holdings, null for equal weighting.
+  const fetchRisk = useCallback(async (entries, weights = null) => {
+    if (entries.length === 0) return null;
+
+    try {
+      const query = entries.map(({ symbol }) => encodeURIComponent(symbol)).join(',');
+      const weightQuery = weights ? `&weights=${entries.map(({ symbol }) => weights[symbol] || 0).join(',')}` : '';
+      const response = await fetchWithTimeout(`${API_BASE_URL}/api/risk?symbols=${query}${weightQuery}&range=${RISK_RANGE}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+
+      const results = {};
+      entries.forEach(({ symbol }) => {
+        const result = data.results[symbol];
+        results[symbol] = result && result.success ? result.data : { error: result ? result.message : 'Symbol missing from risk response' };
+      });
+      return {
+        range: data.range,
+        confidence: data.confidence,
+        riskFreeRate: data.riskFreeRate,
+        results,
+        portfolio: data.portfolio,
+        correlation: data.correlation,
+        error: null
+      };
+    } catch (error) {
+      console.warn('Risk analytics failed:', error.message);
+      return { range: RISK_RANGE, confidence: DEFAULT_CONFIDENCE, riskFreeRate: 0, results: {}, portfolio: null, correlation: null, error: error.message };
+    }
+  }, [API_BASE_URL]);
+
+  // Raw risk statistics on the quote; the report formats them. Too little history leaves metrics.risk null with the reason.
+  const applyRisk = (quote, result, range) => {
+    if (quote.isError) return quote;
+    if (!result || result.error || typeof result.volatility !== 'number') {
+      const reason = !result ? null : result.error || `only ${result.observations} daily returns over ${range}`;
+      return { ...quote, metrics: { ...quote.metrics, risk: null }, riskError: reason };
+    }
+
+    const { observations, volatility, maxDrawdown, drawdownPeak, drawdownTrough, sharpe, sortino, historicalVar, parametricVar, confidence } = result;
+    return {
+      ...quote,
+      metrics: {
+        ...quote.metrics,
+        risk: { range, observations, volatility, maxDrawdown, drawdownPeak, drawdownTrough, sharpe, sortino, historicalVar, parametricVar, confidence }
+      },
+      riskError: null
+    };
+  };
+
+  // Excess return, beta, correlation and tracking error against the benchmark. The rating is re-run on the
+  // extended metrics so the relative-strength rule can fire; without a comparison it stays as it was.
+  const applyBenchmark = (quote, result) => {
+    if (quote.isError) return quote;
+    if (!result || result.error) {
+      return { ...quote, benchmark: null, benchmarkError: result ? result.error : null };
+    }
+
+    const signedPercent = (value) => (typeof value === 'number' ? `${value > 0 ? '+' : ''}${value.toFixed(2)}%` : 'N/A');
+    const fixed = (value) => (typeof value === 'number' ? value.toFixed(2) : 'N/A');
+    const { shareReturn, benchmarkReturn, excessReturn, beta, correlation, trackingError, alpha, informationRatio } = result;
+    const metrics = {
+      ...quote.metrics,
+      benchmark: {
+        symbol: result.benchmark.canonicalSymbol,
+        range: result.range,
+        observations: result.observations,
+        shareReturn, benchmarkReturn, excessReturn, beta, correlation, trackingError, alpha, informationRatio
+      }
+    };
+
+    return {
+      ...quote,
+      benchmark: {
+        symbol: result.benchmark.canonicalSymbol,
+        range: result.range,
+        shareReturn: signedPercent(shareReturn),
+        benchmarkReturn: signedPercent(benchmarkReturn),
+        excessReturn: signedPercent(excessReturn),
+        beta: fixed(beta),
+        correlation: fixed(correlation),
+        trackingError: formatPercent(trackingError, 2),
+        alpha: signedPercent(alpha),
+        informationRatio: fixed(informationRatio)
+      },
+      benchmarkError: null,
+      metrics,
+      rating: rateShare(metrics)
+    };
+  };
+
+  // Market cap in USD for the size bands - via the base-currency rates, which always include USD
+  const marketCapInUsd = (data, fx) => {
+    const { marketCap } = data.metrics;
+    if (typeof marketCap !== 'number') return null;
+    if (data.currency === 'USD') return marketCap;
+
+    const rate = fx ? fx.rates[data.currency] : undefined;
+    const usdRate = fx ? fx.rates.USD : undefined;
+    return typeof rate === 'number' && typeof usdRate === 'number' ? convertAmount(marketCap, rate) / usdRate : null;
+  };
+
+  const describeMarketCapRisk = (data, fx) => {
+    if (typeof data.metrics.marketCap !== 'number') return 'Unknown (market cap not available)';
+
+    const usd = marketCapInUsd(data, fx);
+    if (usd === null) return `Unknown (${data.marketCap} - no USD rate to size it)`;
+
+    const band = MARKET_CAP_BANDS.find(item => usd >= item.min);
+    return `${band.risk} (${band.label}, ${data.marketCap}${data.currency !== 'USD' ? ` ≈ USD ${compactNumber(usd)}` : ''})`;
+  };
+
+  // "trades at 28.4x trailing and 24.9x forward earnings and offers a 0.52% dividend yield" - empty when nothing is known
+  const describeValuation = (data) => {
+    const { trailingPE, forwardPE, dividendYield } = data.metrics;
+    const earnings = trailingPE > 0
+      ? `trades at ${trailingPE.toFixed(1)}x trailing${forwardPE > 0 ? ` and ${forwardPE.toFixed(1)}x forward` : ''} earnings`
+      : forwardPE > 0 ? `trades at ${forwardPE.toFixed(1)}x forward earnings` : null;
+    const income = typeof dividendYield === 'number'
+      ? dividendYield > 0 ? `offers a ${dividendYield.toFixed(2)}% dividend yield` : 'pays no dividend'
+      : null;
+    const clauses = [earnings, income].filter(Boolean);
+    if (clauses.length === 0) return '';
+
+    const subject = data.sector ? `As a ${data.sector} company${data.industry ? ` (${data.industry})` : ''}, the share` : 'The share';
+    return ` ${subject} ${clauses.join(' and ')}.`;
+  };
+
+  // Risk Assessment entries from the daily-return statistics. Without them only a rough volatility band from the
+  // 1-year move is given, labelled as such.
+  const describeRiskMetrics = (data, yearPerf) => {
+    const risk = data.metrics.risk;
+    if (!risk) {
+      const band = Math.abs(yearPerf) > 30 ? 'High' : Math.abs(yearPerf) > 15 ? 'Moderate' : 'Low';
+      return [{ label: 'Volatility', value: `${band} (estimated from the 1-year move${data.riskError ? ` - ${data.riskError}` : ''})` }];
+    }
+
+    const band = risk.volatility > 40 ? 'High' : risk.volatility > 25 ? 'Moderate' : 'Low';
+    const confidence = Math.round(risk.confidence * 100);
+    const period = risk.drawdownPeak && risk.drawdownTrough
+      ? ` (${new Date(risk.drawdownPeak).toLocaleDateString()} to ${new Date(risk.drawdownTrough).toLocaleDateString()})`
+      : '';
+    const ratio = (value) => (typeof value === 'number' ? value.toFixed(2) : 'N/A');
+
+    return [
+      { label: 'Volatility', value: `${band} - ${formatPercent(risk.volatility)} annualised over ${risk.range}` },
+      { label: 'Max Drawdown', value: `${formatPercent(risk.maxDrawdown)}${period}` },
+      { label: 'Value at Risk', value: `${confidence}% one-day VaR ${formatPercent(risk.historicalVar, 2)} historical, ${formatPercent(risk.parametricVar, 2)} parametric` },
+      { label: 'Risk-Adjusted Return', value: `Sharpe ${ratio(risk.sharpe)}, Sortino ${ratio(risk.sortino)}` }
+    ];
+  };
+
+  // "Over 1y it beat ^GSPC by 4.2 points with a beta of 1.10." - empty without a benchmark comparison
+  const describeRelative = (data) => {
+    const relative = data.metrics.benchmark;
+    if (!relative || typeof relative.excessReturn !== 'number') return '';
+
+    const gap = Math.abs(relative.excessReturn).toFixed(1);
+    const verb = relative.excessReturn >= 0 ? `beat ${relative.symbol} by ${gap} points` : `lagged ${relative.symbol} by ${gap} points`;
+    return ` Over ${relative.range} it ${verb}${typeof relative.beta === 'number' ? ` with a beta of ${relative.beta.toFixed(2)}` : ''}.`;
+  };
+
+  // Add base-currency figures next to the raw quote currency
+  const applyFx = (quote, fx) => {
+    const rate = fx.rates[quote.currency];
+    if (typeof rate !== 'number') return { ...quote, base: null };
+
+    const { metrics } = quote;
+    return {
+      ...quote,
+      base: {
+        currency: fx.base,
+        rate,
+        isConverted: quote.currency !== fx.base,
+        price: formatCurrency(convertAmount(metrics.price, rate)),
+        high52Week: formatCurrency(convertAmount(metrics.high52Week, rate)),
+        low52Week: formatCurrency(convertAmount(metrics.low52Week, rate)),
+        timestamp: fx.details[quote.currency] ? fx.details[quote.currency].timestamp : null
+      }
+    };
+  };
+
+  // Per-symbol section of the report: display strings, raw metrics, the rating and its narrative
+  const buildShareReport = (symbol, data, fx) => {
+    if (!data || data.isError) {
+      return {
+        symbol,
+        status: 'error',
+        exchange: data ? data.exchangeName : null,
+        providerSymbol: data ? data.providerSymbol : symbol,
+        error: data ? data.errorDetails : 'Symbol missing from price results'
+      };
+    }
+
+    const yearPerf = safeParseFloat(data.yearPerformance);
+
+    // Same rating object as the recommendation table - never re-derived for the narrative
+    const { rating: recommendation, rules } = data.rating;
+    const isNearLow = rules.some(rule => rule.id === 'near-52-week-low');
+    const { currency, price, yearPerformance, marketCap, volume } = data;
+    const hasMarketCap = typeof data.metrics.marketCap === 'number';
+    const context = `${describeValuation(data)}${describeRelative(data)}`;
+
+    const thesis = recommendation === 'BUY'
+      ? {
+        title: 'Investment Thesis (BUY)',
+        text: isNearLow
+          ? `Strong value opportunity with current price near 52-week lows at ${currency} ${price}. Annual performance of ${yearPerformance} suggests temporary weakness rather than fundamental deterioration.${context} ${hasMarketCap ? `Market cap of ${marketCap} indicates sufficient liquidity with daily volume of ${volume}.` : `Daily volume of ${volume} indicates the available liquidity.`} Recommend accumulation for 2-3 year investment horizon.`
+          : `Solid fundamentals support current valuation at ${currency} ${price} with ${yearPerformance} annual performance demonstrating resilience.${context} ${hasMarketCap ? `Market cap of ${marketCap} and healthy trading volume of ${volume} provide confidence in liquidity.` : `Trading volume of ${volume} indicates the available liquidity.`} Technical indicators and market positioning favor long-term accumulation.`
+      }
+      : recommendation === 'HOLD'
+      ? {
+        title: 'Investment View (HOLD)',
+        text: `Current valuation at ${currency} ${price} with ${yearPerformance} annual performance shows no decisive signal either way.${context} Existing positions can be maintained; new capital is better deployed once momentum or valuation improves.`
+      }
+      : recommendation === 'SELL'
+      ? {
+        title: 'Investment Warning (SELL)',
+        text: `Multiple negative signals at ${currency} ${price} with ${yearPerformance} annual performance.${context} Sustained weakness suggests reducing exposure until the trend stabilises and fundamentals are re-assessed.`
+      }
+      : {
+        title: 'Investment Caution (WAIT)',
+        text: `Current valuation at ${currency} ${price} appears elevated relative to ${yearPerformance} annual performance.${context} ${hasMarketCap ? `Market cap of ${marketCap} suggests adequate size but limited near-term catalysts.` : 'Near-term catalysts appear limited.'} Recommend monitoring for better entry points below current levels or fundamental improvements before investment.`
+      };
+
+    return {
+      symbol: data.symbol,
+      status: data.isSimulated ? 'demo' : data.isStale ? 'cached' : 'live',
+      exchange: data.exchangeName,
+      providerSymbol: data.providerSymbol,
+      dataProvider: data.dataProvider,
+      updated: data.timestamp,
+      currency,
+      display: {
+        price,
+        previousClose: data.previousClose,
+        high52Week: data.high52Week,
+        low52Week: data.low52Week,
+        dayChange: data.dayChange,
+        yearPerformance,
+        performance: data.performance,
+        pricePerformance: data.pricePerformance,
+        dividends: data.dividends,
+        historyRange: data.historyRange,
+        historyLow: data.historyLow,
+        historyHigh: data.historyHigh,
+        marketCap,
+        volume,
+        fundamentals: data.fundamentals,
+        benchmark: data.benchmark || null
+      },
+      sector: data.sector,
+      industry: data.industry,
+      base: data.base,
+      metrics: data.metrics,
+      rating: data.rating,
+      narrative: {
+        position: isNearLow ? '📉 Currently trading near 52-week lows - potential value opportunity' : '📊 Trading within normal range of 52-week performance',
+        indicators: describeIndicators(data.metrics.indicators, data.metrics.price, currency),
+        momentum: yearPerf > 20 ? '🚀 Strong positive momentum with >20% annual gains' :
+          yearPerf > 0 ? '📈 Modest positive performance year-over-year' :
+          yearPerf > -10 ? '⚖️ Slight negative performance within normal market volatility' :
+          '📉 Significant underperformance requiring fundamental analysis',
+        relative: !data.benchmark ? `Benchmark comparison unavailable${data.benchmarkError ? ` (${data.benchmarkError})` : ''}` :
+          data.metrics.benchmark.excessReturn >= 0
+            ? `🏆 Outperformed ${data.benchmark.symbol} by ${Math.abs(data.metrics.benchmark.excessReturn).toFixed(1)} points over ${data.benchmark.range} (${data.benchmark.shareReturn} vs ${data.benchmark.benchmarkReturn})`
+            : `🐢 Lagged ${data.benchmark.symbol} by ${Math.abs(data.metrics.benchmark.excessReturn).toFixed(1)} points over ${data.benchmark.range} (${data.benchmark.shareReturn} vs ${data.benchmark.benchmarkReturn})`,
+        thesis,
+        risks: [
+          {
+            label: 'Currency Exposure',
+            value: !data.base ? `${currency} denominated - no ${fx ? fx.base : 'base'} rate available` :
+              data.base.isConverted ? `${currency} denominated - converted to ${data.base.currency} at ${data.base.rate.toPrecision(6)}, returns for a ${data.base.currency} investor also depend on the exchange rate` :
+              `None - quoted in the ${data.base.currency} base currency`
+          },
+          { label: 'Liquidity Risk', value: safeParseInt(volume.replace(/,/g, '')) > 1000000 ? 'Low (high volume)' : 'Moderate (lower volume)' },
+          { label: 'Market Cap Risk', value: describeMarketCapRisk(data, fx) },
+          ...describeRiskMetrics(data, yearPerf),
+          ...(typeof data.metrics.beta === 'number' ? [{
+            label: 'Market Sensitivity',
+            value: `Beta ${data.fundamentals.beta} - ${data.metrics.beta > 1.2 ? 'amplifies market moves' : data.metrics.beta < 0.8 ? 'defensive, moves less than the market' : 'moves broadly with the market'}`
+          }] : []),
+          ...(data.benchmark && typeof data.metrics.benchmark.correlation === 'number' ? [{
+            label: 'Benchmark Tracking',
+            value: `Correlation ${data.benchmark.correlation} and beta ${data.benchmark.beta} vs ${data.benchmark.symbol} - ${
+              data.metrics.benchmark.correlation >= 0.7 ? 'moves closely with the index' :
+              data.metrics.benchmark.correlation >= 0.3 ? 'partly independent of the index' :
+              'largely independent of the index'
+            }, tracking error ${data.benchmark.trackingError} a year`
+          }] : [])
+        ]
+      }
+    };
+  };
+
+  // Structured report - every output format (screen, Markdown, HTML, PDF, CSV, JSON) is rendered from this object
+  const buildReport = useMemo(() => {
+    return (cleanedSymbols, originalCount, priceMap, portfolio = null, fx = null, risk = null) => {
+      const shares = cleanedSymbols.map(symbol => buildShareReport(symbol, priceMap[symbol], fx));
+      const dataQuality = {
+        live: shares.filter(share => share.status === 'live' || share.status === 'cached').length,
+        demo: shares.filter(share => share.status === 'demo').length,
+        failed: shares.filter(share => share.status === 'error').length,
+        stale: shares.filter(share => share.status === 'cached').length,
+        total: shares.length,
+        apiStatus: demoMode ? 'demo' : isApiWorking ? 'connected' : 'unreachable'
+      };
+
+      return {
+        title: 'Financial Investment Analysis Report',
+        generatedAt: new Date().toISOString(),
+        horizon: '2-3 Years',
+        demo: dataQuality.demo > 0 ? { asOf: DEMO_AS_OF, seed: DEMO_SEED } : null,
+        dataQuality,
+        benchmark: {
+          mode: benchmarkSettings.mode,
+          range: BENCHMARK_RANGE,
+          symbols: [...new Set(shares.filter(share => share.metrics && share.metrics.benchmark).map(share => share.metrics.benchmark.symbol))]
+        },
+        risk: risk ? {
+          range: risk.range,
+          confidence: risk.confidence,
+          riskFreeRate: risk.riskFreeRate,
+          weighting: risk.weighting,
+          portfolio: risk.portfolio,
+          correlation: risk.correlation,
+          error: risk.error
+        } : null,
+        currency: {
+          base: fx ? fx.base : null,
+          rates: fx ? Object.values(fx.details).map(({ currency, rate, fxSymbol, timestamp }) => ({ currency, rate, fxSymbol, timestamp })) : [],
+          error: fx ? fx.error || null : null
+        },
+        input: {
+          mode: portfolio ? 'portfolio' : 'watchlist',
+          original: portfolio ? null : shareList,
+          lineCount: originalCount,
+          cleaned: cleanedSymbols,
+          invalidCount: portfolio ? portfolio.errors.length : originalCount - cleanedSymbols.length,
+          rejected: portfolio
+            ? portfolio.errors.map(err => ({ line: err.line, message: err.message }))
+            : symbolChecks.filter(check => check.error).map(check => ({ input: check.input, code: check.code, message: check.error }))
+        },
+        shares,
+        portfolio,
+        summary: {
+          text: dataQuality.demo > 0 ?
+            'Analysis based on seeded demo data (demo mode). Figures are repeatable but fictional - switch demo mode off for live market data.' :
+            dataQuality.live > 0 ?
+            `Analysis incorporates ${dataQuality.live} live market data points providing current market conditions.${dataQuality.failed > 0 ? ` ${dataQuality.failed} symbols could not be priced and carry no recommendation.` : ''}` :
+            'No live market data could be fetched - no recommendations were made. Check the API status and try again.',
+          considerations: [
+            'Currency volatility impact on international operations',
+            'Central bank policy shifts affecting interest-sensitive sectors',
+            'Geopolitical developments influencing commodity prices',
+            'Market liquidity and trading volume analysis'
+          ],
+          actions: [
+            'BUY recommendations: Consider for long-term positions',
+            'HOLD recommendations: Maintain existing positions, no new capital',
+            'WAIT recommendations: Monitor for better entry opportunities',
+            'SELL recommendations: Review and consider reducing exposure',
+            'Review portfolio allocation quarterly'
+          ]
+        }
+      };
+    };
+  }, [shareList, symbolChecks, isApiWorking, demoMode, benchmarkSettings]);
+
+  const analyzeShares = useCallback(async () => {
+    const isPortfolioMode = inputMode === 'portfolio';
+
+    if (!(isPortfolioMode ? holdingsText : shareList).trim()) {
+      setError(isPortfolioMode ? 'Please paste at least one holding (symbol, quantity, average cost)' : 'Please enter at least one share symbol');
+      return;
+    }
+
+    // Clean and validate symbols - in portfolio mode they come from the parsed holdings
+    const parsedHoldings = isPortfolioMode ? parseHoldings(holdingsText) : null;
+    const cleanedSymbols = isPortfolioMode
+      ? parsedHoldings.holdings.map(holding => holding.symbol)
+      : cleanAndValidateSymbols(shareList);
+    
+    if (cleanedSymbols.length === 0) {
+      setError(isPortfolioMode && parsedHoldings.errors.length > 0
+        ? `No valid holdings found. Line ${parsedHoldings.errors[0].line}: ${parsedHoldings.errors[0].message}`
+        : 'No valid symbols found. Please enter valid symbols (e.g., AAPL, BRK.B, JSE:STXRES, 0700.HK, ^GSPC)');
+      return;
+    }
+
+    setIsAnalyzing(true);
+    setError('');
+    
+    try {
+      // Re-test API connection if it was previously failing
+      if (!demoMode && !isApiWorking) {
+        console.log('Re-testing API connection before analysis...');
+        await testApiConnection();
+      }
+
+      // Demo mode never calls the API; otherwise fetch latest prices for all cleaned symbols in a single batch request
+      let rawPriceMap = {};
+      if (demoMode) {
+        cleanedSymbols.forEach(symbol => {
+          rawPriceMap[symbol] = buildDemoQuote(symbol);
+        });
+      } else {
+        rawPriceMap = await fetchLatestPrices(cleanedSymbols);
+      }
+
+      // Fundamentals and benchmark comparisons for the priced symbols, and FX into the selected base currency keeping the quote currency
+      // alongside (live rates only; USD is always requested so market caps can be sized in USD)
+      const priced = cleanedSymbols
+        .filter(symbol => !rawPriceMap[symbol].isError)
+        .map(symbol => ({ symbol, providerSymbol: rawPriceMap[symbol].providerSymbol }));
+      const quoteCurrencies = cleanedSymbols.map(symbol => rawPriceMap[symbol].currency);
+      let fx;
+      let fundamentalsMap = {};
+      let benchmarkMap = {};
+      if (demoMode) {
+        fx = { base: baseCurrency, rates: { [baseCurrency]: 1 }, details: {}, error: 'skipped in demo mode (no simulated FX rates)' };
+        priced.forEach(({ symbol }) => {
+          fundamentalsMap[symbol] = buildDemoFundamentals(symbol);
+          benchmarkMap[symbol] = buildDemoBenchmark(symbol);
+        });
+      } else {
+        [fx, fundamentalsMap, benchmarkMap] = await Promise.all([
+          fetchFxRates([...quoteCurrencies, 'USD'], baseCurrency),
+          fetchFundamentals(priced),
+          fetchBenchmarks(priced)
+        ]);
+      }
+      const priceMap = {};
+      cleanedSymbols.forEach(symbol => {
+        priceMap[symbol] = applyFx(applyBenchmark(applyFundamentals(rawPriceMap[symbol], fundamentalsMap[symbol]), benchmarkMap[symbol]), fx);
+      });
+      
+      // Value holdings against the fetched prices
+      let portfolio = null;
+      if (isPortfolioMode) {
+        const quotes = {};
+        cleanedSymbols.forEach(symbol => {
+          quotes[symbol] = { price: priceMap[symbol].metrics.price, currency: priceMap[symbol].currency };
+        });
+        portfolio = { ...computePortfolio(parsedHoldings.holdings, quotes, fx), errors: parsedHoldings.errors };
+      }
+
+      // Risk from daily returns - holdings are weighted by market value, a watchlist equally
+      let weights = null;
+      if (portfolio) {
+        weights = {};
+        portfolio.positions.forEach(position => {
+          if (typeof position.weight === 'number') weights[position.symbol] = Number(position.weight.toFixed(4));
+        });
+      }
+      const risk = demoMode ? buildDemoRisk(priced, weights) : await fetchRisk(priced, weights);
+      if (risk) {
+        risk.weighting = weights ? 'holdings' : 'equal';
+        cleanedSymbols.forEach(symbol => {
+          priceMap[symbol] = applyRisk(priceMap[symbol], risk.results[symbol], risk.range);
+        });
+      }
+      
+      // Generate comprehensive financial analysis
+      const originalCount = isPortfolioMode ? parsedHoldings.lineCount : shareList.split(',').length;
+      const analysisReport = buildReport(cleanedSymbols, originalCount, priceMap, portfolio, fx, risk);
+      setReport(analysisReport);
+      setAnalysis(reportToMarkdown(analysisReport));
+      setComparison('');
+      setIsAnalyzing(false);
+
+      // Keep the run in the local history along with the inputs needed to re-run it
+      const savedName = watchlists.some(watchlist => watchlist.name === watchlistName.trim()) ? watchlistName.trim() : null;
+      const entry = createSavedAnalysis(analysisReport, {
+        mode: inputMode,
+        shareList,
+        holdingsText,
+        baseCurrency,
+        demoMode,
+        watchlistName: savedName
+      });
+      setOpenedAnalysisId(null);
+      persistAnalyses(addSavedAnalysis(savedAnalyses, entry));
+
+      const charted = cleanedSymbols
+        .filter(symbol => !priceMap[symbol].isError)
+        .map(symbol => ({ symbol, providerSymbol: priceMap[symbol].providerSymbol, currency: priceMap[symbol].currency }));
+      setChartSymbols(charted);
+      loadPriceHistories(charted, demoMode);
+      
+    } catch (error) {
+      setError(`Analysis failed: ${error.message}`);
+      setIsAnalyzing(false);
+    }
+  }, [shareList, inputMode, holdingsText, baseCurrency, demoMode, isApiWorking, testApiConnection, cleanAndValidateSymbols, fetchLatestPrices, fetchFundamentals, fetchBenchmarks, fetchRisk, fetchFxRates, loadPriceHistories, buildReport, watchlists, watchlistName, savedAnalyses]);
+
+  // Replays the ratings over the current list's history (see lib/backtest.js). Demo mode runs on the seeded fixtures
+  // in the browser, otherwise the API tests against cached provider history. Uses the configured benchmark for the
+  // first symbol's exchange.
+  const runRatingBacktest = useCallback(async () => {
+    const symbols = (inputMode === 'portfolio'
+      ? parseHoldings(holdingsText).holdings.map(holding => holding.symbol)
+      : cleanAndValidateSymbols(shareList)).slice(0, MAX_BACKTEST_SYMBOLS);
+    if (symbols.length === 0) {
+      setBacktest({ result: null, error: 'Enter some symbols to backtest', demo: demoMode });
+      return;
+    }
+
+    const benchmark = resolveBenchmark(parseSymbol(symbols[0]), benchmarkSettings);
+    const ratings = backtestOptions.includeHold ? ['BUY', 'HOLD'] : ['BUY'];
+    setIsBacktesting(true);
+
+    try {
+      let result;
+      if (demoMode) {
+        // Let the spinner paint before the replay blocks the page
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const seriesBySymbol = {};
+        symbols.forEach(symbol => {
+          seriesBySymbol[symbol] = generateDemoSnapshot(parseSymbol(symbol), { range: backtestOptions.range }).points;
+        });
+        const resolvedBenchmark = parseSymbol(benchmark);
+        result = runBacktest(
+          seriesBySymbol,
+          resolvedBenchmark.ok ? { symbol: resolvedBenchmark.canonical, points: generateDemoSnapshot(resolvedBenchmark, { range: backtestOptions.range }).points } : null,
+          { rebalance: backtestOptions.rebalance, ratings }
+        );
+        if (result.error) throw new Error(result.error);
+      } else {
+        const query = symbols.map(symbol => encodeURIComponent(symbol)).join(',');
+        // The replay can take most of the function's 30 second limit on a long list
+        const response = await fetchWithTimeout(
+          `${API_BASE_URL}/api/backtest?symbols=${query}&benchmark=${encodeURIComponent(benchmark)}&range=${backtestOptions.range}&rebalance=${backtestOptions.rebalance}&ratings=${ratings.join(',')}`,
+          {},
+          Math.max(API_TIMEOUT, 30000)
+        );
+        result = await response.json();
+        if (!response.ok) throw new Error(result.message || `HTTP ${response.status}`);
+      }
+      setBacktest({ result, error: null, demo: demoMode });
+    } catch (error) {
+      console.warn('Backtest failed:', error.message);
+      setBacktest({ result: null, error: error.message, demo: demoMode });
+    } finally {
+      setIsBacktesting(false);
+    }
+  }, [inputMode, holdingsText, shareList, demoMode, benchmarkSettings, backtestOptions, cleanAndValidateSymbols, API_BASE_URL, API_TIMEOUT]);
+
+  // Runs a re-run requested from the history once the restored inputs are in state
+  useEffect(() => {
+    if (!rerunRequested) return;
+    setRerunRequested(false);
+    analyzeShares();
+  }, [rerunRequested, analyzeShares]);
+
+  const copyToClipboard = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(reportToMarkdown(report, { badges: false, charts: false }));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy text: ', err);
+    }
+  }, [report]);
+
+  // Save the report in one of the export formats through a temporary object URL
+  const downloadReport = useCallback((format) => {
+    const renderers = {
+      markdown: () => reportToMarkdown(report, { badges: false, charts: false }),
+      html: () => reportToHtml(report),
+      csv: () => reportToCsv(report),
+      json: () => reportToJson(report)
+    };
+
+    try {
+      const blob = new Blob([renderers[format]()], { type: REPORT_FORMATS[format].mimeType });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = reportFileName(report, format);
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (err) {
+      console.error(`Failed to export ${format} report: `, err);
+      setError(`Export failed: ${err.message}`);
+    }
+  }, [report]);
+
+  // PDF goes through the browser's print dialog ("Save as PDF") using the print styles of the HTML export
+  const printReport = useCallback(() => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      setError('Export failed: allow pop-ups for this page to print or save the report as PDF');
+      return;
+    }
+
+    printWindow.document.open();
+    printWindow.document.write(reportToHtml(report));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  }, [report]);
+
+  const clearError = useCallback(() => setError(''), []);
+
+  // Configuration management
+  // The settings effect saves the new config and re-tests the connection
+  const updateApiConfig = useCallback((newConfig) => {
+    setApiConfig(prev => ({ ...prev, ...newConfig }));
+  }, []);
+
+  const resetApiConfig = useCallback(() => {
+    setApiConfig({
+      baseUrl: 'https://finmaster-api.vercel.app',
+      timeout: 15000,
+      corsMode: 'cors',
+      retryAttempts: 2,
+      apiKey: ''
+    });
+  }, []);
+
+  // Watchlists: save the current input under a name, load one back into the form, or delete it
+  const persistWatchlists = (next) => {
+    setWatchlists(next);
+    saveState(STORAGE_KEYS.watchlists, next);
+  };
+
+  const saveWatchlist = useCallback(() => {
+    const { name, message } = validateWatchlistName(watchlistName);
+    if (message) {
+      setError(message);
+      return;
+    }
+    if (!(inputMode === 'portfolio' ? holdingsText : shareList).trim()) {
+      setError('Nothing to save - enter symbols or holdings first');
+      return;
+    }
+
+    const { watchlists: next } = upsertWatchlist(watchlists, { name, mode: inputMode, shareList, holdingsText, baseCurrency });
+    persistWatchlists(next);
+    setWatchlistName(name);
+    setError('');
+  }, [watchlists, watchlistName, inputMode, shareList, holdingsText, baseCurrency]);
+
+  const loadWatchlist = useCallback((watchlist) => {
+    setInputMode(watchlist.mode);
+    setShareList(watchlist.shareList || '');
+    setHoldingsText(watchlist.holdingsText || '');
+    setBaseCurrency(watchlist.baseCurrency || 'USD');
+    setWatchlistName(watchlist.name);
+    setError('');
+  }, []);
+
+  const deleteWatchlist = useCallback((id) => {
+    persistWatchlists(removeWatchlist(watchlists, id));
+  }, [watchlists]);
+
+  // Analysis history. A failed save (usually the storage quota) retries once with the older half dropped.
+  const persistAnalyses = async (next) => {
+    setSavedAnalyses(next);
+    if (!(await saveState(STORAGE_KEYS.analyses, next)) && next.length > 1) {
+      const trimmed = next.slice(0, Math.ceil(next.length / 2));
+      setSavedAnalyses(trimmed);
+      await saveState(STORAGE_KEYS.analyses, trimmed);
+    }
+  };
+
+  // Put a saved analysis' inputs back into the form
+  const restoreInputs = (inputs) => {
+    setInputMode(inputs.mode || 'watchlist');
+    setShareList(inputs.shareList || '');
+    setHoldingsText(inputs.holdingsText || '');
+    setBaseCurrency(inputs.baseCurrency || 'USD');
+    setDemoMode(Boolean(inputs.demoMode));
+    setWatchlistName(inputs.watchlistName || '');
+  };
+
+  // Reopen exactly as generated - charts are left out since they would show today's history, not the saved snapshot
+  const openSavedAnalysis = useCallback((entry) => {
+    restoreInputs(entry.inputs);
+    setReport(entry.report);
+    setAnalysis(reportToMarkdown(entry.report, { charts: false }));
+    setChartSymbols([]);
+    setPriceHistories({});
+    setOpenedAnalysisId(entry.id);
+    setComparison('');
+    setError('');
+  }, []);
+
+  // Restore the inputs, then run once the form state has been applied (see the rerunRequested effect)
+  const rerunSavedAnalysis = useCallback((entry) => {
+    restoreInputs(entry.inputs);
+    setComparison('');
+    setRerunRequested(true);
+  }, []);
+
+  const deleteSavedAnalysis = useCallback((id) => {
+    persistAnalyses(removeSavedAnalysis(savedAnalyses, id));
+    setCompareIds(prev => prev.filter(item => item !== id));
+  }, [savedAnalyses]);
+
+  const toggleCompare = useCallback((id) => {
+    setCompareIds(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id].slice(-2)));
+  }, []);
+
+  const compareEntries = useMemo(
+    () => compareIds.map(id => savedAnalyses.find(entry => entry.id === id)).filter(Boolean),
+    [compareIds, savedAnalyses]
+  );
+  const canCompare = compareEntries.length === 2 && compareEntries[0].key === compareEntries[1].key;
+
+  const compareSavedAnalyses = useCallback(() => {
+    if (!canCompare) return;
+    const [earlier, later] = [...compareEntries].sort((a, b) => (a.savedAt < b.savedAt ? -1 : 1));
+    setComparison(diffToMarkdown(diffReports(earlier.report, later.report)));
+  }, [canCompare, compareEntries]);
+
+  // Price alerts. The poller quotes every symbol with an enabled rule through the batch endpoint (seeded demo
+  // quotes in demo mode); the evaluate effect below turns each poll into rule state, log entries and notifications.
+  const persistAlertRules = (next) => {
+    setAlertRules(next);
+    saveState(STORAGE_KEYS.alerts, next);
+  };
+
+  const persistAlertLog = (next) => {
+    setAlertLog(next);
+    saveState(STORAGE_KEYS.alertLog, next);
+  };
+
+  // A string so the poller only restarts when the set of watched symbols changes, not on every rule update
+  const alertSymbolsKey = useMemo(() => alertSymbols(alertRules).join(','), [alertRules]);
+
+  const checkAlerts = useCallback(async () => {
+    const symbols = alertSymbolsKey ? alertSymbolsKey.split(',') : [];
+    if (symbols.length === 0) return;
+
+    setIsCheckingAlerts(true);
+    const quotes = {};
+    const errors = {};
+
+    if (demoMode) {
+      symbols.forEach(symbol => {
+        const resolved = parseSymbol(symbol);
+        quotes[symbol] = buildQuote(generateDemoSnapshot(resolved, { range: ALERT_QUOTE_RANGE }), resolved);
+      });
+    } else {
+      for (let i = 0; i < symbols.length; i += MAX_BATCH_SYMBOLS) {
+        const chunk = symbols.slice(i, i + MAX_BATCH_SYMBOLS);
+
+        try {
+          const query = chunk.map(symbol => encodeURIComponent(parseSymbol(symbol).provider)).join(',');
+          const response = await fetchWithTimeout(`${API_BASE_URL}/api/quotes?symbols=${query}&range=${ALERT_QUOTE_RANGE}&interval=${ALERT_QUOTE_INTERVAL}`);
+          if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          const data = await response.json();
+
+          chunk.forEach(symbol => {
+            const result = data.results && data.results[symbol];
+            if (result && result.success) {
+              quotes[symbol] = result.data;
+            } else {
+              errors[symbol] = result ? `${result.error}: ${result.message}` : 'Symbol missing from batch response';
+            }
+          });
+        } catch (error) {
+          console.warn(`Alert quotes failed for ${chunk.join(', ')}:`, error.message);
+          chunk.forEach(symbol => { errors[symbol] = error.message; });
+        }
+      }
+    }
 
-  const cleanAndValidateSymbols = useCallback((input) => {
-    if (!input || typeof input !== 'string') return [];
-    
-    // Split by comma and clean each symbol
-    const symbols = input.split(',').map(symbol => {
-      if (!symbol) return null;
-      
-      // Remove quotes, extra spaces, and other invalid characters
-      let cleaned = symbol.trim().replace(/['"]/g, '').replace(/[^A-Za-z0-9:.]/g, '');
-      
-      // Convert to uppercase
-      cleaned = cleaned.toUpperCase();
-      
-      // Validate format: either 2-6 letters or MARKET:SYMBOL (2-6 letters each part)
-      const marketSymbolPattern = /^[A-Z]{2,6}:[A-Z]{2,6}$/;
-      const symbolPattern = /^[A-Z]{2,6}$/;
-      
-      if (marketSymbolPattern.test(cleaned) || symbolPattern.test(cleaned)) {
-        return cleaned;
+    setAlertQuotes({ quotes, errors, checkedAt: new Date().toISOString() });
+    setIsCheckingAlerts(false);
+  }, [alertSymbolsKey, demoMode, apiConfig]);
+
+  // Poll once the stored rules are restored, and straight away whenever the watched symbols or the source change
+  useEffect(() => {
+    if (!storageLoaded || !alertSymbolsKey) return undefined;
+
+    checkAlerts();
+    const timer = setInterval(checkAlerts, ALERT_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [storageLoaded, checkAlerts]);
+
+  // Browser notifications need the user's permission; without it alerts still show in the page and the log
+  const showBrowserNotifications = (events) => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+
+    events.forEach(event => {
+      try {
+        new Notification(`FinMaster alert: ${event.symbol}`, { body: event.message, tag: event.ruleId });
+      } catch (error) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.warn('Browser notification failed:', error.message);
       }
-      
-      return null; // Invalid symbol
-    }).filter(symbol => symbol !== null);
-    
-    // Remove duplicates
-    return [...new Set(symbols)];
-  }, []);
+    });
+  };
+
+  // Evaluate the rules against each completed poll
+  useEffect(() => {
+    if (!alertQuotes) return;
 
-  const fetchLatestPrice = useCallback(async (symbol) => {
+    const { rules, events } = evaluateAlerts(alertRules, alertQuotes.quotes, new Date(alertQuotes.checkedAt));
+    persistAlertRules(rules);
+    if (events.length === 0) return;
+
+    persistAlertLog(addAlertLogEntries(alertLog, events));
+    setAlertNotifications(prev => [...[...events].reverse(), ...prev].slice(0, MAX_ALERT_NOTIFICATIONS));
+    showBrowserNotifications(events);
+  }, [alertQuotes]);
+
+  const requestNotificationPermission = useCallback(async () => {
+    if (typeof Notification === 'undefined') return;
     try {
-      const response = await fetchWithTimeout(`${API_BASE_URL}/api/stock/${encodeURIComponent(symbol)}`);
-      
-      if (!response.ok) {
-        const errorBody = await response.text();
-        throw new Error(`HTTP ${response.status}: ${response.statusText}. ${errorBody}`);
-      }
-      
-      const data = await response.json();
-      
-      // Handle the new API response structure
-      if (!data.currentPrice && typeof data.currentPrice !== 'number') {
-        throw new Error('Invalid API response structure - missing current price');
-      }
-      
-      // Calculate year performance if we have current and previous close
-      const currentPrice = data.currentPrice;
-      const prevClose = data.previousClose;
-      const yearPerf = prevClose ? ((currentPrice - prevClose) / prevClose * 100) : 0;
-      
-      return {
-        price: formatCurrency(currentPrice),
-        timestamp: new Date().toLocaleString(),
-        high52Week: formatCurrency(data.fiftyTwoWeekHigh, 2),
-        low52Week: formatCurrency(data.fiftyTwoWeekLow, 2),
-        yearPerformance: formatCurrency(yearPerf, 1),
-        previousClose: formatCurrency(prevClose, 2),
-        currency: data.currency || 'USD',
-        exchangeName: data.exchangeName || 'Unknown Exchange',
-        symbol: data.symbol || symbol,
-        marketCap: 'N/A', // Not provided in this API
-        volume: formatVolume(data.regularMarketVolume),
-        isSimulated: false
-      };
-      
+      setNotificationPermission(await Notification.requestPermission());
     } catch (error) {
-      console.warn(`API failed for ${symbol}:`, error.message);
-      
-      // Enhanced fallback with more realistic simulated data
-      const basePrice = symbol.includes('AAPL') ? 175 : 
-                       symbol.includes('MSFT') ? 340 : 
-                       symbol.includes('GOOGL') ? 2800 : 
-                       symbol.includes('STXRES') || symbol.includes('JSE:') ? (50 + Math.random() * 200) :
-                       (20 + Math.random() * 300);
-      
-      const variation = 0.8 + Math.random() * 0.4; // 0.8 to 1.2 multiplier
-      const mockPrice = safeParseFloat(basePrice * variation);
-      
+      console.warn('Notification permission request failed:', error.message);
+    }
+  }, []);
+
+  // Switching the rule type resets the value to that type's default (e.g. the rating's near-low threshold)
+  const updateAlertForm = useCallback((changes) => {
+    setAlertForm(prev => {
+      if (!changes.type || changes.type === prev.type) return { ...prev, ...changes };
+      const alertType = ALERT_TYPES[changes.type];
       return {
-        price: formatCurrency(mockPrice),
-        timestamp: new Date().toLocaleString() + ' ⚠️ DEMO DATA',
-        high52Week: formatCurrency(mockPrice * (1.2 + Math.random() * 0.3)),
-        low52Week: formatCurrency(mockPrice * (0.6 + Math.random() * 0.2)),
-        yearPerformance: formatCurrency((Math.random() - 0.3) * 50, 1), // Slightly positive bias
-        previousClose: formatCurrency(mockPrice * (0.98 + Math.random() * 0.04)),
-        currency: symbol.includes('JSE:') || symbol.includes('STXRES') ? 'ZAR' : 'USD',
-        exchangeName: symbol.includes('JSE:') || symbol.includes('STXRES') ? 'Johannesburg Stock Exchange' : 
-                     symbol.includes('LON:') ? 'London Stock Exchange' :
-                     'NASDAQ/NYSE',
-        symbol: symbol,
-        marketCap: `${(Math.random() * 500 + 10).toFixed(1)}B`,
-        volume: formatVolume(Math.floor(Math.random() * 10000000 + 100000)),
-        isSimulated: true,
-        errorDetails: error.message
+        ...prev,
+        ...changes,
+        value: alertType.defaultValue !== undefined ? String(alertType.defaultValue) : '',
+        direction: alertType.directions ? alertType.directions[0] : null
       };
+    });
+  }, []);
+
+  const addAlert = useCallback(() => {
+    const { rule, message } = createAlertRule({
+      symbol: alertForm.symbol,
+      type: alertForm.type,
+      value: alertForm.value,
+      direction: alertForm.direction || undefined,
+      indicator: alertForm.indicator
+    });
+    if (message) {
+      setError(`Alert not added: ${message}`);
+      return;
     }
+
+    persistAlertRules(addAlertRule(alertRules, rule));
+    setAlertForm(prev => ({ ...prev, symbol: '' }));
+    setError('');
+  }, [alertForm, alertRules]);
+
+  const deleteAlert = useCallback((id) => {
+    persistAlertRules(removeAlertRule(alertRules, id));
+  }, [alertRules]);
+
+  const toggleAlert = useCallback((id) => {
+    persistAlertRules(toggleAlertRule(alertRules, id));
+  }, [alertRules]);
+
+  const clearAlertLog = useCallback(() => {
+    persistAlertLog([]);
   }, []);
 
-  // Memoize analysis generation for performance
-  const generateAnalysis = useMemo(() => {
-    return (cleanedSymbols, originalCount, priceMap) => {
-      const liveDataCount = cleanedSymbols.filter(symbol => priceMap[symbol] && !priceMap[symbol].isSimulated).length;
-      const simulatedDataCount = cleanedSymbols.length - liveDataCount;
-
-      return `# Financial Investment Analysis Report
-*Generated: ${new Date().toLocaleString()} | Investment Horizon: 2-3 Years*
-*Data Source: FinMaster API Integration*
-
-## Data Quality Summary
-• **Live Market Data**: ${liveDataCount} symbols
-• **Demo Data (API Issues)**: ${simulatedDataCount} symbols
-• **Total Analyzed**: ${cleanedSymbols.length} symbols
-• **API Status**: ${isApiWorking ? '✅ Connected' : '⚠️ Using Fallback Data'}
-
-## Symbol Processing Summary
-• **Original Input**: ${shareList}
-• **Cleaned Symbols**: ${cleanedSymbols.join(', ')}
-• **Valid Symbols Found**: ${cleanedSymbols.length}
-• **Invalid/Removed**: ${originalCount - cleanedSymbols.length}
-
-## Investment Recommendations
-
-| **Share** | **Latest Price** | **Market Cap** | **Volume** | **52-Week Range** | **1-Year Perf.** | **Exchange** | **Recommendation** |
-|-----------|------------------|----------------|------------|-------------------|------------------|--------------|-------------------|
-${cleanedSymbols.map(share => {
-  const data = priceMap[share];
-  if (!data) return `| **${share}** | **N/A** | N/A | N/A | N/A | N/A | N/A | **WAIT** |`;
-  
-  const yearPerf = safeParseFloat(data.yearPerformance);
-  const recommendation = yearPerf > 10 ? 'BUY' : 
-                        yearPerf < -15 ? 'WAIT' : 
-                        Math.random() > 0.5 ? 'BUY' : 'WAIT';
-  const priceDisplay = data.isSimulated ? `${data.currency} ${data.price} ⚠️` : `${data.currency} ${data.price}`;
-  
-  return `| **${data.symbol}** | **${priceDisplay}** | ${data.marketCap} | ${data.volume} | ${data.currency} ${data.low52Week} - ${data.currency} ${data.high52Week} | ${data.yearPerformance}% | ${data.exchangeName} | **${recommendation}** |`;
-}).join('\n')}
+  const dismissAlertNotification = useCallback((id) => {
+    setAlertNotifications(prev => prev.filter(event => event.id !== id));
+  }, []);
 
-## Detailed Share Analysis
+  // Live quotes for the priced symbols of the report on screen (not in demo mode, whose prices never move).
+  // Each poll asks the batch endpoint for the symbols that are due (see selectDueSymbols); the loop reschedules
+  // itself so the delay can grow while the tab is hidden, and polls straight away when the tab becomes visible again.
+  const liveSymbolsKey = chartSymbols.map(entry => entry.symbol).join(',');
+  const liveActive = liveSettings.enabled && !demoMode && liveSymbolsKey !== '';
 
-${cleanedSymbols.map(share => {
-  const data = priceMap[share];
-  if (!data) return `### ${share} - Data Unavailable\n**Recommendation: WAIT** - No data available for analysis\n---`;
-  
-  const yearPerf = safeParseFloat(data.yearPerformance);
-  const currentPrice = safeParseFloat(data.price);
-  const low52Week = safeParseFloat(data.low52Week);
-  
-  const recommendation = yearPerf > 10 ? 'BUY' : 
-                        yearPerf < -15 ? 'WAIT' : 
-                        Math.random() > 0.5 ? 'BUY' : 'WAIT';
-  const isNearLow = currentPrice > 0 && low52Week > 0 && currentPrice < (low52Week * 1.15);
-  
-  return `### ${data.symbol} - ${data.currency} ${data.price} ${data.isSimulated ? '⚠️ DEMO' : '✅ LIVE'}
-*Exchange: ${data.exchangeName} | Updated: ${data.timestamp}*
-*Market Cap: ${data.marketCap} | Volume: ${data.volume}*
-
-**Recommendation: ${recommendation}**
-
-**Comprehensive Price Analysis:**
-• Current Price: ${data.currency} ${data.price}
-• Previous Close: ${data.currency} ${data.previousClose} 
-• 52-Week High: ${data.currency} ${data.high52Week}
-• 52-Week Low: ${data.currency} ${data.low52Week}
-• 1-Year Performance: ${data.yearPerformance}%
-• Daily Volume: ${data.volume}
-• Market Capitalization: ${data.marketCap}
-
-**Technical Position:**
-${isNearLow ? '📉 Currently trading near 52-week lows - potential value opportunity' : '📊 Trading within normal range of 52-week performance'}
-${yearPerf > 20 ? '🚀 Strong positive momentum with >20% annual gains' : 
-  yearPerf > 0 ? '📈 Modest positive performance year-over-year' : 
-  yearPerf > -10 ? '⚖️ Slight negative performance within normal market volatility' :
-  '📉 Significant underperformance requiring fundamental analysis'}
-
-${recommendation === 'BUY' ? 
-  `**Investment Thesis (BUY):** ${isNearLow ? 
-    `Strong value opportunity with current price near 52-week lows at ${data.currency} ${data.price}. Annual performance of ${data.yearPerformance}% suggests temporary weakness rather than fundamental deterioration. Market cap of ${data.marketCap} indicates sufficient liquidity with daily volume of ${data.volume}. Recommend accumulation for 2-3 year investment horizon.` :
-    `Solid fundamentals support current valuation at ${data.currency} ${data.price} with ${data.yearPerformance}% annual performance demonstrating resilience. Market cap of ${data.marketCap} and healthy trading volume of ${data.volume} provide confidence in liquidity. Technical indicators and market positioning favor long-term accumulation.`
-  }` :
-  `**Investment Caution (WAIT):** Current valuation at ${data.currency} ${data.price} appears elevated relative to ${data.yearPerformance}% annual performance. Market cap of ${data.marketCap} suggests adequate size but limited near-term catalysts. Recommend monitoring for better entry points below current levels or fundamental improvements before investment.`
-}
-
-**Risk Assessment:**
-• Currency Exposure: ${data.currency} denominated with exchange rate implications
-• Liquidity Risk: ${safeParseInt(data.volume.replace(/,/g, '')) > 1000000 ? 'Low (high volume)' : 'Moderate (lower volume)'}
-• Market Cap Risk: ${data.marketCap.includes('B') && safeParseFloat(data.marketCap) > 10 ? 'Low (large cap)' : 'Moderate (mid/small cap)'}
-• Volatility: ${Math.abs(yearPerf) > 30 ? 'High' : Math.abs(yearPerf) > 15 ? 'Moderate' : 'Low'}
-
-${data.isSimulated ? `⚠️ **Data Limitation Notice:** API request failed. Analysis based on realistic demo data. 
-**Error Details:** ${data.errorDetails}` : ''}
-
----`;
-}).join('\n')}
-
-## Portfolio Strategy Summary
-
-${liveDataCount > 0 ? 
-  `Analysis incorporates ${liveDataCount} live market data points providing current market conditions.` :
-  'Analysis based on demo data due to API connectivity issues. Recommendations should be verified with live market data.'
-}
-
-**Key Considerations:**
-• Currency volatility impact on international operations
-• Central bank policy shifts affecting interest-sensitive sectors
-• Geopolitical developments influencing commodity prices
-• Market liquidity and trading volume analysis
-
-**Recommended Actions:**
-- BUY recommendations: Consider for long-term positions
-- WAIT recommendations: Monitor for better entry opportunities
-- Review portfolio allocation quarterly
-
-*This analysis is powered by FinMaster's enhanced API integration with improved error handling and fallback mechanisms.*`;
+  useEffect(() => {
+    setLiveQuotes({});
+    setLiveStatus(null);
+    if (!liveActive) return undefined;
+
+    const symbols = liveSymbolsKey.split(',');
+    const { intervalMs, extendedHours } = liveSettings;
+    const marketStates = {};
+    const lastPolled = {};
+    let cancelled = false;
+    let inFlight = false;
+    let hiddenPolls = 0;
+    let pollTimer = null;
+    let flashTimer = null;
+
+    const isHidden = () => typeof document !== 'undefined' && Boolean(document.hidden);
+
+    const schedule = (delayMs) => {
+      clearTimeout(pollTimer);
+      pollTimer = setTimeout(poll, delayMs);
+      setLiveStatus({
+        nextPollAt: new Date(Date.now() + delayMs).toISOString(),
+        delayMs,
+        hidden: hiddenPolls > 0,
+        liveCount: symbols.filter(symbol => isMarketLive(marketStates[symbol], { extendedHours })).length
+      });
     };
-  }, [shareList, isApiWorking]);
 
-  const analyzeShares = useCallback(async () => {
-    if (!shareList.trim()) {
-      setError('Please enter at least one share symbol');
-      return;
-    }
+    const poll = async () => {
+      inFlight = true;
+      const now = Date.now();
+      const due = selectDueSymbols(symbols, { marketStates, lastPolled, now, intervalMs, extendedHours });
 
-    // Clean and validate symbols
-    const cleanedSymbols = cleanAndValidateSymbols(shareList);
-    
-    if (cleanedSymbols.length === 0) {
-      setError('No valid symbols found. Please enter valid stock symbols (e.g., AAPL, MSFT, JSE:STXRES)');
-      return;
-    }
+      if (due.length > 0) {
+        const results = {};
+        try {
+          const query = due.map(symbol => encodeURIComponent(parseSymbol(symbol).provider)).join(',');
+          // Same window as the report's quotes, so the day change is measured the same way (and the cached copy is shared)
+          const response = await fetchWithTimeout(`${API_BASE_URL}/api/quotes?symbols=${query}&range=${HISTORY_RANGE}&interval=${HISTORY_INTERVAL}`);
+          if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          const data = await response.json();
 
-    setIsAnalyzing(true);
-    setError('');
-    
-    try {
-      // Re-test API connection if it was previously failing
-      if (!isApiWorking) {
-        console.log('Re-testing API connection before analysis...');
-        await testApiConnection();
+          due.forEach(symbol => {
+            const result = data.results && data.results[symbol];
+            if (result && result.success) {
+              results[symbol] = { data: result.data };
+              marketStates[symbol] = result.data.marketState;
+            } else {
+              results[symbol] = { error: result ? result.message : 'Symbol missing from batch response' };
+            }
+          });
+        } catch (error) {
+          console.warn(`Live quotes failed for ${due.join(', ')}:`, error.message);
+          due.forEach(symbol => { results[symbol] = { error: error.message }; });
+        }
+        due.forEach(symbol => { lastPolled[symbol] = now; });
+
+        if (cancelled) return;
+        setLiveQuotes(prev => mergeLiveQuotes(prev, results, new Date(now).toISOString()));
+        clearTimeout(flashTimer);
+        flashTimer = setTimeout(() => setLiveQuotes(prev => clearFlashes(prev)), LIVE_FLASH_MS);
       }
 
-      // Fetch latest prices for all cleaned symbols
-      const pricePromises = cleanedSymbols.map(share => fetchLatestPrice(share));
-      const priceData = await Promise.all(pricePromises);
-      
-      // Create price map
-      const priceMap = {};
-      cleanedSymbols.forEach((share, index) => {
-        priceMap[share] = priceData[index];
-      });
-      
-      // Generate comprehensive financial analysis
-      const originalCount = shareList.split(',').length;
-      const analysisResult = generateAnalysis(cleanedSymbols, originalCount, priceMap);
-      setAnalysis(analysisResult);
-      setIsAnalyzing(false);
-      
-    } catch (error) {
-      setError(`Analysis failed: ${error.message}`);
-      setIsAnalyzing(false);
-    }
-  }, [shareList, isApiWorking, testApiConnection, cleanAndValidateSymbols, fetchLatestPrice, generateAnalysis]);
+      inFlight = false;
+      if (cancelled) return;
+      hiddenPolls = isHidden() ? hiddenPolls + 1 : 0;
+      schedule(nextPollDelay(intervalMs, hiddenPolls));
+    };
 
-  const copyToClipboard = useCallback(async () => {
-    try {
-      await navigator.clipboard.writeText(analysis);
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
-    } catch (err) {
-      console.error('Failed to copy text: ', err);
-    }
-  }, [analysis]);
+    const onVisibilityChange = () => {
+      if (!isHidden() && hiddenPolls > 0 && !inFlight) {
+        hiddenPolls = 0;
+        schedule(0);
+      }
+    };
 
-  const clearError = useCallback(() => setError(''), []);
+    if (typeof document !== 'undefined') document.addEventListener('visibilitychange', onVisibilityChange);
+    poll();
 
-  // Configuration management
-  const updateApiConfig = useCallback((newConfig) => {
-    setApiConfig(prev => ({ ...prev, ...newConfig }));
-    // Re-test connection when config changes
-    setTimeout(testApiConnection, 500);
-  }, [testApiConnection]);
+    return () => {
+      cancelled = true;
+      clearTimeout(pollTimer);
+      clearTimeout(flashTimer);
+      if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  }, [liveActive, liveSymbolsKey, liveSettings, apiConfig]);
 
-  const resetApiConfig = useCallback(() => {
-    setApiConfig({
-      baseUrl: 'https://finmaster-api.vercel.app',
-      timeout: 15000,
-      corsMode: 'cors',
-      retryAttempts: 2
-    });
-    setTimeout(testApiConnection, 500);
-  }, [testApiConnection]);
+  const updateLiveSettings = useCallback((changes) => {
+    setLiveSettings(prev => ({ ...prev, ...changes }));
+  }, []);
 
   // Memoized analysis display component for performance
   const AnalysisDisplay = useMemo(() => {
+    if (comparison) {
+      return (
+        <div className="prose prose-invert prose-sm max-w-none text-slate-200">
+          <MarkdownReport markdown={comparison} renderDirective={() => null} />
+        </div>
+      );
+    }
+
     if (!analysis) {
       return (
         <div className="h-full flex items-center justify-center text-slate-400">
@@ -464,23 +2050,33 @@ ${liveDataCount > 0 ?
       );
     }
 
+    // Charts are placed by {{comparison-chart}}, {{correlation-heatmap}} and {{chart:SYMBOL}} lines in the report
+    const renderDirective = ({ name, value }) => {
+      if (name === 'comparison-chart') {
+        return <ComparisonChart symbols={chartSymbols.map(entry => entry.symbol)} histories={priceHistories} />;
+      }
+      if (name === 'correlation-heatmap') {
+        return report && report.risk ? <CorrelationHeatmap correlation={report.risk.correlation} /> : null;
+      }
+      const chartEntry = name === 'chart' && chartSymbols.find(entry => entry.symbol === value);
+      return chartEntry
+        ? <PriceChart symbol={chartEntry.symbol} history={priceHistories[chartEntry.symbol]} currency={chartEntry.currency} />
+        : null;
+    };
+
+    const opened = openedAnalysisId && savedAnalyses.find(entry => entry.id === openedAnalysisId);
+
     return (
-      <div 
-        className="prose prose-invert prose-sm max-w-none text-slate-200"
-        dangerouslySetInnerHTML={{
-          __html: analysis
-            .replace(/\*\*(.*?)\*\*/g, '<strong class="text-green-400">$1</strong>')
-            .replace(/\*(.*?)\*/g, '<em class="text-blue-300">$1</em>')
-            .replace(/#{3} (.*$)/gm, '<h3 class="text-lg font-semibold mt-4 mb-2 text-white">$1</h3>')
-            .replace(/#{2} (.*$)/gm, '<h2 class="text-xl font-bold mt-6 mb-3 text-green-400">$1</h2>')
-            .replace(/^# (.*$)/gm, '<h1 class="text-2xl font-bold mt-8 mb-4 text-white">$1</h1>')
-            .replace(/\n/g, '<br>')
-            .replace(/BUY/g, '<span class="bg-green-500 text-white px-2 py-1 rounded font-bold">BUY</span>')
-            .replace(/WAIT/g, '<span class="bg-yellow-500 text-black px-2 py-1 rounded font-bold">WAIT</span>')
-        }}
-      />
+      <div className="prose prose-invert prose-sm max-w-none text-slate-200">
+        {opened && (
+          <div className="not-prose mb-4 text-xs text-blue-200 bg-blue-900 bg-opacity-40 px-3 py-2 rounded-lg">
+            Saved analysis from {new Date(opened.savedAt).toLocaleString()} - prices are the snapshot used at the time. Re-run it from the history for current data.
+          </div>
+        )}
+        <MarkdownReport markdown={analysis} renderDirective={renderDirective} />
+      </div>
     );
-  }, [analysis]);
+  }, [analysis, report, comparison, chartSymbols, priceHistories, openedAnalysisId, savedAnalyses]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-800 relative overflow-hidden">
@@ -496,6 +2092,25 @@ ${liveDataCount > 0 ?
       <div className="absolute top-40 right-20 w-32 h-32 bg-blue-400 bg-opacity-20 rounded-full blur-xl" />
       <div className="absolute bottom-20 left-1/4 w-24 h-24 bg-purple-400 bg-opacity-20 rounded-full blur-xl" />
 
+      {/* In-app alert notifications */}
+      {alertNotifications.length > 0 && (
+        <div className="fixed bottom-4 right-4 z-50 w-80 space-y-2" role="status" aria-live="polite">
+          {alertNotifications.map(event => (
+            <div key={event.id} className="flex items-start p-3 bg-slate-900 border border-yellow-400 border-opacity-60 rounded-lg shadow-2xl text-sm">
+              <BellRing className="w-5 h-5 mr-2 flex-shrink-0 text-yellow-400" />
+              <div className="min-w-0 flex-1">
+                <div className="font-semibold text-white">{event.symbol}</div>
+                <div className="text-slate-300">{event.message}</div>
+                <div className="text-xs text-slate-500 mt-1">{new Date(event.triggeredAt).toLocaleTimeString()}</div>
+              </div>
+              <button onClick={() => dismissAlertNotification(event.id)} aria-label="Dismiss alert" className="p-1 ml-2 text-slate-400 hover:text-white">
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="relative z-10 container mx-auto px-6 py-8">
         {/* Header */}
         <div className="text-center mb-8">
@@ -582,7 +2197,7 @@ ${liveDataCount > 0 ?
                           className="w-full px-2 py-1 text-xs bg-slate-700 border border-slate-600 rounded text-white"
                           placeholder="https://finmaster-api.vercel.app"
                         />
-                        <p className="text-xs text-slate-400 mt-1">Should have /api/health and /api/stock endpoints</p>
+                        <p className="text-xs text-slate-400 mt-1">Should have /api/health, /api/stock and /api/quotes endpoints</p>
                       </div>
                       <div className="grid grid-cols-2 gap-2">
                         <div>
@@ -620,6 +2235,18 @@ ${liveDataCount > 0 ?
                           <option value="same-origin">Same-Origin</option>
                         </select>
                       </div>
+                      <div>
+                        <label className="block text-xs text-slate-300 mb-1">API Key</label>
+                        <input
+                          type="password"
+                          value={apiConfig.apiKey}
+                          onChange={(e) => updateApiConfig({ apiKey: e.target.value.trim() })}
+                          className="w-full px-2 py-1 text-xs bg-slate-700 border border-slate-600 rounded text-white"
+                          placeholder="Only needed if the API is deployed with API_KEYS"
+                          autoComplete="off"
+                        />
+                        <p className="text-xs text-slate-400 mt-1">Sent as the X-API-Key header and saved in this browser with the other settings</p>
+                      </div>
                       <div className="flex space-x-2 pt-2">
                         <button
                           onClick={testApiConnection}
@@ -670,25 +2297,179 @@ export default async function handler(req, res) {
               </div>
               
               <div className="space-y-4">
-                <div>
-                  <label htmlFor="shareList" className="block text-sm font-medium text-slate-300 mb-2">
-                    Enter Share Symbols (comma-separated)
+                {/* Input Mode Toggle and Base Currency */}
+                <div className="flex items-center space-x-2">
+                  {[['watchlist', 'Watchlist'], ['portfolio', 'Portfolio Holdings']].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      onClick={() => {
+                        setInputMode(mode);
+                        clearError();
+                      }}
+                      className={`px-3 py-1 text-sm rounded-lg transition-colors ${
+                        inputMode === mode ? 'bg-green-600 text-white' : 'bg-slate-700 bg-opacity-50 text-slate-300 hover:bg-opacity-70'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                  <div className="flex-1" />
+                  <label htmlFor="baseCurrency" className="text-sm text-slate-300">Base Currency</label>
+                  <select
+                    id="baseCurrency"
+                    value={baseCurrency}
+                    onChange={(e) => setBaseCurrency(e.target.value)}
+                    className="px-2 py-1 text-sm bg-slate-700 border border-slate-600 rounded text-white"
+                  >
+                    {BASE_CURRENCIES.map(currency => (
+                      <option key={currency} value={currency}>{currency}</option>
+                    ))}
+                  </select>
+                  <label htmlFor="demoMode" className="flex items-center space-x-1 text-sm text-slate-300" title={`Seeded demo prices as of ${DEMO_AS_OF} - repeatable, never live`}>
+                    <input
+                      id="demoMode"
+                      type="checkbox"
+                      checked={demoMode}
+                      onChange={(e) => setDemoMode(e.target.checked)}
+                      className="rounded border-slate-600 bg-slate-700"
+                    />
+                    <span>Demo Mode</span>
                   </label>
-                  <textarea
-                    id="shareList"
-                    value={shareList}
-                    onChange={(e) => {
-                      setShareList(e.target.value);
-                      clearError();
-                    }}
-                    placeholder="e.g., AAPL, MSFT, GOOGL, STXRES, NPN"
-                    className="w-full h-32 px-4 py-3 bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent resize-none text-white placeholder-slate-400"
-                  />
-                  <p className="text-xs text-slate-400 mt-2">
-                    Valid formats: AAPL, MSFT, JSE:STXRES (will convert to STXRES.JO), LON:BARC (will convert to BARC.L)
-                  </p>
                 </div>
 
+                {demoMode && (
+                  <div className="text-xs text-yellow-300 bg-yellow-900 bg-opacity-30 px-3 py-2 rounded-lg">
+                    ⚠️ Demo mode: the API is not called. Prices are seeded fixtures as of {DEMO_AS_OF} and are not live market data.
+                  </div>
+                )}
+
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <label htmlFor="benchmarkMode" className="text-slate-300">Benchmark</label>
+                  <select
+                    id="benchmarkMode"
+                    value={benchmarkSettings.mode}
+                    onChange={(e) => setBenchmarkSettings(prev => ({ ...prev, mode: e.target.value }))}
+                    className="px-2 py-1 text-sm bg-slate-700 border border-slate-600 rounded text-white"
+                  >
+                    <option value="exchange">Per exchange</option>
+                    <option value="single">One index for all</option>
+                  </select>
+                  {benchmarkSettings.mode === 'single' ? (
+                    <>
+                      <label htmlFor="benchmarkSingle" className="sr-only">Benchmark symbol</label>
+                      <input
+                        id="benchmarkSingle"
+                        type="text"
+                        value={benchmarkSettings.single}
+                        onChange={(e) => setBenchmarkSettings(prev => ({ ...prev, single: e.target.value.toUpperCase() }))}
+                        placeholder={DEFAULT_BENCHMARKS.US}
+                        className="w-32 px-2 py-1 text-sm bg-slate-700 border border-slate-600 rounded text-white placeholder-slate-400"
+                      />
+                    </>
+                  ) : benchmarkExchanges.map(exchange => (
+                    <label key={exchange} className="flex items-center space-x-1 text-xs text-slate-300">
+                      <span>{exchange}</span>
+                      <input
+                        type="text"
+                        value={benchmarkSettings.overrides[exchange] || ''}
+                        onChange={(e) => updateBenchmarkOverride(exchange, e.target.value)}
+                        placeholder={DEFAULT_BENCHMARKS[exchange] || DEFAULT_BENCHMARKS.US}
+                        className="w-28 px-2 py-1 text-sm bg-slate-700 border border-slate-600 rounded text-white placeholder-slate-400"
+                      />
+                    </label>
+                  ))}
+                  <span className="text-xs text-slate-400">1-year excess return, beta and correlation per share</span>
+                </div>
+
+                {inputMode === 'watchlist' ? (
+                  <div>
+                    <label htmlFor="shareList" className="block text-sm font-medium text-slate-300 mb-2">
+                      Enter Share Symbols (comma-separated)
+                    </label>
+                    <div className="relative">
+                      <textarea
+                        id="shareList"
+                        value={shareList}
+                        onChange={(e) => {
+                          setShareList(e.target.value);
+                          clearError();
+                        }}
+                        onKeyDown={handleShareListKeyDown}
+                        onBlur={() => setTimeout(() => setSuggestions([]), 150)}
+                        placeholder="e.g., AAPL, BRK.B, JSE:STXRES, 0700.HK, ^GSPC, EURUSD=X, BTC-USD"
+                        className="w-full h-32 px-4 py-3 bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent resize-none text-white placeholder-slate-400"
+                        autoComplete="off"
+                      />
+
+                      {/* Typeahead Suggestions */}
+                      {suggestions.length > 0 && (
+                        <ul className="absolute z-20 left-0 right-0 mt-1 max-h-64 overflow-y-auto bg-slate-800 border border-slate-600 rounded-lg shadow-2xl">
+                          {suggestions.map((result, index) => (
+                            <li
+                              key={result.symbol}
+                              onMouseDown={(e) => {
+                                e.preventDefault();
+                                applySuggestion(result);
+                              }}
+                              className={`px-3 py-2 cursor-pointer text-sm ${
+                                index === activeSuggestion ? 'bg-green-700 bg-opacity-50' : 'hover:bg-slate-700'
+                              }`}
+                            >
+                              <div className="flex items-center justify-between">
+                                <span className="font-semibold text-white">{result.canonicalSymbol}</span>
+                                <span className="text-xs text-slate-400">{[result.exchange, result.type, result.currency].filter(Boolean).join(' · ')}</span>
+                              </div>
+                              <div className="text-xs text-slate-300 truncate">{result.name}</div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                    <p className="text-xs text-slate-400 mt-2">
+                      Valid formats: AAPL, F, BRK.B / BF-B (class shares), JSE:STXRES or STXRES.JO, 0700.HK / 7203.T (numeric codes), ^GSPC (indices), EURUSD=X or EUR/USD (FX), BTC-USD (crypto), ES=F (futures)
+                    </p>
+
+                    {/* Per-symbol validity */}
+                    {symbolChecks.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-2">
+                        {symbolChecks.map((check, index) => (
+                          <span
+                            key={`${check.input}-${index}`}
+                            title={check.error || `Will be analysed as ${check.symbol}`}
+                            className={`px-2 py-0.5 text-xs rounded ${
+                              check.symbol ? 'bg-green-900 bg-opacity-40 text-green-300' : 'bg-red-900 bg-opacity-40 text-red-300'
+                            }`}
+                          >
+                            {check.symbol ? '✓' : '✗'} {check.input}
+                            {check.type && check.type !== 'equity' ? ` (${check.type})` : ''}
+                            {check.symbol && check.symbol !== check.input.toUpperCase() ? ` → ${check.symbol}` : ''}
+                            {check.error ? ` - ${check.error}` : ''}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ) : (
+                  <div>
+                    <label htmlFor="holdingsText" className="block text-sm font-medium text-slate-300 mb-2">
+                      Paste Holdings (one per line: symbol, quantity, average cost, purchase date)
+                    </label>
+                    <textarea
+                      id="holdingsText"
+                      value={holdingsText}
+                      onChange={(e) => {
+                        setHoldingsText(e.target.value);
+                        clearError();
+                      }}
+                      placeholder={'e.g.\nAAPL, 10, 150.00, 2023-01-15\nJSE:STXRES, 250, 89.10\nLON:BARC\t1000\t1.85\t2022-06-01'}
+                      className="w-full h-32 px-4 py-3 bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent resize-none text-white placeholder-slate-400 font-mono text-sm"
+                    />
+                    <p className="text-xs text-slate-400 mt-2">
+                      Comma, semicolon or tab separated - paste straight from a spreadsheet. Header rows and duplicate symbols are handled; purchase date is optional.
+                    </p>
+                  </div>
+                )}
+
                 {error && (
                   <div className="flex items-center space-x-2 text-red-400 bg-red-900 bg-opacity-30 px-4 py-2 rounded-lg">
                     <AlertCircle className="w-4 h-4" />
@@ -701,7 +2482,7 @@ export default async function handler(req, res) {
                   disabled={isAnalyzing}
                   className={`w-full font-semibold py-4 px-6 rounded-lg transition-all duration-200 flex items-center justify-center space-x-2 shadow-lg focus:outline-none focus:ring-2 focus:ring-offset-2 ${
                     isAnalyzing ? 'bg-gray-600 text-gray-300 cursor-not-allowed' :
-                    isApiWorking ? 
+                    !demoMode ? 
                     'bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 text-white focus:ring-green-500' :
                     'bg-gradient-to-r from-yellow-500 to-orange-600 hover:from-yellow-600 hover:to-orange-700 text-white focus:ring-yellow-500'
                   }`}
@@ -709,12 +2490,12 @@ export default async function handler(req, res) {
                   {isAnalyzing ? (
                     <>
                       <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white" />
-                      <span>{isApiWorking ? 'Analyzing with Live Data...' : 'Generating with Demo Data...'}</span>
+                      <span>{demoMode ? 'Generating with Demo Data...' : 'Analyzing with Live Data...'}</span>
                     </>
                   ) : (
                     <>
                       <TrendingUp className="w-5 h-5" />
-                      <span>{isApiWorking ? 'Generate Analysis (Live Data)' : 'Generate Analysis (Demo Data)'}</span>
+                      <span>{demoMode ? 'Generate Analysis (Demo Data)' : 'Generate Analysis (Live Data)'}</span>
                     </>
                   )}
                 </button>
@@ -734,7 +2515,7 @@ export default async function handler(req, res) {
                   </div>
                   <div className="flex items-center space-x-2">
                     <div className="w-2 h-2 bg-purple-400 rounded-full" />
-                    <span>Automatic fallback with demo data</span>
+                    <span>Opt-in demo mode with seeded, repeatable data</span>
                   </div>
                   <div className="flex items-center space-x-2">
                     <div className="w-2 h-2 bg-yellow-400 rounded-full" />
@@ -748,38 +2529,519 @@ export default async function handler(req, res) {
                 
                 <div className="mt-4 p-3 bg-slate-800 bg-opacity-30 rounded-lg">
                   <div className="text-xs text-slate-400">
-                    <strong>Current Config:</strong> {apiConfig.baseUrl} | Timeout: {apiConfig.timeout}ms | Retries: {apiConfig.retryAttempts} | Mode: {apiConfig.corsMode}
+                    <strong>Current Config:</strong> {apiConfig.baseUrl} | Timeout: {apiConfig.timeout}ms | Retries: {apiConfig.retryAttempts} | Mode: {apiConfig.corsMode} | API Key: {apiConfig.apiKey ? 'set' : 'none'}
                   </div>
                 </div>
               </div>
             </div>
+
+            {/* Saved Watchlists and Analysis History (browser storage) */}
+            <div className="bg-white bg-opacity-10 backdrop-blur-lg rounded-2xl p-6 border border-white border-opacity-20 shadow-2xl">
+              <div className="flex items-center space-x-3 mb-4">
+                <History className="w-6 h-6 text-blue-400" />
+                <h2 className="text-2xl font-semibold text-white">Watchlists & History</h2>
+              </div>
+
+              <div className="flex items-center space-x-2 mb-3">
+                <label htmlFor="watchlistName" className="sr-only">Watchlist name</label>
+                <input
+                  id="watchlistName"
+                  type="text"
+                  value={watchlistName}
+                  onChange={(e) => setWatchlistName(e.target.value)}
+                  placeholder="Watchlist name, e.g. JSE Resources"
+                  className="flex-1 px-3 py-2 text-sm bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+                <button
+                  onClick={saveWatchlist}
+                  className="flex items-center space-x-1 px-3 py-2 text-sm bg-green-600 hover:bg-green-700 rounded-lg text-white transition-colors"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>Save</span>
+                </button>
+              </div>
+
+              {watchlists.length > 0 ? (
+                <ul className="space-y-1 mb-6">
+                  {watchlists.map(watchlist => (
+                    <li key={watchlist.id} className="flex items-center justify-between px-3 py-2 bg-slate-800 bg-opacity-40 rounded-lg text-sm">
+                      <div className="min-w-0">
+                        <div className="text-white truncate">{watchlist.name}</div>
+                        <div className="text-xs text-slate-400 truncate">
+                          {watchlist.mode === 'portfolio' ? `Portfolio - ${watchlist.holdingsText.split(/\r?\n/).filter(line => line.trim()).length} lines` : watchlist.shareList}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-1 ml-2">
+                        <button onClick={() => loadWatchlist(watchlist)} title="Load into the input" className="p-1 text-slate-300 hover:text-white">
+                          <FolderOpen className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => deleteWatchlist(watchlist.id)} title="Delete watchlist" className="p-1 text-slate-300 hover:text-red-400">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-xs text-slate-400 mb-6">No saved watchlists yet - name the current input and save it.</p>
+              )}
+
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold text-white">Analysis History</h3>
+                <button
+                  onClick={compareSavedAnalyses}
+                  disabled={!canCompare}
+                  title={canCompare ? 'Compare the two selected reports' : 'Select two reports of the same watchlist to compare'}
+                  className={`flex items-center space-x-1 px-3 py-1 text-sm rounded-lg transition-colors ${
+                    canCompare ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'bg-slate-700 bg-opacity-50 text-slate-500 cursor-not-allowed'
+                  }`}
+                >
+                  <GitCompare className="w-4 h-4" />
+                  <span>Compare</span>
+                </button>
+              </div>
+
+              {compareEntries.length === 2 && !canCompare && (
+                <p className="text-xs text-yellow-300 mb-2">The selected reports cover different watchlists - pick two runs of the same one.</p>
+              )}
+
+              {savedAnalyses.length > 0 ? (
+                <ul className="space-y-1 max-h-64 overflow-y-auto">
+                  {savedAnalyses.map(entry => (
+                    <li
+                      key={entry.id}
+                      className={`flex items-center px-3 py-2 rounded-lg text-sm ${
+                        entry.id === openedAnalysisId ? 'bg-blue-900 bg-opacity-50' : 'bg-slate-800 bg-opacity-40'
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(entry.id)}
+                        onChange={() => toggleCompare(entry.id)}
+                        aria-label={`Select the ${new Date(entry.savedAt).toLocaleString()} report for comparison`}
+                        className="mr-2 rounded border-slate-600 bg-slate-700"
+                      />
+                      <div className="min-w-0 flex-1">
+                        <div className="text-white truncate">{entry.label}{entry.inputs.demoMode ? ' (demo)' : ''}</div>
+                        <div className="text-xs text-slate-400 truncate">
+                          {new Date(entry.savedAt).toLocaleString()} - {entry.prices.map(price => (price.rating ? `${price.symbol} ${price.rating}` : `${price.symbol} no data`)).join(', ')}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-1 ml-2">
+                        <button onClick={() => openSavedAnalysis(entry)} title="Reopen this report" className="p-1 text-slate-300 hover:text-white">
+                          <FolderOpen className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => rerunSavedAnalysis(entry)} title="Re-run with current data" className="p-1 text-slate-300 hover:text-white">
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => deleteSavedAnalysis(entry.id)} title="Delete from history" className="p-1 text-slate-300 hover:text-red-400">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-xs text-slate-400">Generated reports are kept here, in this browser only.</p>
+              )}
+            </div>
+
+            {/* Price Alerts (rules and log kept in browser storage, evaluated while this page is open) */}
+            <div className="bg-white bg-opacity-10 backdrop-blur-lg rounded-2xl p-6 border border-white border-opacity-20 shadow-2xl">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-3">
+                  <Bell className="w-6 h-6 text-yellow-400" />
+                  <h2 className="text-2xl font-semibold text-white">Price Alerts</h2>
+                </div>
+                <button
+                  onClick={checkAlerts}
+                  disabled={isCheckingAlerts || !alertSymbolsKey}
+                  title="Check all alerts now"
+                  className="flex items-center space-x-1 px-3 py-1 text-sm bg-slate-700 bg-opacity-50 hover:bg-opacity-70 rounded-lg text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <RefreshCw className={`w-4 h-4 ${isCheckingAlerts ? 'animate-spin' : ''}`} />
+                  <span>Check Now</span>
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                <label htmlFor="alertSymbol" className="sr-only">Alert symbol</label>
+                <input
+                  id="alertSymbol"
+                  type="text"
+                  value={alertForm.symbol}
+                  onChange={(e) => updateAlertForm({ symbol: e.target.value })}
+                  placeholder="Symbol, e.g. JSE:STXRES"
+                  className="px-3 py-2 text-sm bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                />
+                <label htmlFor="alertType" className="sr-only">Alert condition</label>
+                <select
+                  id="alertType"
+                  value={alertForm.type}
+                  onChange={(e) => updateAlertForm({ type: e.target.value })}
+                  className="px-3 py-2 text-sm bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                >
+                  {Object.entries(ALERT_TYPES).map(([type, alertType]) => (
+                    <option key={type} value={type}>{alertType.label}</option>
+                  ))}
+                </select>
+                {alertForm.type === 'crossover' ? (
+                  <>
+                    <label htmlFor="alertIndicator" className="sr-only">Crossover</label>
+                    <select
+                      id="alertIndicator"
+                      value={alertForm.indicator}
+                      onChange={(e) => updateAlertForm({ indicator: e.target.value })}
+                      className="px-3 py-2 text-sm bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    >
+                      {Object.entries(CROSSOVERS).map(([indicator, crossover]) => (
+                        <option key={indicator} value={indicator}>{crossover.label}</option>
+                      ))}
+                    </select>
+                  </>
+                ) : (
+                  <>
+                    <label htmlFor="alertValue" className="sr-only">{ALERT_TYPES[alertForm.type].valueLabel}</label>
+                    <input
+                      id="alertValue"
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={alertForm.value}
+                      onChange={(e) => updateAlertForm({ value: e.target.value })}
+                      placeholder={ALERT_TYPES[alertForm.type].valueLabel}
+                      className="px-3 py-2 text-sm bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    />
+                  </>
+                )}
+                {ALERT_TYPES[alertForm.type].directions ? (
+                  <>
+                    <label htmlFor="alertDirection" className="sr-only">Direction</label>
+                    <select
+                      id="alertDirection"
+                      value={alertForm.direction || ALERT_TYPES[alertForm.type].directions[0]}
+                      onChange={(e) => updateAlertForm({ direction: e.target.value })}
+                      className="px-3 py-2 text-sm bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    >
+                      {ALERT_TYPES[alertForm.type].directions.map(direction => (
+                        <option key={direction} value={direction}>
+                          {alertForm.type === 'crossover' ? `Crosses ${direction}` : direction === 'either' ? 'Up or down' : direction === 'up' ? 'Up' : 'Down'}
+                        </option>
+                      ))}
+                    </select>
+                  </>
+                ) : <div />}
+              </div>
+              <div className="flex items-center justify-between mb-4">
+                {notificationPermission === 'default' ? (
+                  <button onClick={requestNotificationPermission} className="text-xs text-blue-300 hover:text-blue-200 underline">
+                    Enable browser notifications
+                  </button>
+                ) : (
+                  <span className="text-xs text-slate-400">
+                    {notificationPermission === 'granted' ? 'Browser notifications on'
+                      : notificationPermission === 'denied' ? 'Browser notifications blocked - alerts show in the page only'
+                      : 'Browser notifications not supported - alerts show in the page only'}
+                  </span>
+                )}
+                <button
+                  onClick={addAlert}
+                  className="flex items-center space-x-1 px-3 py-2 text-sm bg-green-600 hover:bg-green-700 rounded-lg text-white transition-colors"
+                >
+                  <Bell className="w-4 h-4" />
+                  <span>Add Alert</span>
+                </button>
+              </div>
+
+              {alertRules.length > 0 ? (
+                <ul className="space-y-1 mb-6">
+                  {alertRules.map(rule => {
+                    const quoteError = rule.enabled && alertQuotes && alertQuotes.errors[rule.symbol];
+                    const { state } = rule;
+                    const status = !rule.enabled ? 'Paused'
+                      : quoteError ? `No quote: ${quoteError}`
+                      : !state.checkedAt ? 'Waiting for the first check'
+                      : !state.observed ? 'Not enough data for this rule yet'
+                      : `${state.observed} - ${state.met ? 'condition met' : state.met === false ? 'armed' : 'waiting for a reading'}`;
+
+                    return (
+                      <li key={rule.id} className="flex items-center px-3 py-2 bg-slate-800 bg-opacity-40 rounded-lg text-sm">
+                        <input
+                          type="checkbox"
+                          checked={rule.enabled}
+                          onChange={() => toggleAlert(rule.id)}
+                          aria-label={`${rule.enabled ? 'Pause' : 'Resume'} alert: ${describeAlertRule(rule)}`}
+                          className="mr-2 rounded border-slate-600 bg-slate-700"
+                        />
+                        <div className="min-w-0 flex-1">
+                          <div className={`truncate ${rule.enabled ? 'text-white' : 'text-slate-400'}`}>
+                            {state.met && rule.enabled && <BellRing className="inline w-4 h-4 mr-1 text-yellow-400" />}
+                            {describeAlertRule(rule)}
+                          </div>
+                          <div className={`text-xs truncate ${quoteError ? 'text-red-300' : 'text-slate-400'}`}>
+                            {status}{state.triggeredAt ? ` | last fired ${new Date(state.triggeredAt).toLocaleString()}` : ''}
+                          </div>
+                        </div>
+                        <button onClick={() => deleteAlert(rule.id)} title="Delete alert" className="p-1 ml-2 text-slate-300 hover:text-red-400">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              ) : (
+                <p className="text-xs text-slate-400 mb-6">No alerts yet. Rules are checked every {ALERT_POLL_INTERVAL_MS / 1000} seconds while this page is open.</p>
+              )}
+
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="text-lg font-semibold text-white">Alert Log</h3>
+                {alertLog.length > 0 && (
+                  <button onClick={clearAlertLog} className="text-xs text-slate-400 hover:text-white">Clear log</button>
+                )}
+              </div>
+              {alertLog.length > 0 ? (
+                <ul className="space-y-1 max-h-48 overflow-y-auto">
+                  {alertLog.map(event => (
+                    <li key={event.id} className="px-3 py-2 bg-slate-800 bg-opacity-40 rounded-lg text-sm">
+                      <div className="text-white">{event.message}</div>
+                      <div className="text-xs text-slate-400">
+                        {new Date(event.triggeredAt).toLocaleString()} - {event.condition}{event.stale ? ' (cached quote)' : ''}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-xs text-slate-400">Fired alerts are listed here.</p>
+              )}
+            </div>
+
+            {/* Backtest (replays the rating rules over past prices for the symbols above) */}
+            <div className="bg-white bg-opacity-10 backdrop-blur-lg rounded-2xl p-6 border border-white border-opacity-20 shadow-2xl">
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-3">
+                  <TrendingUp className="w-6 h-6 text-green-400" />
+                  <h2 className="text-2xl font-semibold text-white">Backtest</h2>
+                </div>
+                <button
+                  onClick={runRatingBacktest}
+                  disabled={isBacktesting}
+                  title={demoMode ? 'Backtest on the demo data' : 'Backtest on cached provider history'}
+                  className="flex items-center space-x-1 px-3 py-1 text-sm bg-slate-700 bg-opacity-50 hover:bg-opacity-70 rounded-lg text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <RefreshCw className={`w-4 h-4 ${isBacktesting ? 'animate-spin' : ''}`} />
+                  <span>{isBacktesting ? 'Running...' : 'Run Backtest'}</span>
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 gap-2 mb-2">
+                <label htmlFor="backtestRebalance" className="sr-only">Rebalance schedule</label>
+                <select
+                  id="backtestRebalance"
+                  value={backtestOptions.rebalance}
+                  onChange={(e) => setBacktestOptions(prev => ({ ...prev, rebalance: e.target.value }))}
+                  className="px-3 py-2 text-sm bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                >
+                  {Object.entries(REBALANCE_SCHEDULES).map(([schedule, { label }]) => (
+                    <option key={schedule} value={schedule}>Rebalance {label.toLowerCase()}</option>
+                  ))}
+                </select>
+                <label htmlFor="backtestRange" className="sr-only">History</label>
+                <select
+                  id="backtestRange"
+                  value={backtestOptions.range}
+                  onChange={(e) => setBacktestOptions(prev => ({ ...prev, range: e.target.value }))}
+                  className="px-3 py-2 text-sm bg-slate-800 bg-opacity-50 border border-slate-600 rounded-lg text-white focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                >
+                  {BACKTEST_RANGES.map(range => (
+                    <option key={range} value={range}>{range === 'max' ? 'All history' : `${range} of history`}</option>
+                  ))}
+                </select>
+              </div>
+              <label htmlFor="backtestIncludeHold" className="flex items-center space-x-2 text-sm text-slate-300">
+                <input
+                  id="backtestIncludeHold"
+                  type="checkbox"
+                  checked={backtestOptions.includeHold}
+                  onChange={(e) => setBacktestOptions(prev => ({ ...prev, includeHold: e.target.checked }))}
+                  className="rounded border-slate-600 bg-slate-700"
+                />
+                <span>Also hold HOLD-rated shares</span>
+              </label>
+
+              {backtest && backtest.error && (
+                <p className="mt-4 text-sm text-red-300">Backtest failed: {backtest.error}</p>
+              )}
+              {backtest && backtest.result && (
+                <>
+                  <BacktestResults result={backtest.result} />
+                  {backtest.result.errors && Object.keys(backtest.result.errors).length > 0 && (
+                    <p className="mt-2 text-xs text-red-300">
+                      Left out: {Object.entries(backtest.result.errors).map(([symbol, entry]) => `${symbol} (${entry.message})`).join(', ')}
+                    </p>
+                  )}
+                </>
+              )}
+              <p className="mt-4 text-xs text-slate-400">
+                {backtest && backtest.demo ? 'Demo data - the fixtures hold five years, so longer ranges test the same five. ' : ''}
+                Ratings are replayed from price history alone (fundamentals are today's only), trading at each rebalance close
+                with no costs. The first year of history is warm-up. Past results do not predict future returns.
+              </p>
+            </div>
           </div>
 
           {/* Output Section */}
           <div className="space-y-6">
             <div className="bg-white bg-opacity-10 backdrop-blur-lg rounded-2xl p-6 border border-white border-opacity-20 shadow-2xl h-full">
               <div className="flex items-center justify-between mb-6">
-                <h2 className="text-2xl font-semibold text-white">Investment Analysis Report</h2>
-                {analysis && (
+                <h2 className="text-2xl font-semibold text-white">{comparison ? 'Report Comparison' : 'Investment Analysis Report'}</h2>
+                {comparison ? (
                   <button
-                    onClick={copyToClipboard}
+                    onClick={() => setComparison('')}
                     className="flex items-center space-x-2 px-4 py-2 bg-slate-700 bg-opacity-50 hover:bg-opacity-70 rounded-lg transition-colors text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
                   >
-                    {copied ? (
-                      <>
-                        <CheckCircle className="w-4 h-4 text-green-400" />
-                        <span className="text-green-400">Copied!</span>
-                      </>
-                    ) : (
-                      <>
-                        <Copy className="w-4 h-4" />
-                        <span>Copy Report</span>
-                      </>
-                    )}
+                    <span>{analysis ? 'Back to Report' : 'Close Comparison'}</span>
                   </button>
+                ) : analysis && (
+                  <div className="flex flex-wrap items-center justify-end gap-2">
+                    <button
+                      onClick={copyToClipboard}
+                      className="flex items-center space-x-2 px-4 py-2 bg-slate-700 bg-opacity-50 hover:bg-opacity-70 rounded-lg transition-colors text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {copied ? (
+                        <>
+                          <CheckCircle className="w-4 h-4 text-green-400" />
+                          <span className="text-green-400">Copied!</span>
+                        </>
+                      ) : (
+                        <>
+                          <Copy className="w-4 h-4" />
+                          <span>Copy Report</span>
+                        </>
+                      )}
+                    </button>
+                    {[['markdown', 'MD'], ['html', 'HTML'], ['csv', 'CSV'], ['json', 'JSON']].map(([format, label]) => (
+                      <button
+                        key={format}
+                        onClick={() => downloadReport(format)}
+                        title={`Download the report as ${label}`}
+                        className="flex items-center space-x-1 px-3 py-2 bg-slate-700 bg-opacity-50 hover:bg-opacity-70 rounded-lg transition-colors text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <Download className="w-4 h-4" />
+                        <span>{label}</span>
+                      </button>
+                    ))}
+                    <button
+                      onClick={printReport}
+                      title="Print the report or save it as PDF"
+                      className="flex items-center space-x-1 px-3 py-2 bg-slate-700 bg-opacity-50 hover:bg-opacity-70 rounded-lg transition-colors text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <Printer className="w-4 h-4" />
+                      <span>PDF</span>
+                    </button>
+                  </div>
                 )}
               </div>
               
+              {/* Live quotes for the report's symbols - the report itself stays as generated */}
+              {analysis && !comparison && chartSymbols.length > 0 && (
+                <div className="mb-4 p-3 bg-slate-800 bg-opacity-50 rounded-lg text-sm">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <label htmlFor="liveQuotes" className="flex items-center space-x-2 text-white cursor-pointer">
+                      <input
+                        id="liveQuotes"
+                        type="checkbox"
+                        checked={liveSettings.enabled}
+                        onChange={(e) => updateLiveSettings({ enabled: e.target.checked })}
+                        className="rounded border-slate-600 bg-slate-700"
+                      />
+                      <span>Live quotes</span>
+                    </label>
+                    <label htmlFor="liveInterval" className="sr-only">Refresh interval</label>
+                    <select
+                      id="liveInterval"
+                      value={liveSettings.intervalMs}
+                      onChange={(e) => updateLiveSettings({ intervalMs: Number(e.target.value) })}
+                      className="px-2 py-1 text-xs bg-slate-800 border border-slate-600 rounded text-white"
+                    >
+                      {LIVE_INTERVALS.map(({ ms, label }) => (
+                        <option key={ms} value={ms}>Every {label}</option>
+                      ))}
+                    </select>
+                    <label htmlFor="liveExtendedHours" className="flex items-center space-x-2 text-xs text-slate-300 cursor-pointer">
+                      <input
+                        id="liveExtendedHours"
+                        type="checkbox"
+                        checked={liveSettings.extendedHours}
+                        onChange={(e) => updateLiveSettings({ extendedHours: e.target.checked })}
+                        className="rounded border-slate-600 bg-slate-700"
+                      />
+                      <span>Include pre/post market</span>
+                    </label>
+                  </div>
+
+                  {liveSettings.enabled && demoMode && (
+                    <p className="text-xs text-slate-400 mt-2">Live quotes use the API - switch off demo mode to follow prices.</p>
+                  )}
+
+                  {liveActive && (
+                    <>
+                      <table className="w-full mt-3 text-xs">
+                        <thead>
+                          <tr className="text-slate-400 text-left">
+                            <th className="font-normal pb-1">Symbol</th>
+                            <th className="font-normal pb-1 text-right">Price</th>
+                            <th className="font-normal pb-1 text-right">Day</th>
+                            <th className="font-normal pb-1 text-right">Market</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {chartSymbols.map(({ symbol }) => {
+                            const quote = liveQuotes[symbol];
+                            const flash = (quote && quote.flash) || {};
+                            const flashClass = (move) => (move === 'up' ? 'bg-green-500 bg-opacity-40' : move === 'down' ? 'bg-red-500 bg-opacity-40' : 'bg-transparent');
+                            const hasPrice = quote && typeof quote.price === 'number';
+
+                            return (
+                              <tr key={symbol} className="text-white">
+                                <td className="py-1">{symbol}</td>
+                                <td className="py-1 text-right">
+                                  <span className={`px-1 rounded transition-colors duration-1000 ${flashClass(flash.price)}`}>
+                                    {hasPrice ? `${quote.currency || ''} ${quote.price.toFixed(2)}`.trim() : '...'}
+                                  </span>
+                                </td>
+                                <td className="py-1 text-right">
+                                  <span className={`px-1 rounded transition-colors duration-1000 ${flashClass(flash.dayChange)} ${
+                                    hasPrice && quote.dayChangePercent > 0 ? 'text-green-400' : hasPrice && quote.dayChangePercent < 0 ? 'text-red-400' : ''
+                                  }`}>
+                                    {hasPrice && typeof quote.dayChangePercent === 'number'
+                                      ? `${quote.dayChangePercent > 0 ? '+' : ''}${quote.dayChangePercent.toFixed(2)}%`
+                                      : '...'}
+                                  </span>
+                                </td>
+                                <td className={`py-1 text-right ${quote && quote.error ? 'text-red-300' : 'text-slate-400'}`} title={quote && quote.error ? quote.error : undefined}>
+                                  {!quote ? 'Checking...'
+                                    : quote.error ? 'Update failed'
+                                    : `${MARKET_STATE_LABELS[quote.marketState] || quote.marketState || 'Unknown'}${quote.stale ? ' (cached)' : ''}`}
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                      {liveStatus && (
+                        <p className="text-xs text-slate-400 mt-2">
+                          {liveStatus.liveCount === 0
+                            ? `No market is trading - checking again every ${CLOSED_RECHECK_MS / 60000} min for the open`
+                            : `Following ${liveStatus.liveCount} of ${chartSymbols.length} symbols`}
+                          {' | '}next check {new Date(liveStatus.nextPollAt).toLocaleTimeString()}
+                          {liveStatus.hidden ? ` (tab hidden - slowed to every ${Math.round(liveStatus.delayMs / 60000)} min)` : ''}
+                        </p>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+
               <div className="bg-slate-800 bg-opacity-50 rounded-lg p-4 h-96 overflow-y-auto">
                 {AnalysisDisplay}
               </div>
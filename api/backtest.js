@@ -0,0 +1,165 @@
+// /api/backtest.js
+// Backtest of the rating rules: /api/backtest?symbols=AAPL,MSFT,JSE:NPN[&benchmark=^GSPC&range=5y&rebalance=monthly
+// &ratings=BUY,HOLD&source=demo]
+// Replays the ratings over daily history (see lib/backtest.js) and returns the equity curves and statistics for the
+// strategy, an equal-weight buy-and-hold and the benchmark. source=demo runs on the seeded fixtures without any
+// network access; otherwise history comes through the provider chain and its cache, falling back to the last good copy.
+
+import { parseSymbol } from '../lib/symbols.js';
+import { handlePreflightAndMethod } from '../lib/http.js';
+import { getHistoryCached, describeError, QUOTE_EVENTS } from '../lib/marketData.js';
+import { BATCH_CONCURRENCY, parseSymbolList, mapWithConcurrency } from '../lib/batch.js';
+import { generateDemoSnapshot, DEMO_PROVIDER } from '../lib/demo.js';
+import { RATINGS } from '../lib/recommendation.js';
+import { resolveBenchmark } from '../lib/benchmark.js';
+import { adjustForCorporateActions } from '../lib/dividends.js';
+import { REBALANCE_SCHEDULES, DEFAULT_BACKTEST_OPTIONS, BACKTEST_RANGES, MAX_BACKTEST_SYMBOLS, runBacktest } from '../lib/backtest.js';
+
+const DEFAULT_RANGE = '5y';
+
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
+
+  const requested = parseSymbolList(req.query.symbols);
+
+  if (requested.length === 0) {
+    res.status(400).json({
+      error: 'Invalid symbols',
+      message: 'symbols parameter is required, e.g. ?symbols=AAPL,MSFT,JSE:STXRES'
+    });
+    return;
+  }
+
+  if (requested.length > MAX_BACKTEST_SYMBOLS) {
+    res.status(400).json({
+      error: 'Too many symbols',
+      message: `A maximum of ${MAX_BACKTEST_SYMBOLS} symbols can be backtested at once (got ${requested.length})`
+    });
+    return;
+  }
+
+  const range = req.query.range || DEFAULT_RANGE;
+  const rebalance = req.query.rebalance || DEFAULT_BACKTEST_OPTIONS.rebalance;
+  const ratings = req.query.ratings ? parseSymbolList(req.query.ratings).map(rating => rating.toUpperCase()) : DEFAULT_BACKTEST_OPTIONS.ratings;
+  const source = req.query.source || 'live';
+
+  const optionsError = !BACKTEST_RANGES.includes(range) ? `Unsupported range: ${range}. Use one of ${BACKTEST_RANGES.join(', ')}`
+    : !REBALANCE_SCHEDULES[rebalance] ? `Unsupported rebalance schedule: ${rebalance}. Use one of ${Object.keys(REBALANCE_SCHEDULES).join(', ')}`
+    : ratings.length === 0 || ratings.some(rating => !RATINGS.includes(rating)) ? `ratings must be a list of ${RATINGS.join(', ')}`
+    : !['live', 'demo'].includes(source) ? `Unsupported source: ${source}. Use live or demo`
+    : null;
+
+  if (optionsError) {
+    res.status(400).json({
+      error: 'Invalid backtest options',
+      message: optionsError
+    });
+    return;
+  }
+
+  const errors = {};
+  const toFetch = [];
+
+  requested.forEach(input => {
+    const resolved = parseSymbol(input);
+
+    if (!resolved.ok) {
+      errors[input.toUpperCase()] = {
+        status: 400,
+        error: resolved.code === 'UNKNOWN_EXCHANGE' ? 'Unknown exchange' : 'Invalid symbol',
+        code: resolved.code,
+        message: resolved.message
+      };
+      return;
+    }
+
+    if (!toFetch.some(item => item.canonical === resolved.canonical)) {
+      toFetch.push(resolved);
+    }
+  });
+
+  if (toFetch.length === 0) {
+    res.status(400).json({
+      error: 'Invalid symbols',
+      message: 'None of the symbols could be resolved',
+      errors
+    });
+    return;
+  }
+
+  // benchmark=none tests without one; by default the first symbol's exchange picks the index
+  const benchmarkInput = typeof req.query.benchmark === 'string' && req.query.benchmark.trim()
+    ? req.query.benchmark
+    : resolveBenchmark(toFetch[0]);
+  const benchmark = benchmarkInput.toLowerCase() !== 'none' ? parseSymbol(benchmarkInput) : null;
+
+  if (benchmark && !benchmark.ok) {
+    res.status(400).json({
+      error: 'Invalid benchmark',
+      code: benchmark.code,
+      message: benchmark.message,
+      benchmark: benchmark.input
+    });
+    return;
+  }
+
+  const loadHistory = async (resolved) => {
+    // The fixtures hold five years, so longer ranges come back as the full five
+    if (source === 'demo') return { snapshot: generateDemoSnapshot(resolved, { range }), cache: null };
+    return getHistoryCached(resolved, { range, interval: '1d', events: QUOTE_EVENTS });
+  };
+
+  console.log(`Backtesting ${toFetch.length} symbols (${range}, ${rebalance}, ${source})`);
+
+  const fetched = await mapWithConcurrency([...toFetch, ...(benchmark ? [benchmark] : [])], BATCH_CONCURRENCY, async (resolved) => {
+    try {
+      return { success: true, ...(await loadHistory(resolved)) };
+    } catch (error) {
+      console.error(`Error fetching history for ${resolved.provider}:`, error.message);
+      return { success: false, symbol: resolved.provider, ...describeError(error) };
+    }
+  });
+
+  const seriesBySymbol = {};
+  let stale = false;
+  toFetch.forEach((resolved, index) => {
+    const entry = fetched[index];
+    if (!entry.success) {
+      errors[resolved.canonical] = entry;
+      return;
+    }
+    seriesBySymbol[resolved.canonical] = adjustForCorporateActions(entry.snapshot.points, entry.snapshot.events);
+    stale = stale || Boolean(entry.cache && entry.cache.stale);
+  });
+
+  const benchmarkEntry = benchmark ? fetched[fetched.length - 1] : null;
+  if (benchmarkEntry && !benchmarkEntry.success) {
+    errors[benchmark.canonical] = benchmarkEntry;
+  }
+
+  const result = runBacktest(
+    seriesBySymbol,
+    benchmarkEntry && benchmarkEntry.success ? { symbol: benchmark.canonical, points: adjustForCorporateActions(benchmarkEntry.snapshot.points, benchmarkEntry.snapshot.events) } : null,
+    { rebalance, ratings }
+  );
+
+  if (result.error) {
+    res.status(Object.keys(seriesBySymbol).length === 0 ? 502 : 422).json({
+      error: 'Backtest failed',
+      message: result.error,
+      errors
+    });
+    return;
+  }
+
+  res.setHeader('Cache-Control', stale ? 'no-store' : 'public, s-maxage=3600, stale-while-revalidate=86400');
+  res.status(200).json({
+    source: source === 'demo' ? DEMO_PROVIDER : 'live',
+    range,
+    stale,
+    errors,
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+}
@@ -0,0 +1,142 @@
+// /api/benchmark/[symbol].js
+// Performance relative to a benchmark index: excess return, beta, correlation, tracking error and alpha
+// e.g. /api/benchmark/JSE:STXRES?benchmark=^J203.JO&range=1y - without ?benchmark= the exchange's default index is used
+
+import { parseSymbol } from '../../lib/symbols.js';
+import { handlePreflightAndMethod } from '../../lib/http.js';
+import { getHistoryCached, cacheFields, describeError, parseChartOptions, QUOTE_EVENTS } from '../../lib/marketData.js';
+import { resolveBenchmark, computeRelativeStats, MIN_OBSERVATIONS } from '../../lib/benchmark.js';
+import { PERIODS_PER_YEAR } from '../../lib/risk.js';
+import { adjustForCorporateActions } from '../../lib/dividends.js';
+
+const DEFAULT_RANGE = '1y';
+const DEFAULT_INTERVAL = '1d';
+
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
+
+  const { symbol } = req.query;
+
+  if (!symbol || typeof symbol !== 'string' || symbol.trim().length === 0) {
+    res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol parameter is required and must be a non-empty string'
+    });
+    return;
+  }
+
+  const resolved = parseSymbol(symbol);
+
+  if (!resolved.ok) {
+    res.status(400).json({
+      error: resolved.code === 'UNKNOWN_EXCHANGE' ? 'Unknown exchange' : 'Invalid symbol',
+      code: resolved.code,
+      message: resolved.message,
+      symbol: resolved.input
+    });
+    return;
+  }
+
+  const benchmarkInput = typeof req.query.benchmark === 'string' && req.query.benchmark.trim()
+    ? req.query.benchmark
+    : resolveBenchmark(resolved);
+  const benchmark = parseSymbol(benchmarkInput);
+
+  if (!benchmark.ok) {
+    res.status(400).json({
+      error: 'Invalid benchmark',
+      code: benchmark.code,
+      message: benchmark.message,
+      symbol: resolved.provider,
+      benchmark: benchmark.input
+    });
+    return;
+  }
+
+  const { options, message: chartOptionsError } = parseChartOptions(req.query);
+
+  if (chartOptionsError) {
+    res.status(400).json({
+      error: 'Invalid chart options',
+      message: chartOptionsError,
+      symbol: resolved.provider
+    });
+    return;
+  }
+
+  const range = options.range || DEFAULT_RANGE;
+  const interval = options.interval || DEFAULT_INTERVAL;
+
+  // Returns are lined up by trading date, which would collapse intraday bars onto one another
+  if (!PERIODS_PER_YEAR[interval]) {
+    res.status(400).json({
+      error: 'Invalid chart options',
+      message: `interval must be daily or longer: one of ${Object.keys(PERIODS_PER_YEAR).join(', ')}`,
+      symbol: resolved.provider
+    });
+    return;
+  }
+
+  try {
+    console.log(`Comparing ${resolved.canonical} with ${benchmark.canonical} (${range}/${interval})`);
+
+    const [share, index] = await Promise.all([
+      getHistoryCached(resolved, { range, interval, events: QUOTE_EVENTS }),
+      getHistoryCached(benchmark, { range, interval, events: QUOTE_EVENTS })
+    ]);
+
+    // Annualise with the granularity the provider actually returned, which can differ from the one requested
+    const stats = computeRelativeStats(
+      adjustForCorporateActions(share.snapshot.points, share.snapshot.events),
+      adjustForCorporateActions(index.snapshot.points, index.snapshot.events),
+      { interval: share.snapshot.interval || interval }
+    );
+
+    if (stats.observations < MIN_OBSERVATIONS) {
+      res.status(404).json({
+        error: 'Not enough history',
+        message: `${resolved.provider} and ${benchmark.provider} share only ${stats.observations} returns over ${range} (at least ${MIN_OBSERVATIONS} needed)`,
+        symbol: resolved.provider,
+        benchmark: benchmark.provider
+      });
+      return;
+    }
+
+    const stale = share.cache.stale || index.cache.stale;
+
+    res.setHeader('X-Data-Provider', share.snapshot.provider);
+    res.setHeader('Cache-Control', stale ? 'no-store' : 'public, s-maxage=300, stale-while-revalidate=900');
+    res.status(200).json({
+      symbol: resolved.provider,
+      canonicalSymbol: resolved.canonical,
+      providerSymbol: resolved.provider,
+      provider: share.snapshot.provider,
+      currency: share.snapshot.currency,
+      benchmark: {
+        symbol: benchmark.provider,
+        canonicalSymbol: benchmark.canonical,
+        currency: index.snapshot.currency,
+        provider: index.snapshot.provider,
+        cache: index.cache
+      },
+      range,
+      interval,
+      ...stats,
+      // Flagged stale when either history came from the fallback cache
+      ...cacheFields(index.cache.stale && !share.cache.stale ? index.cache : share.cache),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error comparing ${resolved.provider} with ${benchmark.provider}:`, error);
+
+    const { status, error: errorTitle, message } = describeError(error);
+    res.status(status).json({
+      error: errorTitle,
+      message,
+      symbol: resolved.provider,
+      benchmark: benchmark.provider
+    });
+  }
+}
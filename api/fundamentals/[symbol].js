@@ -0,0 +1,57 @@
+// /api/fundamentals/[symbol].js
+// Company fundamentals: market cap, trailing/forward P/E, EPS, dividend yield, beta, sector and industry
+// e.g. /api/fundamentals/AAPL - fields the provider does not report (or that do not apply, e.g. for indices) are null
+
+import { parseSymbol } from '../../lib/symbols.js';
+import { handlePreflightAndMethod } from '../../lib/http.js';
+import { getFundamentalsCached, buildFundamentals, cacheFields, describeError } from '../../lib/marketData.js';
+
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
+
+  const { symbol } = req.query;
+
+  if (!symbol || typeof symbol !== 'string' || symbol.trim().length === 0) {
+    res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol parameter is required and must be a non-empty string'
+    });
+    return;
+  }
+
+  const resolved = parseSymbol(symbol);
+
+  if (!resolved.ok) {
+    res.status(400).json({
+      error: resolved.code === 'UNKNOWN_EXCHANGE' ? 'Unknown exchange' : 'Invalid symbol',
+      code: resolved.code,
+      message: resolved.message,
+      symbol: resolved.input
+    });
+    return;
+  }
+
+  try {
+    console.log(`Fetching fundamentals for ${resolved.canonical} (${resolved.provider})`);
+
+    const { snapshot, cache } = await getFundamentalsCached(resolved);
+
+    res.setHeader('X-Data-Provider', snapshot.provider);
+    res.setHeader('Cache-Control', cache.stale ? 'no-store' : 'public, s-maxage=900, stale-while-revalidate=3600');
+    res.status(200).json({
+      ...buildFundamentals(snapshot, resolved),
+      ...cacheFields(cache)
+    });
+
+  } catch (error) {
+    console.error(`Error fetching fundamentals for ${resolved.provider}:`, error);
+
+    const { status, error: errorTitle, message } = describeError(error);
+    res.status(status).json({
+      error: errorTitle,
+      message,
+      symbol: resolved.provider
+    });
+  }
+}
@@ -0,0 +1,78 @@
+// /api/fx.js
+// FX rates via the market data providers (Yahoo pair symbols like ZARUSD=X): /api/fx?base=USD&symbols=ZAR,GBp,EUR
+// Each rate is expressed as base-currency units per one unit of the listed currency
+
+import { handlePreflightAndMethod } from '../lib/http.js';
+import { describeError } from '../lib/marketData.js';
+import { callProviders } from '../lib/providers/index.js';
+import { resolveSymbol } from '../lib/exchanges.js';
+import { BATCH_CONCURRENCY, parseSymbolList, mapWithConcurrency } from '../lib/batch.js';
+import { normaliseCurrency, fxSymbol } from '../lib/fx.js';
+
+const MAX_CURRENCIES = 20;
+
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
+
+  const base = normaliseCurrency(req.query.base || 'USD');
+
+  if (!base || base.factor !== 1) {
+    res.status(400).json({
+      error: 'Invalid base currency',
+      message: `Base currency must be a three-letter ISO code (got ${req.query.base})`
+    });
+    return;
+  }
+
+  const requested = parseSymbolList(req.query.symbols);
+
+  if (requested.length === 0 || requested.length > MAX_CURRENCIES) {
+    res.status(400).json({
+      error: 'Invalid symbols',
+      message: `symbols parameter must list between 1 and ${MAX_CURRENCIES} currencies, e.g. ?base=USD&symbols=ZAR,GBP`
+    });
+    return;
+  }
+
+  const rates = await mapWithConcurrency(requested, BATCH_CONCURRENCY, async (code) => {
+    const quoted = normaliseCurrency(code);
+
+    if (!quoted) {
+      return { currency: code, success: false, status: 400, error: 'Invalid currency', message: `Unrecognised currency code: ${code}` };
+    }
+
+    // Same currency (or its minor unit) needs no upstream call
+    if (quoted.currency === base.currency) {
+      return { currency: code, success: true, rate: quoted.factor, fxSymbol: null, timestamp: new Date().toISOString() };
+    }
+
+    const pair = fxSymbol(quoted.currency, base.currency);
+
+    try {
+      const { value: snapshot, provider } = await callProviders('getQuote', resolveSymbol(pair));
+
+      return {
+        currency: code,
+        success: true,
+        rate: snapshot.price * quoted.factor,
+        fxSymbol: pair,
+        provider,
+        timestamp: snapshot.marketTime || new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`Error fetching FX rate ${pair}:`, error.message);
+      return { currency: code, success: false, fxSymbol: pair, ...describeError(error) };
+    }
+  });
+
+  const result = {};
+  rates.forEach(rate => { result[rate.currency] = rate; });
+
+  res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=900');
+  res.status(200).json({
+    base: base.currency,
+    rates: result,
+    timestamp: new Date().toISOString()
+  });
+}
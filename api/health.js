@@ -1,50 +1,39 @@
 // /api/health.js
-// Simple health check endpoint to test CORS
+// Simple health check endpoint to test CORS and each configured market data provider
+
+import { handlePreflightAndMethod } from '../lib/http.js';
+import { getProviders } from '../lib/providers/index.js';
+import { resolveSymbol } from '../lib/exchanges.js';
+import { isAuthEnabled } from '../lib/auth.js';
 
 export default async function handler(req, res) {
-  // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Requested-With');
-  
-  // Handle preflight OPTIONS request
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
 
-  // Only allow GET requests
-  if (req.method !== 'GET') {
-    res.status(405).json({ error: 'Method not allowed' });
-    return;
-  }
+  // Test connectivity of every provider in failover order
+  const testSymbol = resolveSymbol('AAPL');
+  const providers = await Promise.all(getProviders().map(async (provider) => {
+    try {
+      await provider.getQuote(testSymbol);
+      return { name: provider.name, status: 'connected' };
+    } catch (error) {
+      return { name: provider.name, status: 'error', error: error.message };
+    }
+  }));
 
-  try {
-    // Test Yahoo Finance API connectivity
-    const testResponse = await fetch('https://query1.finance.yahoo.com/v8/finance/chart/AAPL', {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+  const yahoo = providers.find(provider => provider.name === 'yahoo');
+  const firstError = providers.find(provider => provider.status === 'error');
 
-    const yahooStatus = testResponse.ok ? 'connected' : 'error';
-    
-    res.status(200).json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      yahooFinanceAPI: yahooStatus,
-      cors: 'enabled',
-      version: '1.0.0'
-    });
-    
-  } catch (error) {
-    res.status(200).json({
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      yahooFinanceAPI: 'error',
-      cors: 'enabled',
-      version: '1.0.0',
-      error: error.message
-    });
-  }
+  res.status(200).json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    // Kept for existing clients that only know about Yahoo
+    yahooFinanceAPI: yahoo ? yahoo.status : 'disabled',
+    providers,
+    cors: 'enabled',
+    // Whether this deployment asks for API keys (see lib/auth.js)
+    auth: isAuthEnabled() ? 'api-key' : 'none',
+    version: '1.0.0',
+    ...(firstError ? { error: firstError.error } : {})
+  });
 }
@@ -0,0 +1,108 @@
+// /api/history/[symbol].js
+// Normalised OHLCV history with dividends and splits, as JSON or CSV
+// e.g. /api/history/AAPL?range=5y&interval=1d, /api/history/JSE:STXRES?start=2020-01-01&end=2020-12-31&adjusted=true&format=csv
+
+import { parseSymbol } from '../../lib/symbols.js';
+import { handlePreflightAndMethod } from '../../lib/http.js';
+import { getHistoryCached, cacheFields, describeError } from '../../lib/marketData.js';
+import { parseHistoryOptions, toHistoryRows, toHistoryEvents, toHistoryCsv } from '../../lib/history.js';
+
+const DEFAULT_RANGE = '1y';
+const DEFAULT_INTERVAL = '1d';
+
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
+
+  const { symbol } = req.query;
+
+  if (!symbol || typeof symbol !== 'string' || symbol.trim().length === 0) {
+    res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol parameter is required and must be a non-empty string'
+    });
+    return;
+  }
+
+  const resolved = parseSymbol(symbol);
+
+  if (!resolved.ok) {
+    res.status(400).json({
+      error: resolved.code === 'UNKNOWN_EXCHANGE' ? 'Unknown exchange' : 'Invalid symbol',
+      code: resolved.code,
+      message: resolved.message,
+      symbol: resolved.input
+    });
+    return;
+  }
+
+  const { options, message: optionsError } = parseHistoryOptions(req.query);
+
+  if (optionsError) {
+    res.status(400).json({
+      error: 'Invalid history options',
+      message: optionsError,
+      symbol: resolved.provider
+    });
+    return;
+  }
+
+  const interval = options.interval || DEFAULT_INTERVAL;
+  const range = options.start ? undefined : options.range || DEFAULT_RANGE;
+
+  try {
+    console.log(`Fetching history for ${resolved.canonical} (${options.start ? `${new Date(options.start).toISOString()} onwards` : range}/${interval})`);
+
+    const { snapshot, cache } = await getHistoryCached(resolved, {
+      range,
+      interval,
+      start: options.start,
+      end: options.end,
+      events: 'div,splits'
+    });
+
+    const rows = toHistoryRows(snapshot.points || [], { interval, adjusted: options.adjusted });
+    const events = toHistoryEvents(snapshot.events, { interval });
+
+    res.setHeader('X-Cache', cache.status);
+    res.setHeader('X-Data-Provider', snapshot.provider);
+    res.setHeader('Cache-Control', cache.stale ? 'no-store' : 'public, s-maxage=300, stale-while-revalidate=3600');
+
+    if (options.format === 'csv') {
+      const filename = `${resolved.canonical.replace(/[^A-Za-z0-9.-]/g, '_')}-${interval}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.status(200).send(toHistoryCsv(rows, events));
+      return;
+    }
+
+    res.status(200).json({
+      symbol: snapshot.symbol || resolved.provider,
+      canonicalSymbol: resolved.canonical,
+      providerSymbol: resolved.provider,
+      instrumentType: resolved.type,
+      provider: snapshot.provider,
+      currency: snapshot.currency || (resolved.exchange ? resolved.exchange.currency : 'USD'),
+      range: range || null,
+      interval,
+      start: rows.length > 0 ? rows[0].date : null,
+      end: rows.length > 0 ? rows[rows.length - 1].date : null,
+      adjusted: options.adjusted,
+      count: rows.length,
+      rows,
+      events,
+      ...cacheFields(cache),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error fetching history for ${resolved.provider}:`, error);
+
+    const { status, error: errorTitle, message } = describeError(error);
+    res.status(status).json({
+      error: errorTitle,
+      message,
+      symbol: resolved.provider
+    });
+  }
+}
@@ -0,0 +1,99 @@
+// /api/indicators/[symbol].js
+// Technical indicators (SMA/EMA, RSI, MACD, Bollinger, ATR) over a chosen range and interval
+// e.g. /api/indicators/JSE:STXRES?range=2y&interval=1d&series=false
+
+import { parseSymbol } from '../../lib/symbols.js';
+import { handlePreflightAndMethod } from '../../lib/http.js';
+import { getHistoryCached, cacheFields, describeError, parseChartOptions } from '../../lib/marketData.js';
+import { computeIndicators } from '../../lib/indicators.js';
+
+// Two years of daily data gives a full year of 200-day SMA readings
+const DEFAULT_RANGE = '2y';
+const DEFAULT_INTERVAL = '1d';
+
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
+
+  const { symbol } = req.query;
+
+  if (!symbol || typeof symbol !== 'string' || symbol.trim().length === 0) {
+    res.status(400).json({
+      error: 'Invalid symbol',
+      message: 'Symbol parameter is required and must be a non-empty string'
+    });
+    return;
+  }
+
+  const resolved = parseSymbol(symbol);
+
+  if (!resolved.ok) {
+    res.status(400).json({
+      error: resolved.code === 'UNKNOWN_EXCHANGE' ? 'Unknown exchange' : 'Invalid symbol',
+      code: resolved.code,
+      message: resolved.message,
+      symbol: resolved.input
+    });
+    return;
+  }
+
+  const { options, message: chartOptionsError } = parseChartOptions(req.query);
+
+  if (chartOptionsError) {
+    res.status(400).json({
+      error: 'Invalid chart options',
+      message: chartOptionsError,
+      symbol: resolved.provider
+    });
+    return;
+  }
+
+  const range = options.range || DEFAULT_RANGE;
+  const interval = options.interval || DEFAULT_INTERVAL;
+  const includeSeries = req.query.series !== 'false';
+
+  try {
+    console.log(`Computing indicators for ${resolved.canonical} (${range}/${interval})`);
+
+    const { snapshot, cache } = await getHistoryCached(resolved, { range, interval });
+    const points = snapshot.points;
+
+    if (points.length === 0) {
+      res.status(404).json({
+        error: 'No price history',
+        message: `No closing prices returned for ${resolved.provider} over ${range}`,
+        symbol: resolved.provider
+      });
+      return;
+    }
+
+    const { series, latest } = computeIndicators(points);
+
+    res.setHeader('X-Data-Provider', snapshot.provider);
+    res.setHeader('Cache-Control', cache.stale ? 'no-store' : 'public, s-maxage=300, stale-while-revalidate=900');
+    res.status(200).json({
+      symbol: resolved.provider,
+      canonicalSymbol: resolved.canonical,
+      providerSymbol: resolved.provider,
+      provider: snapshot.provider,
+      currency: snapshot.currency,
+      range,
+      interval,
+      points: points.length,
+      latest,
+      ...(includeSeries ? { series } : {}),
+      ...cacheFields(cache),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error computing indicators for ${resolved.provider}:`, error);
+
+    const { status, error: errorTitle, message } = describeError(error);
+    res.status(status).json({
+      error: errorTitle,
+      message,
+      symbol: resolved.provider
+    });
+  }
+}
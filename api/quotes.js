@@ -0,0 +1,95 @@
+// /api/quotes.js
+// Batch quote endpoint: /api/quotes?symbols=AAPL,JSE:STXRES,BARC.L[&range=5y&interval=1d]
+// Fetches upstream with bounded concurrency and reports success/error per symbol
+
+import { parseSymbol } from '../lib/symbols.js';
+import { handlePreflightAndMethod } from '../lib/http.js';
+import { getHistoryCached, buildQuote, cacheFields, describeError, parseChartOptions, QUOTE_EVENTS } from '../lib/marketData.js';
+import { MAX_BATCH_SYMBOLS, BATCH_CONCURRENCY, parseSymbolList, mapWithConcurrency } from '../lib/batch.js';
+
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
+
+  const requested = parseSymbolList(req.query.symbols);
+
+  if (requested.length === 0) {
+    res.status(400).json({
+      error: 'Invalid symbols',
+      message: 'symbols parameter is required, e.g. ?symbols=AAPL,MSFT,JSE:STXRES'
+    });
+    return;
+  }
+
+  if (requested.length > MAX_BATCH_SYMBOLS) {
+    res.status(400).json({
+      error: 'Too many symbols',
+      message: `A maximum of ${MAX_BATCH_SYMBOLS} symbols can be requested at once (got ${requested.length})`
+    });
+    return;
+  }
+
+  // Optional history window applied to every symbol so trailing performance can be computed
+  const { options: chartOptions, message: chartOptionsError } = parseChartOptions(req.query);
+
+  if (chartOptionsError) {
+    res.status(400).json({
+      error: 'Invalid chart options',
+      message: chartOptionsError
+    });
+    return;
+  }
+
+  // Resolve and de-duplicate on the canonical symbol so STXRES.JO and JSE:STXRES cost one upstream call
+  const results = {};
+  const toFetch = [];
+
+  requested.forEach(input => {
+    const resolved = parseSymbol(input);
+
+    if (!resolved.ok) {
+      results[input.toUpperCase()] = {
+        success: false,
+        status: 400,
+        error: resolved.code === 'UNKNOWN_EXCHANGE' ? 'Unknown exchange' : 'Invalid symbol',
+        code: resolved.code,
+        message: resolved.message
+      };
+      return;
+    }
+
+    if (!toFetch.some(item => item.canonical === resolved.canonical)) {
+      toFetch.push(resolved);
+    }
+  });
+
+  console.log(`Fetching batch of ${toFetch.length} symbols`);
+
+  const fetched = await mapWithConcurrency(toFetch, BATCH_CONCURRENCY, async (resolved) => {
+    try {
+      const { snapshot, cache } = await getHistoryCached(resolved, { ...chartOptions, events: QUOTE_EVENTS });
+      return { success: true, data: { ...buildQuote(snapshot, resolved), ...cacheFields(cache) } };
+    } catch (error) {
+      console.error(`Error fetching data for ${resolved.provider}:`, error.message);
+      return { success: false, symbol: resolved.provider, ...describeError(error) };
+    }
+  });
+
+  toFetch.forEach((resolved, index) => {
+    results[resolved.canonical] = fetched[index];
+  });
+
+  const entries = Object.values(results);
+  const successCount = entries.filter(entry => entry.success).length;
+  const staleCount = entries.filter(entry => entry.success && entry.data.stale).length;
+
+  res.setHeader('Cache-Control', staleCount > 0 ? 'no-store' : 'public, s-maxage=60, stale-while-revalidate=300');
+  res.status(200).json({
+    count: entries.length,
+    successCount,
+    errorCount: entries.length - successCount,
+    staleCount,
+    timestamp: new Date().toISOString(),
+    results
+  });
+}
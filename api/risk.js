@@ -0,0 +1,181 @@
+// /api/risk.js
+// Risk analytics for a list of symbols: /api/risk?symbols=AAPL,MSFT,JSE:NPN[&weights=50,30,20&range=1y&interval=1d
+// &riskFreeRate=4.5&confidence=0.95]
+// Per symbol: annualised volatility, max drawdown, Sharpe/Sortino and historical/parametric VaR. The whole list is
+// scored as one portfolio (weights in symbol order, equal when omitted) and a pairwise correlation matrix is returned.
+
+import { parseSymbol } from '../lib/symbols.js';
+import { handlePreflightAndMethod } from '../lib/http.js';
+import { getHistoryCached, cacheFields, describeError, parseChartOptions, QUOTE_EVENTS } from '../lib/marketData.js';
+import { MAX_BATCH_SYMBOLS, BATCH_CONCURRENCY, parseSymbolList, mapWithConcurrency } from '../lib/batch.js';
+import { analyseRisk, VAR_Z_SCORES, DEFAULT_CONFIDENCE, PERIODS_PER_YEAR } from '../lib/risk.js';
+import { adjustForCorporateActions } from '../lib/dividends.js';
+
+const DEFAULT_RANGE = '1y';
+const DEFAULT_INTERVAL = '1d';
+const MAX_RISK_FREE_RATE = 20;
+
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
+
+  const requested = parseSymbolList(req.query.symbols);
+
+  if (requested.length === 0) {
+    res.status(400).json({
+      error: 'Invalid symbols',
+      message: 'symbols parameter is required, e.g. ?symbols=AAPL,MSFT,JSE:STXRES'
+    });
+    return;
+  }
+
+  if (requested.length > MAX_BATCH_SYMBOLS) {
+    res.status(400).json({
+      error: 'Too many symbols',
+      message: `A maximum of ${MAX_BATCH_SYMBOLS} symbols can be requested at once (got ${requested.length})`
+    });
+    return;
+  }
+
+  const weightList = parseSymbolList(req.query.weights).map(Number);
+
+  if (weightList.length > 0 && (weightList.length !== requested.length || weightList.some(weight => isNaN(weight) || weight < 0))) {
+    res.status(400).json({
+      error: 'Invalid weights',
+      message: `weights needs one non-negative number per symbol (${requested.length}), in the same order as symbols`
+    });
+    return;
+  }
+
+  const riskFreeRate = req.query.riskFreeRate === undefined ? 0 : Number(req.query.riskFreeRate);
+  const confidence = req.query.confidence === undefined ? DEFAULT_CONFIDENCE : Number(req.query.confidence);
+
+  if (isNaN(riskFreeRate) || riskFreeRate < 0 || riskFreeRate > MAX_RISK_FREE_RATE) {
+    res.status(400).json({
+      error: 'Invalid risk-free rate',
+      message: `riskFreeRate is an annual percentage between 0 and ${MAX_RISK_FREE_RATE}`
+    });
+    return;
+  }
+
+  if (!VAR_Z_SCORES[confidence]) {
+    res.status(400).json({
+      error: 'Invalid confidence',
+      message: `confidence must be one of ${Object.keys(VAR_Z_SCORES).join(', ')}`
+    });
+    return;
+  }
+
+  const { options, message: chartOptionsError } = parseChartOptions(req.query);
+
+  if (chartOptionsError) {
+    res.status(400).json({
+      error: 'Invalid chart options',
+      message: chartOptionsError
+    });
+    return;
+  }
+
+  const range = options.range || DEFAULT_RANGE;
+  const interval = options.interval || DEFAULT_INTERVAL;
+
+  // Returns are lined up by trading date, which would collapse intraday bars onto one another
+  if (!PERIODS_PER_YEAR[interval]) {
+    res.status(400).json({
+      error: 'Invalid chart options',
+      message: `interval must be daily or longer: one of ${Object.keys(PERIODS_PER_YEAR).join(', ')}`
+    });
+    return;
+  }
+
+  // Resolve and de-duplicate on the canonical symbol; a repeated symbol's weights are added together
+  const results = {};
+  const toFetch = [];
+  const weights = {};
+
+  requested.forEach((input, index) => {
+    const resolved = parseSymbol(input);
+
+    if (!resolved.ok) {
+      results[input.toUpperCase()] = {
+        success: false,
+        status: 400,
+        error: resolved.code === 'UNKNOWN_EXCHANGE' ? 'Unknown exchange' : 'Invalid symbol',
+        code: resolved.code,
+        message: resolved.message
+      };
+      return;
+    }
+
+    if (!toFetch.some(item => item.canonical === resolved.canonical)) {
+      toFetch.push(resolved);
+    }
+    if (weightList.length > 0) {
+      weights[resolved.canonical] = (weights[resolved.canonical] || 0) + weightList[index];
+    }
+  });
+
+  console.log(`Computing risk for ${toFetch.length} symbols (${range}/${interval})`);
+
+  const fetched = await mapWithConcurrency(toFetch, BATCH_CONCURRENCY, async (resolved) => {
+    try {
+      return { success: true, ...(await getHistoryCached(resolved, { range, interval, events: QUOTE_EVENTS })) };
+    } catch (error) {
+      console.error(`Error fetching history for ${resolved.provider}:`, error.message);
+      return { success: false, symbol: resolved.provider, ...describeError(error) };
+    }
+  });
+
+  const pointsBySymbol = {};
+  toFetch.forEach((resolved, index) => {
+    if (fetched[index].success) pointsBySymbol[resolved.canonical] = adjustForCorporateActions(fetched[index].snapshot.points, fetched[index].snapshot.events);
+  });
+
+  // Annualise with the granularity the provider actually returned, which can differ from the one requested
+  const snapshots = fetched.filter(entry => entry.success).map(entry => entry.snapshot);
+  const risk = analyseRisk(pointsBySymbol, {
+    weights,
+    interval: snapshots.length > 0 && snapshots[0].interval ? snapshots[0].interval : interval,
+    riskFreeRate,
+    confidence
+  });
+
+  toFetch.forEach((resolved, index) => {
+    const entry = fetched[index];
+    results[resolved.canonical] = entry.success
+      ? {
+        success: true,
+        data: {
+          symbol: resolved.provider,
+          canonicalSymbol: resolved.canonical,
+          provider: entry.snapshot.provider,
+          currency: entry.snapshot.currency,
+          ...risk.results[resolved.canonical],
+          ...cacheFields(entry.cache)
+        }
+      }
+      : entry;
+  });
+
+  const entries = Object.values(results);
+  const successCount = entries.filter(entry => entry.success).length;
+  const staleCount = entries.filter(entry => entry.success && entry.data.stale).length;
+  const currencies = [...new Set(snapshots.map(snapshot => snapshot.currency).filter(Boolean))];
+
+  res.setHeader('Cache-Control', staleCount > 0 ? 'no-store' : 'public, s-maxage=300, stale-while-revalidate=900');
+  res.status(200).json({
+    count: entries.length,
+    successCount,
+    errorCount: entries.length - successCount,
+    staleCount,
+    range,
+    interval,
+    riskFreeRate,
+    confidence,
+    // Symbols that failed are left out of the portfolio and the matrix
+    portfolio: successCount > 0 ? { ...risk.portfolio, currencies } : null,
+    correlation: risk.correlation,
+    timestamp: new Date().toISOString(),
+    results
+  });
+}
@@ -0,0 +1,67 @@
+// /api/search.js
+// Instrument search for the symbol typeahead: /api/search?q=barclays&limit=8
+
+import { handlePreflightAndMethod } from '../lib/http.js';
+import { describeError } from '../lib/marketData.js';
+import { cachedFetch } from '../lib/cache.js';
+import { callProviders } from '../lib/providers/index.js';
+import { parseSymbol } from '../lib/symbols.js';
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+const MAX_QUERY_LENGTH = 50;
+
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
+
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+  if (query.length === 0 || query.length > MAX_QUERY_LENGTH) {
+    res.status(400).json({
+      error: 'Invalid query',
+      message: `q parameter is required and must be at most ${MAX_QUERY_LENGTH} characters`
+    });
+    return;
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  try {
+    const { value, cache } = await cachedFetch(`search:${query.toLowerCase()}:${limit}`, async () => {
+      const { value: matches, provider } = await callProviders('search', query, { limit });
+      return { matches, provider };
+    }, { ttlMs: 10 * 60 * 1000 });
+
+    // Add the canonical MARKET:SYMBOL form and fill in currency from the exchange table when the provider omits it
+    const results = value.matches.map(match => {
+      const resolved = parseSymbol(match.symbol);
+      return {
+        ...match,
+        canonicalSymbol: resolved.ok ? resolved.canonical : match.symbol,
+        instrumentType: resolved.ok ? resolved.type : null,
+        currency: match.currency || (resolved.ok && resolved.exchange ? resolved.exchange.currency : null)
+      };
+    });
+
+    res.setHeader('Cache-Control', 'public, s-maxage=600, stale-while-revalidate=3600');
+    res.status(200).json({
+      query,
+      count: results.length,
+      provider: value.provider,
+      results,
+      cache,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error searching for ${query}:`, error);
+
+    const { status, error: errorTitle, message } = describeError(error);
+    res.status(status).json({
+      error: errorTitle,
+      message,
+      query
+    });
+  }
+}
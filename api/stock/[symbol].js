@@ -1,24 +1,10 @@
-export default async function handler(req, res) {
-  // Set CORS headers for all requests
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Accept');
-  res.setHeader('Access-Control-Max-Age', '86400'); // Cache preflight for 24 hours
-
-  // Handle preflight OPTIONS request
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
-  }
+import { parseSymbol } from '../../lib/symbols.js';
+import { handlePreflightAndMethod } from '../../lib/http.js';
+import { getHistoryCached, buildQuote, cacheFields, describeError, parseChartOptions, QUOTE_EVENTS } from '../../lib/marketData.js';
 
-  // Only allow GET requests for stock data
-  if (req.method !== 'GET') {
-    res.status(405).json({ 
-      error: 'Method not allowed',
-      message: 'Only GET requests are supported'
-    });
-    return;
-  }
+export default async function handler(req, res) {
+  // CORS headers, preflight, GET-only, API key and rate limit checks
+  if (await handlePreflightAndMethod(req, res)) return;
 
   const { symbol } = req.query;
 
@@ -31,99 +17,62 @@ export default async function handler(req, res) {
     return;
   }
 
-  // Clean symbol without enforcing format
-  const cleanSymbol = symbol.trim();
-
-  try {
-    const yahooUrl = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(cleanSymbol)}`;
-    console.log(`Fetching data for symbol: ${cleanSymbol}`);
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+  // Classify the symbol and translate it into provider form (JSE:STXRES -> STXRES.JO, BRK.B -> BRK-B)
+  const resolved = parseSymbol(symbol);
 
-    const response = await fetch(yahooUrl, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
-        'Accept': 'application/json'
-      }
+  if (!resolved.ok) {
+    res.status(400).json({
+      error: resolved.code === 'UNKNOWN_EXCHANGE' ? 'Unknown exchange' : 'Invalid symbol',
+      code: resolved.code,
+      message: resolved.message,
+      symbol: resolved.input
     });
+    return;
+  }
 
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`Yahoo Finance API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    if (!data.chart || !data.chart.result || !data.chart.result[0]) {
-      res.status(404).json({
-        error: 'Symbol not found',
-        message: `No data available for symbol: ${cleanSymbol}`,
-        symbol: cleanSymbol
-      });
-      return;
-    }
+  const cleanSymbol = resolved.provider;
+  const canonicalSymbol = resolved.canonical;
 
-    const result = data.chart.result[0];
-    const meta = result.meta;
+  // Optional history window, e.g. ?range=5y&interval=1d
+  const { options: chartOptions, message: chartOptionsError } = parseChartOptions(req.query);
 
-    if (!meta || typeof meta.regularMarketPrice === 'undefined') {
-      res.status(404).json({
-        error: 'No market data',
-        message: `Market data not available for symbol: ${cleanSymbol}`,
-        symbol: cleanSymbol
-      });
-      return;
-    }
+  if (chartOptionsError) {
+    res.status(400).json({
+      error: 'Invalid chart options',
+      message: chartOptionsError,
+      symbol: cleanSymbol
+    });
+    return;
+  }
 
-    const currentPrice = meta.regularMarketPrice;
-    const previousClose = meta.previousClose || meta.chartPreviousClose;
-    const dayChange = currentPrice && previousClose ? currentPrice - previousClose : 0;
-    const dayChangePercent = previousClose ? (dayChange / previousClose) * 100 : 0;
+  try {
+    console.log(`Fetching data for symbol: ${canonicalSymbol} (${cleanSymbol})`);
 
+    // Providers are tried in the configured order; the response cache serves fresh copies and,
+    // when every provider fails, the last good quote flagged stale. Dividends and splits come along for total return.
+    const { snapshot, cache } = await getHistoryCached(resolved, { ...chartOptions, events: QUOTE_EVENTS });
     const stockData = {
-      symbol: meta.symbol || cleanSymbol,
-      currentPrice,
-      previousClose,
-      dayChange,
-      dayChangePercent,
-      fiftyTwoWeekHigh: meta.fiftyTwoWeekHigh,
-      fiftyTwoWeekLow: meta.fiftyTwoWeekLow,
-      regularMarketVolume: meta.regularMarketVolume,
-      currency: meta.currency || 'USD',
-      exchangeName: meta.fullExchangeName || meta.exchangeName,
-      marketState: meta.marketState,
-      timestamp: new Date().toISOString(),
-      chart: data.chart
+      ...buildQuote(snapshot, resolved),
+      ...cacheFields(cache),
+      // Raw provider payload (Yahoo's chart object) kept for existing consumers - /api/history has the normalised rows
+      chart: snapshot.raw
     };
 
-    res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=300');
-    console.log(`Successfully fetched data for ${cleanSymbol}: $${currentPrice}`);
+    res.setHeader('X-Cache', cache.status);
+    res.setHeader('X-Data-Provider', snapshot.provider);
+    // Stale answers must not be pinned in the CDN
+    res.setHeader('Cache-Control', cache.stale ? 'no-store' : 'public, s-maxage=60, stale-while-revalidate=300');
+    console.log(`Successfully fetched data for ${cleanSymbol} from ${snapshot.provider} (${cache.status}): $${stockData.currentPrice}`);
     res.status(200).json(stockData);
 
   } catch (error) {
     console.error(`Error fetching data for ${cleanSymbol}:`, error);
 
-    if (error.name === 'AbortError') {
-      res.status(408).json({
-        error: 'Request timeout',
-        message: 'Yahoo Finance API request timed out',
-        symbol: cleanSymbol
-      });
-    } else if (error.message.includes('fetch')) {
-      res.status(503).json({
-        error: 'Service unavailable',
-        message: 'Unable to connect to Yahoo Finance API',
-        symbol: cleanSymbol
-      });
-    } else {
-      res.status(500).json({
-        error: 'Internal server error',
-        message: error.message,
-        symbol: cleanSymbol
-      });
-    }
+    const { status, error: errorTitle, message } = describeError(error);
+    res.status(status).json({
+      error: errorTitle,
+      message,
+      symbol: cleanSymbol
+    });
   }
 }
@@ -0,0 +1,256 @@
+// /lib/alerts.js
+// Price alert rules evaluated against /api/quotes responses.
+// A rule is { id, symbol, type, value, direction, indicator, enabled, createdAt, state }. state remembers the last
+// evaluation ({ met, checkedAt, triggeredAt, observed }) so an alert fires on the transition into its condition
+// instead of on every poll, and re-arms once the condition clears. Crossovers only fire on an observed transition,
+// so a rule created while the fast line is already above the slow one waits for the next cross.
+
+import { parseSymbol } from './symbols.js';
+import { DEFAULT_THRESHOLDS } from './recommendation.js';
+
+export const MAX_ALERTS = 100;
+export const MAX_ALERT_LOG = 200;
+
+// Quotes are cached for a minute by the API, so polling faster only returns the same snapshot
+export const ALERT_POLL_INTERVAL_MS = 60000;
+
+// Enough daily history for the 200-day SMA and MACD readings the crossover rules use. The day-move rule reads the
+// quote's dayChangePercent, which buildQuote takes from the last two daily bars rather than the start of this window.
+export const ALERT_QUOTE_RANGE = '1y';
+export const ALERT_QUOTE_INTERVAL = '1d';
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+const latest = (quote, key) => (quote.indicators && isNumber(quote.indicators[key]) ? quote.indicators[key] : null);
+const money = (quote, value) => `${quote.currency || ''} ${value.toFixed(2)}`.trim();
+
+// Crossovers compare a fast line against a slow one; direction 'above' fires when fast crosses above slow
+export const CROSSOVERS = {
+  'price-sma50': {
+    label: 'Price vs 50-day SMA',
+    fast: quote => quote.currentPrice,
+    slow: quote => latest(quote, 'sma50'),
+    names: ['price', '50-day SMA']
+  },
+  'price-sma200': {
+    label: 'Price vs 200-day SMA',
+    fast: quote => quote.currentPrice,
+    slow: quote => latest(quote, 'sma200'),
+    names: ['price', '200-day SMA']
+  },
+  'sma50-sma200': {
+    label: '50-day vs 200-day SMA (golden / death cross)',
+    fast: quote => latest(quote, 'sma50'),
+    slow: quote => latest(quote, 'sma200'),
+    names: ['50-day SMA', '200-day SMA']
+  },
+  'macd-signal': {
+    label: 'MACD vs signal line',
+    fast: quote => latest(quote, 'macd'),
+    slow: quote => latest(quote, 'macdSignal'),
+    names: ['MACD', 'signal line']
+  }
+};
+
+// Each type reads the quote and returns { met, observed } (observed is shown in the rule list),
+// or null when the quote does not carry the data the rule needs
+export const ALERT_TYPES = {
+  'price-above': {
+    label: 'Price above',
+    valueLabel: 'Price',
+    describe: rule => `price above ${rule.value}`,
+    read: (rule, quote) => (isNumber(quote.currentPrice)
+      ? { met: quote.currentPrice > rule.value, observed: money(quote, quote.currentPrice) }
+      : null),
+    message: (rule, quote) => `${rule.symbol} rose above ${rule.value} (now ${money(quote, quote.currentPrice)})`
+  },
+  'price-below': {
+    label: 'Price below',
+    valueLabel: 'Price',
+    describe: rule => `price below ${rule.value}`,
+    read: (rule, quote) => (isNumber(quote.currentPrice)
+      ? { met: quote.currentPrice < rule.value, observed: money(quote, quote.currentPrice) }
+      : null),
+    message: (rule, quote) => `${rule.symbol} fell below ${rule.value} (now ${money(quote, quote.currentPrice)})`
+  },
+  'day-move': {
+    label: 'Move on the day',
+    valueLabel: 'Move %',
+    defaultValue: 5,
+    directions: ['either', 'up', 'down'],
+    describe: rule => `${rule.direction === 'up' ? 'up' : rule.direction === 'down' ? 'down' : 'moves'} ${rule.value}% or more on the day`,
+    read: (rule, quote) => {
+      const move = quote.dayChangePercent;
+      if (!isNumber(move) || !isNumber(quote.previousClose)) return null;
+      const met = rule.direction === 'up' ? move >= rule.value
+        : rule.direction === 'down' ? move <= -rule.value
+        : Math.abs(move) >= rule.value;
+      return { met, observed: `${move > 0 ? '+' : ''}${move.toFixed(2)}%` };
+    },
+    message: (rule, quote) => `${rule.symbol} is ${quote.dayChangePercent > 0 ? 'up' : 'down'} ${Math.abs(quote.dayChangePercent).toFixed(2)}% on the day (now ${money(quote, quote.currentPrice)})`
+  },
+  'near-high': {
+    label: 'Within % of 52-week high',
+    valueLabel: 'Within %',
+    defaultValue: DEFAULT_THRESHOLDS.nearHighPercent,
+    describe: rule => `within ${rule.value}% of 52-week high`,
+    read: (rule, quote) => {
+      const { currentPrice: price, fiftyTwoWeekHigh: high } = quote;
+      if (!isNumber(price) || !isNumber(high) || high <= 0) return null;
+      const distance = ((high - price) / high) * 100;
+      return { met: distance <= rule.value, observed: `${distance.toFixed(1)}% below high` };
+    },
+    message: (rule, quote) => `${rule.symbol} is within ${rule.value}% of its 52-week high of ${money(quote, quote.fiftyTwoWeekHigh)} (now ${money(quote, quote.currentPrice)})`
+  },
+  'near-low': {
+    label: 'Within % of 52-week low',
+    valueLabel: 'Within %',
+    defaultValue: DEFAULT_THRESHOLDS.nearLowPercent,
+    describe: rule => `within ${rule.value}% of 52-week low`,
+    read: (rule, quote) => {
+      const { currentPrice: price, fiftyTwoWeekLow: low } = quote;
+      if (!isNumber(price) || !isNumber(low) || low <= 0) return null;
+      const distance = ((price - low) / low) * 100;
+      return { met: distance <= rule.value, observed: `${distance.toFixed(1)}% above low` };
+    },
+    message: (rule, quote) => `${rule.symbol} is within ${rule.value}% of its 52-week low of ${money(quote, quote.fiftyTwoWeekLow)} (now ${money(quote, quote.currentPrice)})`
+  },
+  crossover: {
+    label: 'Indicator crossover',
+    directions: ['above', 'below'],
+    requiresTransition: true,
+    describe: rule => {
+      const [fast, slow] = CROSSOVERS[rule.indicator].names;
+      return `${fast} crosses ${rule.direction} ${slow}`;
+    },
+    read: (rule, quote) => {
+      const crossover = CROSSOVERS[rule.indicator];
+      const fast = crossover.fast(quote);
+      const slow = crossover.slow(quote);
+      if (!isNumber(fast) || !isNumber(slow)) return null;
+      const side = fast > slow ? 'above' : 'below';
+      return { met: side === rule.direction, observed: `${crossover.names[0]} ${side} ${crossover.names[1]}` };
+    },
+    message: (rule, quote) => {
+      const [fast, slow] = CROSSOVERS[rule.indicator].names;
+      const cross = rule.indicator === 'sma50-sma200' ? (rule.direction === 'above' ? ' (golden cross)' : ' (death cross)') : '';
+      return `${rule.symbol}: ${fast} crossed ${rule.direction} the ${slow}${cross} (price ${money(quote, quote.currentPrice)})`;
+    }
+  }
+};
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const describeAlertRule = (rule) => `${rule.symbol} ${ALERT_TYPES[rule.type].describe(rule)}`;
+
+// Build a rule from the form input; returns { rule } or { message } describing what is wrong
+export const createAlertRule = ({ symbol, type, value, direction, indicator }, now = new Date()) => {
+  const resolved = parseSymbol(symbol || '');
+  if (!resolved.ok) return { message: resolved.message };
+
+  const alertType = ALERT_TYPES[type];
+  if (!alertType) return { message: `Unknown alert type: ${type}` };
+
+  const rule = {
+    id: newId('al'),
+    symbol: resolved.canonical,
+    type,
+    value: null,
+    direction: alertType.directions ? alertType.directions[0] : null,
+    indicator: null,
+    enabled: true,
+    createdAt: now.toISOString(),
+    state: { met: null, checkedAt: null, triggeredAt: null, observed: null }
+  };
+
+  if (alertType.directions) {
+    if (direction !== undefined && !alertType.directions.includes(direction)) {
+      return { message: `Direction must be one of ${alertType.directions.join(', ')}` };
+    }
+    if (direction !== undefined) rule.direction = direction;
+  }
+
+  if (type === 'crossover') {
+    if (!CROSSOVERS[indicator]) return { message: `Choose one of the crossovers: ${Object.keys(CROSSOVERS).join(', ')}` };
+    rule.indicator = indicator;
+    return { rule };
+  }
+
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  if (!isNumber(number) || number <= 0) return { message: `${alertType.valueLabel} must be a positive number` };
+  rule.value = number;
+  return { rule };
+};
+
+// Evaluate one rule against its latest quote; returns { rule, event } where event is null unless the alert fired
+export const evaluateAlert = (rule, quote, now = new Date()) => {
+  const alertType = ALERT_TYPES[rule.type];
+  const previous = rule.state || {};
+  const checkedAt = now.toISOString();
+  const reading = alertType.read(rule, quote);
+
+  if (!reading) {
+    return { rule: { ...rule, state: { ...previous, checkedAt } }, event: null };
+  }
+
+  const fired = reading.met && (alertType.requiresTransition ? previous.met === false : previous.met !== true);
+  const state = {
+    met: reading.met,
+    checkedAt,
+    triggeredAt: fired ? checkedAt : previous.triggeredAt || null,
+    observed: reading.observed
+  };
+
+  return {
+    rule: { ...rule, state },
+    event: fired ? {
+      id: newId('ev'),
+      ruleId: rule.id,
+      symbol: rule.symbol,
+      type: rule.type,
+      condition: describeAlertRule(rule),
+      message: alertType.message(rule, quote),
+      price: isNumber(quote.currentPrice) ? quote.currentPrice : null,
+      currency: quote.currency || null,
+      stale: Boolean(quote.stale),
+      triggeredAt: checkedAt
+    } : null
+  };
+};
+
+// Evaluate every enabled rule that has a quote: quotes is { [canonicalSymbol]: /api/quotes result data }
+export const evaluateAlerts = (rules, quotes, now = new Date()) => {
+  const events = [];
+  const next = rules.map(rule => {
+    const quote = quotes[rule.symbol];
+    if (!rule.enabled || !quote) return rule;
+
+    const { rule: updated, event } = evaluateAlert(rule, quote, now);
+    if (event) events.push(event);
+    return updated;
+  });
+
+  return { rules: next, events };
+};
+
+// Symbols the poller has to quote
+export const alertSymbols = (rules) => [...new Set(rules.filter(rule => rule.enabled).map(rule => rule.symbol))];
+
+export const addAlertRule = (rules, rule) => [...rules, rule].slice(-MAX_ALERTS);
+
+export const removeAlertRule = (rules, id) => rules.filter(rule => rule.id !== id);
+
+// Re-enabling starts from a clean state so the rule re-arms against the next quote
+export const toggleAlertRule = (rules, id) => rules.map(rule => (rule.id === id
+  ? { ...rule, enabled: !rule.enabled, state: { met: null, checkedAt: null, triggeredAt: rule.state ? rule.state.triggeredAt : null, observed: null } }
+  : rule));
+
+// Newest first, capped so browser storage stays well inside its quota
+export const addAlertLogEntries = (log, events, max = MAX_ALERT_LOG) => [...[...events].reverse(), ...log].slice(0, max);
+
+export const sanitizeAlertRules = (value) => (Array.isArray(value) ? value : [])
+  .filter(rule => rule && typeof rule.id === 'string' && typeof rule.symbol === 'string' && ALERT_TYPES[rule.type])
+  .filter(rule => rule.type !== 'crossover' || CROSSOVERS[rule.indicator]);
+
+export const sanitizeAlertLog = (value) => (Array.isArray(value) ? value : [])
+  .filter(entry => entry && typeof entry.id === 'string' && typeof entry.message === 'string')
+  .sort((a, b) => (a.triggeredAt < b.triggeredAt ? 1 : a.triggeredAt > b.triggeredAt ? -1 : 0));
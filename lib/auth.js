@@ -0,0 +1,153 @@
+// /lib/auth.js
+// Optional API-key authentication and per-caller quotas for the API handlers.
+//
+// Configured from the environment:
+//   API_KEYS=key1:120,key2      keys that may call the API, each with an optional quota in requests per minute.
+//                               Once any key is set, requests without a valid key get 401.
+//   API_KEY_RATE_LIMIT=60       quota for keys that do not name their own
+//   ANONYMOUS_RATE_LIMIT=20     quota per client address for requests without a key. With API_KEYS set it opens
+//                               keyless access at this rate; without API_KEYS it just throttles the open API.
+//   API_KEY_IN_QUERY=false      refuse ?apiKey= with 400. Query keys are accepted by default for clients that cannot
+//                               set headers, but URLs end up in Vercel's request logs, the CDN cache key and browser
+//                               history - prefer the header, and turn this off once no caller needs the query form.
+// Nothing set means the API stays open and unmetered, as before.
+// A key is read from the X-API-Key header, an Authorization: Bearer header or ?apiKey= (unless refused above).
+// Quotas are token buckets (see lib/rateLimit.js) that allow a burst of one minute's quota.
+
+import { createHash } from 'crypto';
+import { takeToken } from './rateLimit.js';
+
+const DEFAULT_KEY_RATE_LIMIT = 60;
+
+const env = (name) => (typeof process !== 'undefined' && process.env ? process.env[name] : undefined);
+
+const parseRate = (value, fallback) => {
+  const rate = parseInt(value, 10);
+  return rate > 0 ? rate : fallback;
+};
+
+// Keys are held and bucketed by digest, so the store and the logs never see the secret itself
+export const fingerprintKey = (key) => createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+let config = null;
+let configSource = null;
+
+export const getAuthConfig = () => {
+  const source = [env('API_KEYS'), env('API_KEY_RATE_LIMIT'), env('ANONYMOUS_RATE_LIMIT'), env('API_KEY_IN_QUERY')].join('|');
+  if (config && configSource === source) return config;
+
+  const defaultRate = parseRate(env('API_KEY_RATE_LIMIT'), DEFAULT_KEY_RATE_LIMIT);
+  const keys = new Map();
+  (env('API_KEYS') || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    // Split on the last colon so a key may itself contain one
+    const separator = entry.lastIndexOf(':');
+    const rate = separator > 0 ? parseInt(entry.slice(separator + 1), 10) : NaN;
+    const key = rate > 0 ? entry.slice(0, separator) : entry;
+    keys.set(fingerprintKey(key), { perMinute: rate > 0 ? rate : defaultRate });
+  });
+
+  config = {
+    keys,
+    keysRequired: keys.size > 0,
+    anonymousPerMinute: parseRate(env('ANONYMOUS_RATE_LIMIT'), null),
+    queryKeysAllowed: !/^(0|false|no)$/i.test(env('API_KEY_IN_QUERY') || '')
+  };
+  configSource = source;
+  return config;
+};
+
+// Whether the API currently asks for keys - shared responses must then not be cached where other callers can reach them
+export const isAuthEnabled = () => getAuthConfig().keysRequired;
+
+// Returns { key, inQuery } - key is null when none was sent; headers win over the query string
+export const readApiKey = (req) => {
+  const headers = req.headers || {};
+  const headerKey = headers['x-api-key'];
+  if (typeof headerKey === 'string' && headerKey.trim()) return { key: headerKey.trim(), inQuery: false };
+
+  const match = typeof headers.authorization === 'string' ? headers.authorization.match(/^Bearer\s+(.+)$/i) : null;
+  if (match) return { key: match[1].trim(), inQuery: false };
+
+  const queryKey = req.query && req.query.apiKey;
+  return typeof queryKey === 'string' && queryKey.trim() ? { key: queryKey.trim(), inQuery: true } : { key: null, inQuery: false };
+};
+
+// First address in X-Forwarded-For is the client as seen by Vercel's edge
+const clientAddress = (req) => {
+  const headers = req.headers || {};
+  const forwarded = typeof headers['x-forwarded-for'] === 'string' ? headers['x-forwarded-for'].split(',')[0].trim() : '';
+  return forwarded || headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+};
+
+const bucketLimit = (perMinute) => ({ capacity: perMinute, refillPerSecond: perMinute / 60 });
+
+const rateHeaders = (result) => ({
+  'X-RateLimit-Limit': String(result.limit),
+  ...(result.remaining !== null ? { 'X-RateLimit-Remaining': String(result.remaining) } : {}),
+  'X-RateLimit-Reset': String(result.resetSeconds)
+});
+
+// Check the caller's key and spend a token from its quota. Returns { ok: true, caller, headers } or
+// { ok: false, status, error, message, headers } for the handler to send; headers go out either way.
+export const authorizeRequest = async (req) => {
+  const { keys, keysRequired, anonymousPerMinute, queryKeysAllowed } = getAuthConfig();
+  const { key: apiKey, inQuery } = readApiKey(req);
+  let caller;
+  let perMinute;
+
+  if (apiKey && keysRequired && inQuery && !queryKeysAllowed) {
+    return {
+      ok: false,
+      status: 400,
+      error: 'API key in URL',
+      message: 'API keys are not accepted in the query string - send the key in the X-API-Key header (or Authorization: Bearer <key>)',
+      headers: {}
+    };
+  }
+
+  if (apiKey && keysRequired) {
+    const entry = keys.get(fingerprintKey(apiKey));
+    if (!entry) {
+      return {
+        ok: false,
+        status: 401,
+        error: 'Invalid API key',
+        message: 'The API key is not recognised',
+        headers: { 'WWW-Authenticate': 'Bearer realm="finmaster-api", error="invalid_token"' }
+      };
+    }
+    caller = `key:${fingerprintKey(apiKey)}`;
+    perMinute = entry.perMinute;
+  } else if (keysRequired && !anonymousPerMinute) {
+    return {
+      ok: false,
+      status: 401,
+      error: 'API key required',
+      message: 'Send an API key in the X-API-Key header (or Authorization: Bearer <key>)',
+      headers: { 'WWW-Authenticate': 'Bearer realm="finmaster-api"' }
+    };
+  } else {
+    // Keys sent to an API without any configured are ignored rather than refused
+    caller = `ip:${clientAddress(req)}`;
+    perMinute = anonymousPerMinute;
+  }
+
+  if (!perMinute) {
+    return { ok: true, caller, headers: {} };
+  }
+
+  const result = await takeToken(caller, bucketLimit(perMinute));
+
+  if (!result.allowed) {
+    return {
+      ok: false,
+      status: 429,
+      error: 'Rate limit exceeded',
+      message: `Quota of ${perMinute} requests per minute used up - retry in ${result.retryAfterSeconds}s`,
+      retryAfterSeconds: result.retryAfterSeconds,
+      headers: { ...rateHeaders(result), 'Retry-After': String(result.retryAfterSeconds) }
+    };
+  }
+
+  return { ok: true, caller, headers: rateHeaders(result) };
+};
@@ -0,0 +1,276 @@
+// /lib/backtest.js
+// Replays the rating rules (lib/recommendation.js) over daily history to test whether they pick winners.
+// On each rebalance date every symbol is rated from the data available at that close only - trailing performance,
+// 52-week range, indicators and the trailing-year excess return over the benchmark - and the strategy holds the
+// symbols whose rating is in `ratings` in equal weight (cash when none qualify), trading at that close. It is
+// compared with an equal-weight buy-and-hold of the same symbols and with the benchmark. Fundamentals are not
+// replayed since only today's values are available. Ratings see the same inputs as a live quote: price, range and
+// indicators from the price history, trailing returns as total return counting only dividends paid by that date.
+// Holdings are valued at total-return prices (dividend-adjusted closes where the points carry them) so income shares
+// are not penalised. Runs on any snapshot points, so fixture or cached data works offline.
+
+import { rateShare } from './recommendation.js';
+import { computePerformance, tradingDate } from './performance.js';
+import { computeIndicators } from './indicators.js';
+import { computeRelativeStats } from './benchmark.js';
+import { computeReturnStats } from './risk.js';
+import { totalReturnClose, totalReturnPoints } from './dividends.js';
+
+export const REBALANCE_SCHEDULES = {
+  weekly: { label: 'Weekly' },
+  monthly: { label: 'Monthly' },
+  quarterly: { label: 'Quarterly' }
+};
+
+export const DEFAULT_BACKTEST_OPTIONS = { rebalance: 'monthly', ratings: ['BUY'], warmupDays: 365 };
+
+// Daily history ranges worth testing - the first year is warm-up, so anything shorter leaves too little to score
+export const BACKTEST_RANGES = ['2y', '5y', '10y', 'max'];
+// Every symbol is re-rated on every rebalance date, so the list is kept shorter than a quote batch
+export const MAX_BACKTEST_SYMBOLS = 20;
+
+// Closes the indicators are computed over on each rebalance - a year covers the 200-day SMA and lets the RSI
+// smoothing settle, without re-reading years of history every time
+const INDICATOR_LOOKBACK = 260;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+const round = (value, decimals = 2) => (value === null || !isFinite(value) ? null : Number(value.toFixed(decimals)));
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Rebalance on the first trading day of each new week, month or quarter (date is a YYYY-MM-DD trading date)
+const periodKey = (date, rebalance) => {
+  if (rebalance === 'weekly') return String(Math.floor((Date.parse(date) / DAY_MS + 3) / 7));
+  if (rebalance === 'quarterly') return `${date.slice(0, 4)}-Q${Math.floor((Number(date.slice(5, 7)) - 1) / 3)}`;
+  return date.slice(0, 7);
+};
+
+// Total-return bars as they stood at the last of `history`. Adjusted closes fold in every dividend up to the end of
+// the data, so they are rebased to the last bar's own close - payouts after it would otherwise leak into the rating.
+const totalReturnAsOf = (history) => {
+  const last = history[history.length - 1];
+  const factor = last.close / totalReturnClose(last);
+  return totalReturnPoints(history.map(point => ({ ...point, adjClose: totalReturnClose(point) * factor })));
+};
+
+// The metrics rateShare sees for a share, rebuilt from the first `count` price points
+const metricsAt = (points, count, benchmark) => {
+  const history = points.slice(0, count);
+  const last = history[history.length - 1];
+  const previous = history.length > 1 ? history[history.length - 2] : null;
+  const lastYear = history.filter(point => point.time > last.time - YEAR_MS);
+  const totalReturn = totalReturnAsOf(history);
+
+  let relative = null;
+  if (benchmark) {
+    // benchmark.points already stop at this date
+    const benchmarkYear = totalReturnAsOf(benchmark.points).filter(point => point.time > last.time - YEAR_MS && point.time <= last.time);
+    const stats = computeRelativeStats(totalReturn.filter(point => point.time > last.time - YEAR_MS), benchmarkYear);
+    if (typeof stats.excessReturn === 'number') relative = { symbol: benchmark.symbol, ...stats };
+  }
+
+  return {
+    price: last.close,
+    previousClose: previous ? previous.close : null,
+    high52Week: Math.max(...lastYear.map(point => (typeof point.high === 'number' ? point.high : point.close))),
+    low52Week: Math.min(...lastYear.map(point => (typeof point.low === 'number' ? point.low : point.close))),
+    dayChangePercent: previous ? (last.close / previous.close - 1) * 100 : null,
+    performance: computePerformance(totalReturn, last.close),
+    indicators: computeIndicators(history.slice(-INDICATOR_LOOKBACK)).latest,
+    benchmark: relative
+  };
+};
+
+// Total return, CAGR, drawdown, volatility and Sharpe for an equity curve ([{ time, value }])
+const curveStats = (curve) => {
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+  const years = (last.time - first.time) / YEAR_MS;
+  const returns = curve.slice(1).map((point, index) => point.value / curve[index].value - 1);
+  const { maxDrawdown, volatility, sharpe } = computeReturnStats(returns, { times: curve.slice(1).map(point => point.time), start: first.time });
+
+  return {
+    totalReturn: round((last.value / first.value - 1) * 100),
+    cagr: years > 0 ? round(((last.value / first.value) ** (1 / years) - 1) * 100) : null,
+    maxDrawdown,
+    volatility,
+    sharpe
+  };
+};
+
+// seriesBySymbol: { [symbol]: points (oldest first) }; benchmark: { symbol, points } or null
+// options: { rebalance: 'weekly' | 'monthly' | 'quarterly', ratings: ratings held, warmupDays, thresholds, rules }
+// The first warmupDays of history are only used to rate - the test starts once a year of data is available.
+// Returns { start, end, ..., strategy, buyAndHold, benchmark, equityCurve, rebalances } or { error } when the history
+// is too short to test.
+export const runBacktest = (seriesBySymbol, benchmark = null, options = {}) => {
+  const { rebalance, ratings, warmupDays, thresholds, rules } = { ...DEFAULT_BACKTEST_OPTIONS, ...options };
+  const symbols = Object.keys(seriesBySymbol).filter(symbol => seriesBySymbol[symbol].length > 0);
+  if (symbols.length === 0) return { error: 'No price history to test' };
+  if (!REBALANCE_SCHEDULES[rebalance]) return { error: `Unknown rebalance schedule: ${rebalance}` };
+
+  // Ratings read the price series; holdings and the benchmark are valued on the total-return one (same points, so the
+  // cursors below index both)
+  const series = {};
+  const values = {};
+  symbols.forEach(symbol => {
+    series[symbol] = seriesBySymbol[symbol].filter(point => typeof point.close === 'number' && point.close > 0);
+    values[symbol] = series[symbol].map(totalReturnClose);
+  });
+  const benchmarkSeries = benchmark ? benchmark.points.filter(point => typeof point.close === 'number' && point.close > 0) : [];
+  const benchmarkValues = benchmarkSeries.map(totalReturnClose);
+
+  // One calendar over every trading date any symbol has, with each symbol's last close carried forward. Each date
+  // keeps the time stamp of its latest bar for the equity curve.
+  const calendarTimes = new Map();
+  symbols.forEach(symbol => series[symbol].forEach(point => {
+    const date = tradingDate(point);
+    if (!calendarTimes.has(date) || calendarTimes.get(date) < point.time) calendarTimes.set(date, point.time);
+  }));
+  const calendar = [...calendarTimes.keys()].sort();
+  const firstTime = Math.min(...symbols.map(symbol => series[symbol][0].time));
+  const startIndex = calendar.findIndex(date => calendarTimes.get(date) >= firstTime + warmupDays * DAY_MS);
+  if (startIndex === -1 || startIndex >= calendar.length - 1) {
+    return { error: `Need more than ${warmupDays} days of history before the test can start` };
+  }
+
+  // Cursors count the points on or before the current trading date (0 before a symbol starts trading). Each
+  // exchange's own trading dates are compared rather than time stamps, so a market that closes earlier in UTC never
+  // sees the next day's close and an NZX bar stamped the previous evening in UTC counts for its own session.
+  const days = {};
+  symbols.forEach(symbol => { days[symbol] = series[symbol].map(tradingDate); });
+  const benchmarkDays = benchmarkSeries.map(tradingDate);
+  const cursors = {};
+  symbols.forEach(symbol => { cursors[symbol] = 0; });
+  let benchmarkCursor = 0;
+  const advance = (day) => {
+    symbols.forEach(symbol => {
+      while (cursors[symbol] < days[symbol].length && days[symbol][cursors[symbol]] <= day) cursors[symbol]++;
+    });
+    while (benchmarkCursor < benchmarkDays.length && benchmarkDays[benchmarkCursor] <= day) benchmarkCursor++;
+  };
+  const closeOf = (symbol) => (cursors[symbol] > 0 ? values[symbol][cursors[symbol] - 1] : null);
+  const benchmarkClose = () => (benchmarkCursor > 0 ? benchmarkValues[benchmarkCursor - 1] : null);
+
+  for (let index = 0; index <= startIndex; index++) advance(calendar[index]);
+
+  // Buy-and-hold and the benchmark are bought once at the start
+  const startPrices = {};
+  symbols.forEach(symbol => { if (closeOf(symbol) !== null) startPrices[symbol] = closeOf(symbol); });
+  const heldAtStart = Object.keys(startPrices);
+  const benchmarkStart = benchmarkClose();
+
+  let cash = 100;
+  let units = {};
+  let lastPeriod = null;
+  let openPicks = [];
+  let previousPeriodStart = null;
+  let turnoverTotal = 0;
+  let hits = 0;
+  let picks = 0;
+  let periodsWon = 0;
+  let periodsScored = 0;
+  const rebalances = [];
+  const equityCurve = [];
+
+  const strategyValue = () => cash + Object.entries(units).reduce((total, [symbol, count]) => total + count * closeOf(symbol), 0);
+  const buyAndHoldValue = () => heldAtStart.reduce((total, symbol) => total + (100 / heldAtStart.length) * closeOf(symbol) / startPrices[symbol], 0);
+
+  // Score the period that just ended: did each pick rise, and did the strategy beat buy-and-hold?
+  const closePeriod = (value, buyAndHold) => {
+    openPicks.forEach(({ symbol, price }) => {
+      picks++;
+      if (closeOf(symbol) > price) hits++;
+    });
+    if (previousPeriodStart) {
+      periodsScored++;
+      if (value / previousPeriodStart.strategy > buyAndHold / previousPeriodStart.buyAndHold) periodsWon++;
+    }
+  };
+
+  for (let index = startIndex; index < calendar.length; index++) {
+    const time = calendarTimes.get(calendar[index]);
+    advance(calendar[index]);
+
+    const period = periodKey(calendar[index], rebalance);
+    if (period !== lastPeriod) {
+      lastPeriod = period;
+      const value = strategyValue();
+      const buyAndHold = buyAndHoldValue();
+      closePeriod(value, buyAndHold);
+
+      const rated = {};
+      const benchmarkView = benchmark && benchmarkCursor > 0 ? { symbol: benchmark.symbol, points: benchmarkSeries.slice(0, benchmarkCursor) } : null;
+      symbols.forEach(symbol => {
+        if (cursors[symbol] === 0) return;
+        const { rating, score } = rateShare(metricsAt(series[symbol], cursors[symbol], benchmarkView), { thresholds, rules });
+        rated[symbol] = { rating, score };
+      });
+      const selected = symbols.filter(symbol => rated[symbol] && ratings.includes(rated[symbol].rating));
+
+      // One-way turnover: half the absolute change in weights, cash included
+      const oldWeights = { cash: cash / value };
+      Object.entries(units).forEach(([symbol, count]) => { oldWeights[symbol] = count * closeOf(symbol) / value; });
+      const newWeights = selected.length > 0 ? {} : { cash: 1 };
+      selected.forEach(symbol => { newWeights[symbol] = 1 / selected.length; });
+      const keys = new Set([...Object.keys(oldWeights), ...Object.keys(newWeights)]);
+      const turnover = [...keys].reduce((total, key) => total + Math.abs((newWeights[key] || 0) - (oldWeights[key] || 0)), 0) / 2;
+      // The initial purchase from cash is not counted as turnover
+      if (rebalances.length > 0) turnoverTotal += turnover;
+
+      units = {};
+      selected.forEach(symbol => { units[symbol] = value * newWeights[symbol] / closeOf(symbol); });
+      cash = selected.length > 0 ? 0 : value;
+      openPicks = selected.map(symbol => ({ symbol, price: closeOf(symbol) }));
+      previousPeriodStart = { time, strategy: value, buyAndHold };
+
+      rebalances.push({
+        date: new Date(time).toISOString(),
+        holdings: selected,
+        ratings: rated,
+        turnover: rebalances.length > 0 ? round(turnover * 100) : null
+      });
+    }
+
+    equityCurve.push({
+      time,
+      strategy: strategyValue(),
+      buyAndHold: buyAndHoldValue(),
+      benchmark: benchmarkStart !== null && benchmarkClose() !== null ? 100 * benchmarkClose() / benchmarkStart : null
+    });
+  }
+
+  // The final period is scored at the last close unless it opened on that very day
+  const last = equityCurve[equityCurve.length - 1];
+  if (previousPeriodStart.time < last.time) closePeriod(last.strategy, last.buyAndHold);
+
+  const years = (last.time - equityCurve[0].time) / YEAR_MS;
+  const curve = (key) => equityCurve.map(point => ({ time: point.time, value: point[key] }));
+  const benchmarkCurve = curve('benchmark').filter(point => point.value !== null);
+
+  return {
+    start: new Date(equityCurve[0].time).toISOString(),
+    end: new Date(last.time).toISOString(),
+    rebalance,
+    ratings,
+    symbols,
+    strategy: {
+      ...curveStats(curve('strategy')),
+      hitRate: picks > 0 ? round(hits / picks * 100) : null,
+      periodWinRate: periodsScored > 0 ? round(periodsWon / periodsScored * 100) : null,
+      turnover: years > 0 ? round(turnoverTotal / years * 100) : null,
+      averageHoldings: round(rebalances.reduce((total, entry) => total + entry.holdings.length, 0) / rebalances.length, 1),
+      picks
+    },
+    buyAndHold: curveStats(curve('buyAndHold')),
+    benchmark: benchmark && benchmarkCurve.length > 1 ? { symbol: benchmark.symbol, ...curveStats(benchmarkCurve) } : null,
+    equityCurve: equityCurve.map(point => ({
+      date: isoDate(point.time),
+      strategy: round(point.strategy),
+      buyAndHold: round(point.buyAndHold),
+      benchmark: round(point.benchmark)
+    })),
+    rebalances
+  };
+};
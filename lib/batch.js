@@ -0,0 +1,32 @@
+// /lib/batch.js
+// Helpers for multi-symbol requests
+
+export const MAX_BATCH_SYMBOLS = 50;
+export const BATCH_CONCURRENCY = 5;
+
+// Accepts ?symbols=AAPL,MSFT as well as repeated ?symbols=AAPL&symbols=MSFT
+export const parseSymbolList = (value) => {
+  const parts = Array.isArray(value) ? value : [value];
+  return parts
+    .filter(part => typeof part === 'string')
+    .flatMap(part => part.split(','))
+    .map(part => part.trim())
+    .filter(part => part.length > 0);
+};
+
+// Run mapper over items with at most `limit` in flight, preserving input order in the result
+export const mapWithConcurrency = async (items, limit, mapper) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+};
@@ -0,0 +1,148 @@
+// /lib/benchmark.js
+// Benchmark-relative statistics: excess return, beta, correlation, tracking error and alpha against an index.
+// Returns are taken in each instrument's own quote currency, so a JSE share against ^GSPC compares rand returns
+// with dollar returns - pick a local benchmark per exchange when currency moves should not count. Returns are total
+// returns wherever the points carry a dividend-adjusted close.
+
+import { PERIODS_PER_YEAR } from './risk.js';
+import { totalReturnClose } from './dividends.js';
+import { tradingDate } from './performance.js';
+
+// Default benchmark index (Yahoo symbol) per exchange code; listings without an exchange prefix are US
+export const DEFAULT_BENCHMARK = '^GSPC';
+
+export const DEFAULT_BENCHMARKS = {
+  US: '^GSPC',
+  NASDAQ: '^GSPC',
+  NYSE: '^GSPC',
+  AMEX: '^GSPC',
+  JSE: '^J203.JO',
+  LON: '^FTSE',
+  XETRA: '^GDAXI',
+  FRA: '^GDAXI',
+  EPA: '^FCHI',
+  AMS: '^AEX',
+  EBR: '^BFX',
+  ISE: '^ISEQ',
+  BIT: 'FTSEMIB.MI',
+  BME: '^IBEX',
+  SWX: '^SSMI',
+  VIE: '^ATX',
+  STO: '^OMX',
+  CPH: '^OMXC25',
+  HEL: '^OMXH25',
+  TSX: '^GSPTSE',
+  TSXV: '^GSPTSE',
+  BVMF: '^BVSP',
+  BMV: '^MXX',
+  ASX: '^AXJO',
+  NZX: '^NZ50',
+  HKEX: '^HSI',
+  TYO: '^N225',
+  SGX: '^STI',
+  NSE: '^NSEI',
+  BSE: '^BSESN',
+  KRX: '^KS11',
+  TWSE: '^TWII'
+};
+
+// mode 'exchange' uses DEFAULT_BENCHMARKS with per-exchange overrides, mode 'single' one benchmark for everything
+export const DEFAULT_BENCHMARK_SETTINGS = { mode: 'exchange', single: DEFAULT_BENCHMARK, overrides: {} };
+
+// Fewer overlapping returns than this give meaningless betas and correlations
+export const MIN_OBSERVATIONS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exchange code a parsed symbol's benchmark is chosen by
+export const benchmarkExchangeKey = (resolved) => (resolved && resolved.exchange ? resolved.exchange.code : 'US');
+
+export const resolveBenchmark = (resolved, settings = DEFAULT_BENCHMARK_SETTINGS) => {
+  if (settings.mode === 'single' && settings.single) return settings.single;
+  const key = benchmarkExchangeKey(resolved);
+  return (settings.overrides && settings.overrides[key]) || DEFAULT_BENCHMARKS[key] || DEFAULT_BENCHMARK;
+};
+
+const round = (value, decimals = 4) => (value === null || !isFinite(value) ? null : Number(value.toFixed(decimals)));
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+// Annualised growth rate of a total return (fraction) earned over `years`
+const annualise = (totalReturn, years) => (years > 0 && totalReturn > -1 ? (1 + totalReturn) ** (1 / years) - 1 : null);
+
+// Statistics over the dates both series have a close for. Percentages are in percent, beta and correlation raw.
+// alpha is annualised Jensen's alpha with a zero risk-free rate; tracking error is the annualised standard
+// deviation of the period excess returns. Returns { observations, start, end, ... } with nulls when the overlap is
+// shorter than MIN_OBSERVATIONS.
+export const computeRelativeStats = (points, benchmarkPoints, { interval = '1d' } = {}) => {
+  // Paired by each exchange's trading date (see lib/performance.js tradingDate), not the UTC day of the time stamp
+  const benchmarkCloses = new Map(benchmarkPoints.map(point => [tradingDate(point), totalReturnClose(point)]));
+  const aligned = points
+    .filter(point => typeof point.close === 'number' && typeof benchmarkCloses.get(tradingDate(point)) === 'number')
+    .map(point => ({ time: point.time, share: totalReturnClose(point), benchmark: benchmarkCloses.get(tradingDate(point)) }));
+
+  const shareReturns = [];
+  const benchmarkReturns = [];
+  for (let index = 1; index < aligned.length; index++) {
+    shareReturns.push(aligned[index].share / aligned[index - 1].share - 1);
+    benchmarkReturns.push(aligned[index].benchmark / aligned[index - 1].benchmark - 1);
+  }
+
+  const empty = {
+    observations: shareReturns.length,
+    start: aligned.length > 0 ? new Date(aligned[0].time).toISOString() : null,
+    end: aligned.length > 0 ? new Date(aligned[aligned.length - 1].time).toISOString() : null,
+    shareReturn: null,
+    benchmarkReturn: null,
+    excessReturn: null,
+    beta: null,
+    correlation: null,
+    trackingError: null,
+    alpha: null,
+    informationRatio: null
+  };
+  if (shareReturns.length < MIN_OBSERVATIONS) return empty;
+
+  const periodsPerYear = PERIODS_PER_YEAR[interval] || PERIODS_PER_YEAR['1d'];
+  const shareMean = mean(shareReturns);
+  const benchmarkMean = mean(benchmarkReturns);
+  let covariance = 0;
+  let shareVariance = 0;
+  let benchmarkVariance = 0;
+  shareReturns.forEach((shareReturn, index) => {
+    const shareDeviation = shareReturn - shareMean;
+    const benchmarkDeviation = benchmarkReturns[index] - benchmarkMean;
+    covariance += shareDeviation * benchmarkDeviation;
+    shareVariance += shareDeviation * shareDeviation;
+    benchmarkVariance += benchmarkDeviation * benchmarkDeviation;
+  });
+
+  const excessReturns = shareReturns.map((shareReturn, index) => shareReturn - benchmarkReturns[index]);
+  const excessMean = mean(excessReturns);
+  const trackingError = Math.sqrt(excessReturns.reduce((total, value) => total + (value - excessMean) ** 2, 0) / (excessReturns.length - 1))
+    * Math.sqrt(periodsPerYear);
+
+  const first = aligned[0];
+  const last = aligned[aligned.length - 1];
+  const shareTotal = last.share / first.share - 1;
+  const benchmarkTotal = last.benchmark / first.benchmark - 1;
+  const years = (last.time - first.time) / (365.25 * DAY_MS);
+  const shareAnnual = annualise(shareTotal, years);
+  const benchmarkAnnual = annualise(benchmarkTotal, years);
+
+  const beta = benchmarkVariance > 0 ? covariance / benchmarkVariance : null;
+  const correlation = shareVariance > 0 && benchmarkVariance > 0 ? covariance / Math.sqrt(shareVariance * benchmarkVariance) : null;
+
+  return {
+    ...empty,
+    shareReturn: round(shareTotal * 100, 2),
+    benchmarkReturn: round(benchmarkTotal * 100, 2),
+    excessReturn: round((shareTotal - benchmarkTotal) * 100, 2),
+    beta: round(beta, 3),
+    correlation: round(correlation, 3),
+    trackingError: round(trackingError * 100, 2),
+    alpha: beta !== null && shareAnnual !== null && benchmarkAnnual !== null ? round((shareAnnual - beta * benchmarkAnnual) * 100, 2) : null,
+    informationRatio: trackingError > 0 && shareAnnual !== null && benchmarkAnnual !== null
+      ? round((shareAnnual - benchmarkAnnual) / trackingError, 2)
+      : null
+  };
+};
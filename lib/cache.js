@@ -0,0 +1,89 @@
+// /lib/cache.js
+// Pluggable response cache with stale-while-error.
+//
+// Adapter interface (all methods async so a Redis-like store can be dropped in):
+//   get(key)                  -> { value, storedAt } | null
+//   set(key, entry, ttlMs)    -> stores entry, may evict once ttlMs has passed
+//   delete(key)
+// The default adapter is an in-memory LRU that lives as long as the serverless instance stays warm.
+
+const DEFAULT_MAX_ENTRIES = 200;
+
+export const createMemoryCache = ({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) => {
+  // Map preserves insertion order, so re-inserting on read keeps the oldest entry first
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return null;
+      if (item.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, item);
+      return item.entry;
+    },
+    async set(key, entry, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+let adapter = createMemoryCache();
+
+export const getCacheAdapter = () => adapter;
+
+// Swap the backing store, e.g. setCacheAdapter(createRedisAdapter(client))
+export const setCacheAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+};
+
+// Fresh entries are served for ttlMs; older entries up to staleTtlMs are kept only as a fallback
+// for when the loader fails. Returns { value, cache: { status, key, ageSeconds, stale } }.
+export const cachedFetch = async (key, loader, { ttlMs = 60000, staleTtlMs = 24 * 60 * 60 * 1000, canServeStale = () => true } = {}) => {
+  let cached = null;
+  try {
+    cached = await adapter.get(key);
+  } catch (error) {
+    // A broken cache must never take the endpoint down with it
+    console.error(`Cache read failed for ${key}:`, error.message);
+  }
+
+  const ageMs = cached ? Date.now() - cached.storedAt : null;
+
+  if (cached && ageMs < ttlMs) {
+    return { value: cached.value, cache: { status: 'HIT', key, ageSeconds: Math.round(ageMs / 1000), stale: false } };
+  }
+
+  try {
+    const value = await loader();
+    try {
+      await adapter.set(key, { value, storedAt: Date.now() }, staleTtlMs);
+    } catch (error) {
+      console.error(`Cache write failed for ${key}:`, error.message);
+    }
+    return { value, cache: { status: 'MISS', key, ageSeconds: 0, stale: false } };
+  } catch (error) {
+    if (cached && canServeStale(error)) {
+      console.warn(`Serving stale ${key} (${Math.round(ageMs / 1000)}s old) after upstream error: ${error.message}`);
+      return {
+        value: cached.value,
+        cache: { status: 'STALE', key, ageSeconds: Math.round(ageMs / 1000), stale: true, error: error.message }
+      };
+    }
+    throw error;
+  }
+};
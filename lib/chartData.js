@@ -0,0 +1,101 @@
+// /lib/chartData.js
+// Chart-ready series for the report's price and comparison charts, built from /api/history rows
+// ({ date, open, high, low, close, volume }, oldest first)
+
+import { sma } from './indicators.js';
+
+export const CHART_RANGES = [
+  { key: '1M', months: 1 },
+  { key: '3M', months: 3 },
+  { key: '6M', months: 6 },
+  { key: '1Y', months: 12 },
+  { key: '3Y', months: 36 },
+  { key: '5Y', months: 60 }
+];
+
+export const MOVING_AVERAGES = [
+  { key: 'sma20', label: '20-day SMA', period: 20 },
+  { key: 'sma50', label: '50-day SMA', period: 50 },
+  { key: 'sma200', label: '200-day SMA', period: 200 }
+];
+
+const WEEKS_52_TRADING_DAYS = 252;
+
+const round = (value) => (typeof value === 'number' && !isNaN(value) ? Math.round(value * 10000) / 10000 : null);
+
+// First date (YYYY-MM-DD) inside the window that ends on lastDate
+const windowStart = (lastDate, rangeKey) => {
+  const range = CHART_RANGES.find(item => item.key === rangeKey) || CHART_RANGES[3];
+  const start = new Date(`${lastDate.slice(0, 10)}T00:00:00Z`);
+  start.setUTCMonth(start.getUTCMonth() - range.months);
+  return start.toISOString().slice(0, 10);
+};
+
+// Highest high / lowest low over the trailing 52 weeks at each row
+const rolling52Week = (rows) => {
+  const highs = [];
+  const lows = [];
+
+  rows.forEach((row, index) => {
+    const window = rows.slice(Math.max(0, index - WEEKS_52_TRADING_DAYS + 1), index + 1);
+    highs.push(Math.max(...window.map(item => (typeof item.high === 'number' ? item.high : item.close))));
+    lows.push(Math.min(...window.map(item => (typeof item.low === 'number' ? item.low : item.close))));
+  });
+
+  return { highs, lows };
+};
+
+// [{ date, close, volume, high52, low52, sma20, sma50, sma200 }] for the selected range. Overlays are computed over
+// the full history first so a 200-day average is already populated on the first visible day.
+export const buildPriceSeries = (rows, rangeKey = '1Y') => {
+  if (!rows || rows.length === 0) return [];
+
+  const closes = rows.map(row => row.close);
+  const averages = MOVING_AVERAGES.map(average => sma(closes, average.period));
+  const { highs, lows } = rolling52Week(rows);
+  const start = windowStart(rows[rows.length - 1].date, rangeKey);
+
+  return rows
+    .map((row, index) => {
+      const point = {
+        date: row.date,
+        close: round(row.close),
+        volume: typeof row.volume === 'number' ? row.volume : 0,
+        high52: round(highs[index]),
+        low52: round(lows[index])
+      };
+      MOVING_AVERAGES.forEach((average, averageIndex) => {
+        point[average.key] = round(averages[averageIndex][index]);
+      });
+      return point;
+    })
+    .filter(point => point.date >= start);
+};
+
+// { data: [{ date, [symbol]: value }], symbols } with every symbol rebased to 100 on its first day in the window
+export const rebaseSeries = (historiesBySymbol, rangeKey = '1Y') => {
+  const symbols = Object.keys(historiesBySymbol).filter(symbol => (historiesBySymbol[symbol] || []).length > 0);
+  if (symbols.length === 0) return { data: [], symbols };
+
+  const lastDate = symbols
+    .map(symbol => historiesBySymbol[symbol][historiesBySymbol[symbol].length - 1].date)
+    .sort()
+    .pop();
+  const start = windowStart(lastDate, rangeKey);
+  const byDate = new Map();
+
+  symbols.forEach(symbol => {
+    const rows = historiesBySymbol[symbol].filter(row => row.date >= start && typeof row.close === 'number');
+    if (rows.length === 0) return;
+
+    const base = rows[0].close;
+    rows.forEach(row => {
+      const day = row.date.slice(0, 10);
+      if (!byDate.has(day)) byDate.set(day, { date: day });
+      byDate.get(day)[symbol] = round((row.close / base) * 100);
+    });
+  });
+
+  const data = [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+  return { data, symbols };
+};
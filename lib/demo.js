@@ -0,0 +1,251 @@
+// /lib/demo.js
+// Seeded demo market data for demos, screenshots and offline runs.
+// The same symbol and seed always produce the same history, anchored to DEMO_AS_OF rather than today,
+// so two runs of the same watchlist give identical reports. Snapshots carry provider 'demo' and must never
+// be presented as live prices.
+
+import { adjustForCorporateActions } from './dividends.js';
+
+export const DEMO_SEED = 20240101;
+export const DEMO_AS_OF = '2024-12-31';
+export const DEMO_PROVIDER = 'demo';
+
+// Checked-in starting points keyed by canonical symbol so well-known shares look plausible.
+// price is the close on DEMO_AS_OF; drift and volatility are annualised.
+export const DEMO_FIXTURES = {
+  AAPL: { name: 'Apple Inc.', price: 250.42, drift: 0.18, volatility: 0.25, volume: 55000000 },
+  MSFT: { name: 'Microsoft Corporation', price: 421.5, drift: 0.2, volatility: 0.24, volume: 20000000 },
+  GOOGL: { name: 'Alphabet Inc.', price: 189.3, drift: 0.15, volatility: 0.28, volume: 25000000 },
+  'BRK.B': { name: 'Berkshire Hathaway Inc.', price: 453.28, drift: 0.1, volatility: 0.16, volume: 3500000 },
+  'JSE:NPN': { name: 'Naspers Ltd', price: 4171.0, drift: 0.08, volatility: 0.32, volume: 450000 },
+  'JSE:STXRES': { name: 'Satrix RESI ETF', price: 68.9, drift: -0.04, volatility: 0.3, volume: 120000 },
+  'LON:BARC': { name: 'Barclays PLC', price: 2.68, drift: 0.22, volatility: 0.3, volume: 40000000 },
+  'HKEX:0700': { name: 'Tencent Holdings Ltd', price: 416.6, drift: 0.05, volatility: 0.35, volume: 18000000 },
+  '^GSPC': { name: 'S&P 500', price: 5881.63, drift: 0.11, volatility: 0.17, volume: 0 },
+  '^J203.JO': { name: 'FTSE/JSE All Share', price: 84095.1, drift: 0.09, volatility: 0.16, volume: 0 },
+  '^FTSE': { name: 'FTSE 100', price: 8173.02, drift: 0.06, volatility: 0.13, volume: 0 },
+  'EURUSD=X': { name: 'EUR/USD', price: 1.0354, drift: 0, volatility: 0.07, volume: 0 },
+  'BTC-USD': { name: 'Bitcoin USD', price: 93429.2, drift: 0.6, volatility: 0.65, volume: 40000000000 }
+};
+
+// Per-share fundamentals for the equity fixtures, in the quote currency. Market cap, P/E and yield are derived
+// from the demo price so they stay consistent with the seeded history.
+export const DEMO_FUNDAMENTALS = {
+  AAPL: { sharesOutstanding: 15040000000, eps: 6.08, forwardEps: 7.35, dividendRate: 1.0, beta: 1.24, sector: 'Technology', industry: 'Consumer Electronics' },
+  MSFT: { sharesOutstanding: 7430000000, eps: 12.12, forwardEps: 14.0, dividendRate: 3.32, beta: 0.9, sector: 'Technology', industry: 'Software - Infrastructure' },
+  GOOGL: { sharesOutstanding: 12200000000, eps: 7.54, forwardEps: 8.9, dividendRate: 0.8, beta: 1.03, sector: 'Communication Services', industry: 'Internet Content & Information' },
+  'BRK.B': { sharesOutstanding: 2160000000, eps: 47.6, forwardEps: 21.0, dividendRate: 0, beta: 0.87, sector: 'Financial Services', industry: 'Insurance - Diversified' },
+  'JSE:NPN': { sharesOutstanding: 170000000, eps: 310.0, forwardEps: 360.0, dividendRate: 10.5, beta: 0.85, sector: 'Communication Services', industry: 'Internet Content & Information' },
+  'JSE:STXRES': { quoteType: 'ETF', sharesOutstanding: null, eps: null, forwardEps: null, dividendRate: 2.1, beta: 1.1, sector: null, industry: null },
+  'LON:BARC': { sharesOutstanding: 14500000000, eps: 0.35, forwardEps: 0.42, dividendRate: 0.084, beta: 1.3, sector: 'Financial Services', industry: 'Banks - Diversified' },
+  'HKEX:0700': { sharesOutstanding: 9200000000, eps: 21.5, forwardEps: 25.3, dividendRate: 3.4, beta: 0.6, sector: 'Communication Services', industry: 'Internet Content & Information' }
+};
+
+// Dividend-paying fixtures pay on this timetable (UTC months, ex-date on the first trading day from the 10th):
+// quarterly in the US, half-yearly elsewhere. The payment steps up DEMO_DIVIDEND_GROWTH each calendar year, reaching
+// the fixture's dividendRate in the DEMO_AS_OF year. Past splits are listed on today's share basis.
+const DEMO_DIVIDEND_MONTHS = { US: [1, 4, 7, 10], other: [3, 8] };
+const DEMO_DIVIDEND_GROWTH = 0.06;
+const DEMO_SPLITS = {
+  AAPL: [{ date: '2020-08-31', numerator: 4, denominator: 1 }]
+};
+
+const QUOTE_TYPES = { equity: 'EQUITY', index: 'INDEX', fx: 'CURRENCY', crypto: 'CRYPTOCURRENCY', future: 'FUTURE' };
+
+const TRADING_DAYS_PER_YEAR = 252;
+const HISTORY_YEARS = 5;
+
+// Trading days kept for each supported range; everything is generated from the same five-year series
+const RANGE_DAYS = {
+  '1d': 1, '5d': 5, '1mo': 21, '3mo': 63, '6mo': 126, '1y': 252, '2y': 504, '5y': 1260, '10y': 1260, max: 1260
+};
+
+// mulberry32 - small, fast and good enough for demo price walks
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// FNV-1a over the symbol, mixed with the seed, so each symbol gets its own stream
+const symbolSeed = (symbol, seed) => {
+  let hash = 0x811c9dc5 ^ seed;
+  for (let i = 0; i < symbol.length; i++) {
+    hash ^= symbol.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Standard normal draw via Box-Muller
+const gaussian = (random) => {
+  const u = Math.max(random(), Number.EPSILON);
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Weekdays ending on DEMO_AS_OF, oldest first, as epoch milliseconds
+const tradingDays = (count) => {
+  const days = [];
+  const date = new Date(`${DEMO_AS_OF}T21:00:00Z`);
+  while (days.length < count) {
+    const weekday = date.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) days.push(date.getTime());
+    date.setUTCDate(date.getUTCDate() - 1);
+  }
+  return days.reverse();
+};
+
+// Quote currency by instrument type: exchange currency for equities, the second leg for FX and crypto pairs
+const demoCurrency = (resolved) => {
+  if (resolved.type === 'fx') return resolved.canonical.length === 8 ? resolved.canonical.slice(3, 6) : resolved.canonical.slice(0, 3);
+  if (resolved.type === 'crypto') return resolved.canonical.split('-')[1];
+  return resolved.exchange ? resolved.exchange.currency : 'USD';
+};
+
+// Dividends and splits for the fixture over the generated trading days, shaped like provider events
+const demoEvents = (resolved, times) => {
+  const fundamentals = DEMO_FUNDAMENTALS[resolved.canonical];
+  const months = resolved.exchange ? DEMO_DIVIDEND_MONTHS.other : DEMO_DIVIDEND_MONTHS.US;
+  const finalYear = Number(DEMO_AS_OF.slice(0, 4));
+  const dividends = [];
+  let lastPeriod = null;
+
+  if (fundamentals && fundamentals.dividendRate > 0) {
+    times.forEach(time => {
+      const date = new Date(time);
+      const period = `${date.getUTCFullYear()}-${date.getUTCMonth()}`;
+      if (!months.includes(date.getUTCMonth()) || date.getUTCDate() < 10 || period === lastPeriod) return;
+      lastPeriod = period;
+      const amount = fundamentals.dividendRate / months.length / (1 + DEMO_DIVIDEND_GROWTH) ** (finalYear - date.getUTCFullYear());
+      dividends.push({ time, amount: Math.round(amount * 10000) / 10000 });
+    });
+  }
+
+  const splits = (DEMO_SPLITS[resolved.canonical] || []).map(split => ({
+    time: Date.parse(`${split.date}T21:00:00Z`),
+    numerator: split.numerator,
+    denominator: split.denominator,
+    ratio: `${split.numerator}:${split.denominator}`
+  }));
+
+  return { dividends, splits };
+};
+
+// Provider-shaped snapshot ({ provider, symbol, currency, price, points, ... }) for a parsed symbol.
+// start/end (epoch ms) window the same five-year series instead of range. Closes are split-adjusted and adjClose
+// adds back dividends, as Yahoo's are; only the equity fixtures with a dividendRate pay dividends.
+export const generateDemoSnapshot = (resolved, { range = '1y', start, end, seed = DEMO_SEED } = {}) => {
+  const random = createSeededRandom(symbolSeed(resolved.canonical, seed));
+  const fixture = DEMO_FIXTURES[resolved.canonical] || {
+    price: 20 + random() * 280,
+    drift: -0.05 + random() * 0.2,
+    volatility: 0.2 + random() * 0.25,
+    volume: Math.floor(100000 + random() * 10000000)
+  };
+
+  // Geometric random walk, then scaled so the last close lands on the fixture price
+  const times = tradingDays(TRADING_DAYS_PER_YEAR * HISTORY_YEARS);
+  const dailyDrift = fixture.drift / TRADING_DAYS_PER_YEAR;
+  const dailyVolatility = fixture.volatility / Math.sqrt(TRADING_DAYS_PER_YEAR);
+  const walk = [];
+  let level = 1;
+  times.forEach(() => {
+    const open = level;
+    level *= Math.exp(dailyDrift - dailyVolatility * dailyVolatility / 2 + dailyVolatility * gaussian(random));
+    const wick = () => Math.abs(gaussian(random)) * dailyVolatility / 2;
+    walk.push({
+      open,
+      close: level,
+      high: Math.max(open, level) * (1 + wick()),
+      low: Math.min(open, level) * (1 - wick()),
+      volume: Math.floor(fixture.volume * (0.5 + random()))
+    });
+  });
+
+  const scale = fixture.price / level;
+  const round = (value) => Math.round(value * scale * 10000) / 10000;
+  const events = demoEvents(resolved, times);
+  const allPoints = adjustForCorporateActions(walk.map((step, index) => ({
+    time: times[index],
+    open: round(step.open),
+    high: round(step.high),
+    low: round(step.low),
+    close: round(step.close),
+    adjClose: round(step.close),
+    volume: step.volume
+  })), events);
+
+  const points = start
+    ? allPoints.filter(point => point.time >= start && (!end || point.time <= end))
+    : allPoints.slice(-(RANGE_DAYS[range] || RANGE_DAYS['1y']));
+  // A start/end window outside the fixtures selects no bars - an empty history, with no events either
+  const inWindow = (event) => points.length > 0 && event.time >= points[0].time && event.time <= points[points.length - 1].time;
+  const lastYear = allPoints.slice(-TRADING_DAYS_PER_YEAR);
+  const last = allPoints[allPoints.length - 1];
+
+  return {
+    provider: DEMO_PROVIDER,
+    symbol: resolved.provider,
+    currency: demoCurrency(resolved),
+    exchangeName: resolved.exchange ? resolved.exchange.name : null,
+    marketState: 'CLOSED',
+    marketTime: new Date(last.time).toISOString(),
+    price: last.close,
+    previousClose: allPoints[allPoints.length - 2].close,
+    fiftyTwoWeekHigh: Math.max(...lastYear.map(point => point.high)),
+    fiftyTwoWeekLow: Math.min(...lastYear.map(point => point.low)),
+    volume: last.volume,
+    range,
+    interval: '1d',
+    points,
+    events: { dividends: events.dividends.filter(inWindow), splits: events.splits.filter(inWindow) },
+    raw: null
+  };
+};
+
+const roundTo = (value, decimals) => (value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals);
+
+// Provider-shaped fundamentals (see lib/providers/index.js). Only equities carry company data - indices, FX pairs,
+// crypto and futures come back with every field null. Unknown equities get seeded values without a sector.
+export const generateDemoFundamentals = (resolved, { seed = DEMO_SEED } = {}) => {
+  const { price, currency } = generateDemoSnapshot(resolved, { range: '1d', seed });
+  const isEquity = (resolved.type || 'equity') === 'equity';
+  const random = createSeededRandom(symbolSeed(`${resolved.canonical}:fundamentals`, seed));
+  const eps = price / (8 + random() * 30);
+  const fixture = !isEquity ? {} : DEMO_FUNDAMENTALS[resolved.canonical] || {
+    sharesOutstanding: Math.floor(50000000 + random() * 5000000000),
+    eps,
+    forwardEps: eps * (0.9 + random() * 0.3),
+    dividendRate: random() < 0.4 ? 0 : price * random() * 0.05,
+    beta: 0.5 + random() * 1.2,
+    sector: null,
+    industry: null
+  };
+  const valueOrNull = (value) => (typeof value === 'number' ? value : null);
+  const ratio = (perShare) => (perShare > 0 ? roundTo(price / perShare, 2) : null);
+
+  return {
+    provider: DEMO_PROVIDER,
+    symbol: resolved.provider,
+    currency,
+    quoteType: fixture.quoteType || QUOTE_TYPES[resolved.type] || 'EQUITY',
+    marketCap: fixture.sharesOutstanding ? Math.round(price * fixture.sharesOutstanding) : null,
+    sharesOutstanding: valueOrNull(fixture.sharesOutstanding),
+    trailingPE: ratio(fixture.eps),
+    forwardPE: ratio(fixture.forwardEps),
+    trailingEps: roundTo(valueOrNull(fixture.eps), 2),
+    forwardEps: roundTo(valueOrNull(fixture.forwardEps), 2),
+    dividendYield: typeof fixture.dividendRate === 'number' ? roundTo(fixture.dividendRate / price * 100, 2) : null,
+    dividendRate: roundTo(valueOrNull(fixture.dividendRate), 4),
+    beta: roundTo(valueOrNull(fixture.beta), 2),
+    sector: fixture.sector || null,
+    industry: fixture.industry || null,
+    raw: null
+  };
+};
@@ -0,0 +1,122 @@
+// /lib/dividends.js
+// Dividends and splits from a snapshot's events ({ dividends: [{ time, amount }], splits: [{ time, numerator,
+// denominator, ratio }] }, see lib/providers/index.js): split- and dividend-adjusted (total return) closes, and
+// trailing yield, ex-dates and dividend growth for the quote and the report. Amounts are per share in the quote
+// currency on today's share basis, as Yahoo reports them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+const round = (value, decimals = 2) => (value === null || !isFinite(value) ? null : Number(value.toFixed(decimals)));
+// UTC day number - an event on a bar's day is that bar's ex-date whatever the time stamps
+const dayKey = (time) => Math.floor(time / DAY_MS);
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Providers usually deliver closes already adjusted for splits (Yahoo does). A split still needs applying only when
+// the move across it is closer to the split ratio than to no change at all.
+const splitStillInCloses = (points, split) => {
+  if (!split.numerator || !split.denominator) return false;
+  const after = points.findIndex(point => dayKey(point.time) >= dayKey(split.time));
+  if (after <= 0) return false;
+  const move = Math.log(points[after].close / points[after - 1].close);
+  return Math.abs(move - Math.log(split.denominator / split.numerator)) < Math.abs(move);
+};
+
+// Points with open/high/low/close (and volume) restated for any split the closes do not yet reflect, and adjClose
+// recomputed as total return - every close before an ex-date scaled down by the dividend's share of that close.
+// Points are returned unchanged when there are no events, keeping whatever adjClose the provider sent.
+export const adjustForCorporateActions = (points, events) => {
+  const dividends = events && events.dividends ? events.dividends : [];
+  const splits = events && events.splits ? events.splits : [];
+  if (points.length === 0 || (dividends.length === 0 && splits.length === 0)) return points;
+
+  const lastDay = dayKey(points[points.length - 1].time);
+  const pending = splits.filter(split => dayKey(split.time) <= lastDay && splitStillInCloses(points, split));
+  const paid = dividends.filter(dividend => dayKey(dividend.time) <= lastDay && dividend.amount > 0);
+
+  let splitFactor = 1;
+  let dividendFactor = 1;
+  let splitIndex = pending.length - 1;
+  let dividendIndex = paid.length - 1;
+  const adjusted = new Array(points.length);
+
+  for (let index = points.length - 1; index >= 0; index--) {
+    const point = points[index];
+    const day = dayKey(point.time);
+    while (splitIndex >= 0 && dayKey(pending[splitIndex].time) > day) {
+      splitFactor *= pending[splitIndex].denominator / pending[splitIndex].numerator;
+      splitIndex--;
+    }
+    while (dividendIndex >= 0 && dayKey(paid[dividendIndex].time) > day) {
+      const close = point.close * splitFactor;
+      if (close > paid[dividendIndex].amount) dividendFactor *= 1 - paid[dividendIndex].amount / close;
+      dividendIndex--;
+    }
+
+    const scale = (value) => (typeof value === 'number' ? value * splitFactor : value);
+    adjusted[index] = {
+      ...point,
+      open: scale(point.open),
+      high: scale(point.high),
+      low: scale(point.low),
+      close: scale(point.close),
+      adjClose: point.close * splitFactor * dividendFactor,
+      volume: typeof point.volume === 'number' && splitFactor !== 1 ? Math.round(point.volume / splitFactor) : point.volume
+    };
+  }
+
+  return adjusted;
+};
+
+// Close with dividends reinvested - the provider's (or adjustForCorporateActions') adjClose where there is one
+export const totalReturnClose = (point) => (typeof point.adjClose === 'number' && point.adjClose > 0 ? point.adjClose : point.close);
+
+// Whole bars on the total-return basis, so highs, lows and closes stay comparable
+export const totalReturnPoints = (points) => points.map(point => {
+  const factor = point.close ? totalReturnClose(point) / point.close : 1;
+  if (factor === 1) return point;
+  const scale = (value) => (typeof value === 'number' ? value * factor : value);
+  return { ...point, open: scale(point.open), high: scale(point.high), low: scale(point.low), close: totalReturnClose(point) };
+});
+
+const sumBetween = (dividends, from, to) => dividends
+  .filter(dividend => dividend.time > from && dividend.time <= to)
+  .reduce((total, dividend) => total + dividend.amount, 0);
+
+// Dividend summary as of the last bar (not today, so cached and demo data give stable answers):
+// { count, trailingAmount, trailingYield (percent of price), paymentsPerYear, lastExDate, lastAmount, nextExDate,
+//   growth1y, growth3y (percent a year), lastSplit } - growth needs the history to reach back far enough and is
+// null otherwise. nextExDate is estimated from the usual gap between payments; providers do not publish it here.
+export const computeDividendStats = (events, { price, start, asOf } = {}) => {
+  const dividends = (events && events.dividends ? events.dividends : []).filter(dividend => dividend.amount > 0);
+  const splits = events && events.splits ? events.splits : [];
+  const end = typeof asOf === 'number' ? asOf : dividends.length > 0 ? dividends[dividends.length - 1].time : Date.now();
+  const lastSplit = splits.length > 0 ? splits[splits.length - 1] : null;
+
+  const trailing = sumBetween(dividends, end - YEAR_MS, end);
+  const reaches = (years) => typeof start === 'number' && start <= end - years * YEAR_MS;
+  const growthOver = (years) => {
+    if (!reaches(years + 1)) return null;
+    const earlier = sumBetween(dividends, end - (years + 1) * YEAR_MS, end - years * YEAR_MS);
+    return earlier > 0 && trailing > 0 ? ((trailing / earlier) ** (1 / years) - 1) * 100 : null;
+  };
+
+  // Median gap between recent payments; no estimate once a payment is overdue, as the dividend may have been cut
+  const last = dividends.length > 0 ? dividends[dividends.length - 1] : null;
+  const gaps = dividends.slice(-5).map((dividend, index, recent) => (index > 0 ? dividend.time - recent[index - 1].time : null)).filter(Boolean).sort((a, b) => a - b);
+  const gap = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : null;
+  const next = last && gap && last.time + gap > end ? last.time + gap : null;
+
+  return {
+    count: dividends.length,
+    trailingAmount: round(trailing, 4),
+    trailingYield: price > 0 ? round(trailing / price * 100) : null,
+    paymentsPerYear: dividends.filter(dividend => dividend.time > end - YEAR_MS && dividend.time <= end).length,
+    lastExDate: last ? isoDate(last.time) : null,
+    lastAmount: last ? round(last.amount, 4) : null,
+    nextExDate: next ? isoDate(next) : null,
+    growth1y: round(growthOver(1)),
+    growth3y: round(growthOver(3)),
+    lastSplit: lastSplit ? { date: isoDate(lastSplit.time), ratio: lastSplit.ratio } : null
+  };
+};
@@ -0,0 +1,11 @@
+// /lib/errors.js
+// Error helpers shared by the providers and the handlers. Kept free of Node built-ins, as the providers are also
+// bundled into the browser UI (lib/http.js pulls in the key checks, which are server-only).
+
+// Build an Error carrying the HTTP status the handler should answer with
+export const httpError = (status, error, message) => {
+  const err = new Error(message);
+  err.status = status;
+  err.error = error;
+  return err;
+};
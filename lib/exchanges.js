@@ -0,0 +1,134 @@
+// /lib/exchanges.js
+// Exchange prefix <-> Yahoo Finance suffix mapping, shared by the API handlers and the FinMaster UI.
+// Canonical form is MARKET:SYMBOL (e.g. JSE:STXRES), provider form is Yahoo's SYMBOL.SUFFIX (e.g. STXRES.JO).
+
+export const EXCHANGES = [
+  // US listings carry no Yahoo suffix
+  { code: 'NASDAQ', suffix: '', name: 'NASDAQ', country: 'US', currency: 'USD', aliases: [] },
+  { code: 'NYSE', suffix: '', name: 'New York Stock Exchange', country: 'US', currency: 'USD', aliases: ['NYQ'] },
+  { code: 'AMEX', suffix: '', name: 'NYSE American', country: 'US', currency: 'USD', aliases: ['NYSEAMERICAN'] },
+
+  // Africa
+  { code: 'JSE', suffix: '.JO', name: 'Johannesburg Stock Exchange', country: 'ZA', currency: 'ZAR', aliases: ['JNB'] },
+
+  // Europe
+  { code: 'LON', suffix: '.L', name: 'London Stock Exchange', country: 'GB', currency: 'GBP', aliases: ['LSE'] },
+  { code: 'XETRA', suffix: '.DE', name: 'XETRA', country: 'DE', currency: 'EUR', aliases: ['ETR', 'GER'] },
+  { code: 'FRA', suffix: '.F', name: 'Frankfurt Stock Exchange', country: 'DE', currency: 'EUR', aliases: ['FWB'] },
+  { code: 'EPA', suffix: '.PA', name: 'Euronext Paris', country: 'FR', currency: 'EUR', aliases: ['PAR'] },
+  { code: 'AMS', suffix: '.AS', name: 'Euronext Amsterdam', country: 'NL', currency: 'EUR', aliases: [] },
+  { code: 'EBR', suffix: '.BR', name: 'Euronext Brussels', country: 'BE', currency: 'EUR', aliases: ['BRU'] },
+  { code: 'ELI', suffix: '.LS', name: 'Euronext Lisbon', country: 'PT', currency: 'EUR', aliases: ['LIS'] },
+  { code: 'ISE', suffix: '.IR', name: 'Euronext Dublin', country: 'IE', currency: 'EUR', aliases: ['DUB'] },
+  { code: 'BIT', suffix: '.MI', name: 'Borsa Italiana', country: 'IT', currency: 'EUR', aliases: ['MIL'] },
+  { code: 'BME', suffix: '.MC', name: 'Bolsa de Madrid', country: 'ES', currency: 'EUR', aliases: ['MCE'] },
+  { code: 'SWX', suffix: '.SW', name: 'SIX Swiss Exchange', country: 'CH', currency: 'CHF', aliases: ['SIX', 'VTX'] },
+  { code: 'VIE', suffix: '.VI', name: 'Vienna Stock Exchange', country: 'AT', currency: 'EUR', aliases: [] },
+  { code: 'STO', suffix: '.ST', name: 'Nasdaq Stockholm', country: 'SE', currency: 'SEK', aliases: [] },
+  { code: 'CPH', suffix: '.CO', name: 'Nasdaq Copenhagen', country: 'DK', currency: 'DKK', aliases: [] },
+  { code: 'HEL', suffix: '.HE', name: 'Nasdaq Helsinki', country: 'FI', currency: 'EUR', aliases: [] },
+  { code: 'OSL', suffix: '.OL', name: 'Oslo Bors', country: 'NO', currency: 'NOK', aliases: [] },
+
+  // Americas (ex-US)
+  { code: 'TSX', suffix: '.TO', name: 'Toronto Stock Exchange', country: 'CA', currency: 'CAD', aliases: ['TOR'] },
+  { code: 'TSXV', suffix: '.V', name: 'TSX Venture Exchange', country: 'CA', currency: 'CAD', aliases: ['CVE'] },
+  { code: 'BVMF', suffix: '.SA', name: 'B3 Sao Paulo', country: 'BR', currency: 'BRL', aliases: ['SAO', 'B3'] },
+  { code: 'BMV', suffix: '.MX', name: 'Bolsa Mexicana de Valores', country: 'MX', currency: 'MXN', aliases: [] },
+
+  // Asia-Pacific
+  { code: 'ASX', suffix: '.AX', name: 'Australian Securities Exchange', country: 'AU', currency: 'AUD', aliases: [] },
+  { code: 'NZX', suffix: '.NZ', name: 'New Zealand Exchange', country: 'NZ', currency: 'NZD', aliases: ['NZE'] },
+  { code: 'HKEX', suffix: '.HK', name: 'Hong Kong Stock Exchange', country: 'HK', currency: 'HKD', aliases: ['HKG'] },
+  { code: 'TYO', suffix: '.T', name: 'Tokyo Stock Exchange', country: 'JP', currency: 'JPY', aliases: ['TSE', 'JPX'] },
+  { code: 'SGX', suffix: '.SI', name: 'Singapore Exchange', country: 'SG', currency: 'SGD', aliases: ['SES'] },
+  { code: 'NSE', suffix: '.NS', name: 'National Stock Exchange of India', country: 'IN', currency: 'INR', aliases: [] },
+  { code: 'BSE', suffix: '.BO', name: 'BSE India', country: 'IN', currency: 'INR', aliases: ['BOM'] },
+  { code: 'KRX', suffix: '.KS', name: 'Korea Exchange', country: 'KR', currency: 'KRW', aliases: ['KSC'] },
+  { code: 'TWSE', suffix: '.TW', name: 'Taiwan Stock Exchange', country: 'TW', currency: 'TWD', aliases: ['TPE'] }
+];
+
+// Lookup tables built once at module load
+const BY_PREFIX = new Map();
+const BY_SUFFIX = new Map();
+
+EXCHANGES.forEach(exchange => {
+  [exchange.code, ...exchange.aliases].forEach(prefix => BY_PREFIX.set(prefix, exchange));
+  // First exchange listed for a suffix wins (e.g. '' maps back to no prefix at all)
+  if (exchange.suffix && !BY_SUFFIX.has(exchange.suffix)) {
+    BY_SUFFIX.set(exchange.suffix, exchange);
+  }
+});
+
+export const findExchangeByPrefix = (prefix) => {
+  if (!prefix || typeof prefix !== 'string') return null;
+  return BY_PREFIX.get(prefix.trim().toUpperCase()) || null;
+};
+
+export const findExchangeBySuffix = (suffix) => {
+  if (!suffix || typeof suffix !== 'string') return null;
+  const normalized = suffix.startsWith('.') ? suffix : `.${suffix}`;
+  return BY_SUFFIX.get(normalized.toUpperCase()) || null;
+};
+
+// Resolve any accepted input form into { input, ticker, exchange, canonical, provider }.
+// Returns null when a MARKET: prefix is given that we do not know how to map.
+export const resolveSymbol = (input) => {
+  if (!input || typeof input !== 'string') return null;
+
+  const cleaned = input.trim().toUpperCase();
+  if (cleaned.length === 0) return null;
+
+  // Prefix form: JSE:STXRES, LON:BARC, NASDAQ:AAPL
+  const colonIndex = cleaned.indexOf(':');
+  if (colonIndex !== -1) {
+    const exchange = findExchangeByPrefix(cleaned.slice(0, colonIndex));
+    const ticker = cleaned.slice(colonIndex + 1);
+    if (!exchange || ticker.length === 0) return null;
+
+    return {
+      input,
+      ticker,
+      exchange,
+      canonical: exchange.suffix ? `${exchange.code}:${ticker}` : ticker,
+      provider: `${ticker}${exchange.suffix}`
+    };
+  }
+
+  // Suffix form: STXRES.JO, BARC.L - anything after the last dot that is not a known suffix
+  // (e.g. the class letter in BRK.B) is treated as part of the ticker
+  const dotIndex = cleaned.lastIndexOf('.');
+  if (dotIndex > 0) {
+    const exchange = findExchangeBySuffix(cleaned.slice(dotIndex));
+    if (exchange) {
+      const ticker = cleaned.slice(0, dotIndex);
+      return {
+        input,
+        ticker,
+        exchange,
+        canonical: `${exchange.code}:${ticker}`,
+        provider: cleaned
+      };
+    }
+  }
+
+  // Plain ticker, assumed to be a US listing
+  return {
+    input,
+    ticker: cleaned,
+    exchange: null,
+    canonical: cleaned,
+    provider: cleaned
+  };
+};
+
+// JSE:STXRES -> STXRES.JO (inputs already in provider form pass through unchanged)
+export const toProviderSymbol = (input) => {
+  const resolved = resolveSymbol(input);
+  return resolved ? resolved.provider : null;
+};
+
+// STXRES.JO -> JSE:STXRES (inputs already in canonical form pass through unchanged)
+export const toCanonicalSymbol = (input) => {
+  const resolved = resolveSymbol(input);
+  return resolved ? resolved.canonical : null;
+};
@@ -0,0 +1,31 @@
+// /lib/fx.js
+// Currency helpers shared by /api/fx and the FinMaster UI
+
+export const BASE_CURRENCIES = ['USD', 'ZAR', 'GBP', 'EUR', 'CAD', 'AUD', 'CHF', 'JPY', 'HKD'];
+
+// Yahoo quotes some markets in minor units (LSE in pence, JSE in cents)
+const MINOR_UNITS = {
+  GBp: { currency: 'GBP', factor: 0.01 },
+  GBX: { currency: 'GBP', factor: 0.01 },
+  ZAc: { currency: 'ZAR', factor: 0.01 },
+  ZAC: { currency: 'ZAR', factor: 0.01 },
+  ILA: { currency: 'ILS', factor: 0.01 }
+};
+
+// 'GBp' -> { currency: 'GBP', factor: 0.01 }, 'usd' -> { currency: 'USD', factor: 1 }
+export const normaliseCurrency = (code) => {
+  if (!code || typeof code !== 'string') return null;
+  const trimmed = code.trim();
+  if (MINOR_UNITS[trimmed]) return MINOR_UNITS[trimmed];
+  if (!/^[A-Za-z]{3}$/.test(trimmed)) return null;
+  return { currency: trimmed.toUpperCase(), factor: 1 };
+};
+
+// Yahoo FX pair symbol quoting `to` per one unit of `from`, e.g. ('ZAR', 'USD') -> ZARUSD=X
+export const fxSymbol = (from, to) => `${from}${to}=X`;
+
+// rate is base units per one unit of the quoted currency
+export const convertAmount = (amount, rate) => {
+  if (typeof amount !== 'number' || isNaN(amount) || typeof rate !== 'number' || isNaN(rate)) return null;
+  return amount * rate;
+};
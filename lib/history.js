@@ -0,0 +1,124 @@
+// /lib/history.js
+// Normalised OHLCV history for /api/history: query parsing, row shaping and CSV export
+
+import { parseChartOptions } from './marketData.js';
+import { tradingDate } from './performance.js';
+
+export const HISTORY_FORMATS = ['json', 'csv'];
+
+// Intraday intervals get full timestamps; daily and longer bars are keyed by date only
+const INTRADAY_INTERVALS = ['1m', '2m', '5m', '15m', '30m', '60m', '90m', '1h'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const parseDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return NaN;
+  return Date.parse(value.length === 10 ? `${value}T00:00:00Z` : value);
+};
+
+// Read ?range=&interval=&start=&end=&adjusted=&format= - returns { options } or { message } describing the bad value.
+// start/end (YYYY-MM-DD or ISO timestamps) replace range when given; end defaults to now.
+export const parseHistoryOptions = (query) => {
+  const { options: chartOptions, message } = parseChartOptions(query);
+  if (message) return { message };
+
+  const format = (query.format || 'json').toLowerCase();
+  if (!HISTORY_FORMATS.includes(format)) {
+    return { message: `Unsupported format: ${query.format}. Use one of ${HISTORY_FORMATS.join(', ')}` };
+  }
+
+  if (query.end !== undefined && query.start === undefined) {
+    return { message: 'end requires start' };
+  }
+
+  let start;
+  let end;
+  if (query.start !== undefined) {
+    start = parseDate(query.start);
+    if (isNaN(start)) return { message: `Invalid start date: ${query.start}. Use YYYY-MM-DD` };
+
+    if (query.end !== undefined) {
+      end = parseDate(query.end);
+      if (isNaN(end)) return { message: `Invalid end date: ${query.end}. Use YYYY-MM-DD` };
+      // A bare end date includes that whole day
+      if (query.end.length === 10) end += 24 * 60 * 60 * 1000 - 1;
+      if (end <= start) return { message: 'end must be after start' };
+    }
+  }
+
+  return {
+    options: {
+      range: start ? undefined : chartOptions.range,
+      interval: chartOptions.interval,
+      start,
+      end,
+      adjusted: query.adjusted === 'true',
+      format
+    }
+  };
+};
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 10000) / 10000 : null);
+
+// Daily bars and events go by their exchange-local trading date, which for NZX or ASX is a day ahead of the UTC one
+const formatTime = (item, intraday) => (intraday ? new Date(item.time).toISOString() : tradingDate(item));
+
+// [{ date, open, high, low, close, adjClose, volume }]; with adjusted, open/high/low/close are scaled by the
+// adjClose/close ratio so the whole bar reflects splits and dividends
+export const toHistoryRows = (points, { interval, adjusted = false } = {}) => {
+  const intraday = INTRADAY_INTERVALS.includes(interval);
+
+  return points.map(point => {
+    const adjClose = typeof point.adjClose === 'number' ? point.adjClose : point.close;
+    const factor = adjusted && point.close ? adjClose / point.close : 1;
+    // Missing prices stay null - null * factor would come out as a zero-priced bar
+    const scale = (value) => (typeof value === 'number' ? round(value * factor) : null);
+
+    return {
+      date: formatTime(point, intraday),
+      open: scale(point.open),
+      high: scale(point.high),
+      low: scale(point.low),
+      close: scale(point.close),
+      adjClose: round(adjClose),
+      volume: typeof point.volume === 'number' ? point.volume : null
+    };
+  });
+};
+
+export const toHistoryEvents = (events, { interval } = {}) => {
+  const intraday = INTRADAY_INTERVALS.includes(interval);
+  const source = events || {};
+
+  return {
+    dividends: (source.dividends || []).map(dividend => ({ date: formatTime(dividend, intraday), amount: round(dividend.amount) })),
+    splits: (source.splits || []).map(split => ({
+      date: formatTime(split, intraday),
+      numerator: split.numerator,
+      denominator: split.denominator,
+      ratio: split.ratio
+    }))
+  };
+};
+
+export const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Spreadsheet-friendly CSV; dividends and splits land in their own columns on the matching date
+export const toHistoryCsv = (rows, events = { dividends: [], splits: [] }) => {
+  const dividends = new Map(events.dividends.map(dividend => [dividend.date, dividend.amount]));
+  const splits = new Map(events.splits.map(split => [split.date, split.ratio]));
+
+  const lines = [['Date', 'Open', 'High', 'Low', 'Close', 'Adj Close', 'Volume', 'Dividend', 'Split'].join(',')];
+  rows.forEach(row => {
+    lines.push([
+      row.date, row.open, row.high, row.low, row.close, row.adjClose, row.volume,
+      dividends.get(row.date), splits.get(row.date)
+    ].map(csvCell).join(','));
+  });
+
+  return `${lines.join('\n')}\n`;
+};
@@ -0,0 +1,70 @@
+// /lib/http.js
+// Common request plumbing for the API handlers: CORS headers, preflight and method checks, API keys and rate limits
+
+import { authorizeRequest, isAuthEnabled } from './auth.js';
+
+// CORS_ALLOWED_ORIGINS=https://finmaster.example.com,http://localhost:3000 limits which sites may call the API from a
+// browser; unset (or *) keeps it open to every origin
+const allowedOrigins = () => {
+  const setting = typeof process !== 'undefined' && process.env ? process.env.CORS_ALLOWED_ORIGINS : undefined;
+  const origins = (setting || '*').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+  return origins.includes('*') ? null : origins;
+};
+
+export const setCorsHeaders = (req, res) => {
+  const origins = allowedOrigins();
+  const origin = req.headers && req.headers.origin;
+
+  if (!origins) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    // The answer depends on the caller's origin, so caches must keep one copy per origin
+    res.setHeader('Vary', 'Origin');
+    if (origin && origins.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Requested-With, Accept');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Cache, X-Data-Provider');
+  res.setHeader('Access-Control-Max-Age', '86400'); // Cache preflight for 24 hours
+};
+
+// Resolves to true when the request has been fully answered (preflight, wrong method, missing or invalid API key,
+// or quota used up). Preflights are answered before the key check, as browsers send them without credentials.
+export const handlePreflightAndMethod = async (req, res) => {
+  setCorsHeaders(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return true;
+  }
+
+  if (req.method !== 'GET') {
+    res.status(405).json({
+      error: 'Method not allowed',
+      message: 'Only GET requests are supported'
+    });
+    return true;
+  }
+
+  const auth = await authorizeRequest(req);
+  Object.entries(auth.headers).forEach(([name, value]) => res.setHeader(name, value));
+
+  if (!auth.ok) {
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(auth.status).json({
+      error: auth.error,
+      message: auth.message,
+      ...(auth.retryAfterSeconds ? { retryAfterSeconds: auth.retryAfterSeconds } : {})
+    });
+    return true;
+  }
+
+  // With keys required the CDN must not hand one caller's response to another, so only browsers may cache it
+  if (isAuthEnabled()) {
+    res.setHeader('Vercel-CDN-Cache-Control', 'no-store');
+  }
+
+  return false;
+};
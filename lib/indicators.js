@@ -0,0 +1,156 @@
+// /lib/indicators.js
+// Standard technical indicators over contiguous price arrays.
+// Every series is aligned with its input: entries without enough look-back are null.
+
+const round = (value, decimals = 4) => (value === null ? null : Number(value.toFixed(decimals)));
+
+export const sma = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  values.forEach((value, index) => {
+    sum += value;
+    if (index >= period) sum -= values[index - period];
+    if (index >= period - 1) result[index] = sum / period;
+  });
+
+  return result;
+};
+
+// Seeded with the SMA of the first `period` values, then smoothed with k = 2 / (period + 1)
+export const ema = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  const firstIndex = values.findIndex(value => value !== null);
+  if (firstIndex === -1 || values.length - firstIndex < period) return result;
+
+  const k = 2 / (period + 1);
+  let previous = values.slice(firstIndex, firstIndex + period).reduce((total, value) => total + value, 0) / period;
+  result[firstIndex + period - 1] = previous;
+
+  for (let index = firstIndex + period; index < values.length; index++) {
+    previous = values[index] * k + previous * (1 - k);
+    result[index] = previous;
+  }
+
+  return result;
+};
+
+// Wilder's RSI
+export const rsi = (values, period = 14) => {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let index = 1; index <= period; index++) {
+    const change = values[index] - values[index - 1];
+    avgGain += Math.max(change, 0);
+    avgLoss += Math.max(-change, 0);
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  result[period] = toRsi();
+
+  for (let index = period + 1; index < values.length; index++) {
+    const change = values[index] - values[index - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[index] = toRsi();
+  }
+
+  return result;
+};
+
+export const macd = (values, fast = 12, slow = 26, signalPeriod = 9) => {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, index) => (
+    fastEma[index] !== null && slowEma[index] !== null ? fastEma[index] - slowEma[index] : null
+  ));
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((value, index) => (
+    value !== null && signal[index] !== null ? value - signal[index] : null
+  ));
+
+  return { macd: line, signal, histogram };
+};
+
+export const bollinger = (values, period = 20, multiplier = 2) => {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+
+  middle.forEach((mean, index) => {
+    if (mean === null) return;
+    const window = values.slice(index - period + 1, index + 1);
+    const variance = window.reduce((total, value) => total + (value - mean) ** 2, 0) / period;
+    const deviation = Math.sqrt(variance) * multiplier;
+    upper[index] = mean + deviation;
+    lower[index] = mean - deviation;
+  });
+
+  return { upper, middle, lower };
+};
+
+// Average True Range with Wilder smoothing
+export const atr = (highs, lows, closes, period = 14) => {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length <= period) return result;
+
+  const trueRanges = closes.map((close, index) => {
+    if (index === 0) return highs[0] - lows[0];
+    const previousClose = closes[index - 1];
+    return Math.max(highs[index] - lows[index], Math.abs(highs[index] - previousClose), Math.abs(lows[index] - previousClose));
+  });
+
+  let previous = trueRanges.slice(1, period + 1).reduce((total, value) => total + value, 0) / period;
+  result[period] = previous;
+
+  for (let index = period + 1; index < closes.length; index++) {
+    previous = (previous * (period - 1) + trueRanges[index]) / period;
+    result[index] = previous;
+  }
+
+  return result;
+};
+
+// Full indicator set over provider price points ({ time, high, low, close }): { series, latest }
+export const computeIndicators = (points) => {
+  const closes = points.map(point => point.close);
+  const highs = points.map(point => (typeof point.high === 'number' ? point.high : point.close));
+  const lows = points.map(point => (typeof point.low === 'number' ? point.low : point.close));
+
+  const macdResult = macd(closes);
+  const bands = bollinger(closes);
+
+  const series = {
+    dates: points.map(point => new Date(point.time).toISOString()),
+    close: closes,
+    sma20: sma(closes, 20),
+    sma50: sma(closes, 50),
+    sma200: sma(closes, 200),
+    ema12: ema(closes, 12),
+    ema26: ema(closes, 26),
+    rsi14: rsi(closes, 14),
+    macd: macdResult.macd,
+    macdSignal: macdResult.signal,
+    macdHistogram: macdResult.histogram,
+    bollingerUpper: bands.upper,
+    bollingerMiddle: bands.middle,
+    bollingerLower: bands.lower,
+    atr14: atr(highs, lows, closes, 14)
+  };
+
+  // Latest reading of every numeric series
+  const latest = {};
+  Object.keys(series).forEach(key => {
+    if (key === 'dates') return;
+    const values = series[key];
+    latest[key] = values.length > 0 ? round(values[values.length - 1]) : null;
+  });
+  latest.date = series.dates.length > 0 ? series.dates[series.dates.length - 1] : null;
+
+  return { series, latest };
+};
@@ -0,0 +1,100 @@
+// /lib/liveQuotes.js
+// Live quote refresh for the symbols in the current report.
+// Symbols are re-polled on the chosen interval only while their market is trading (marketState from /api/quotes);
+// closed markets are re-checked slowly so the poller notices when they open. Polling backs off while the tab is hidden.
+
+// The API caches quotes for a minute, so shorter intervals would only return the same snapshot
+export const LIVE_INTERVALS = [
+  { ms: 60000, label: '1 min' },
+  { ms: 120000, label: '2 min' },
+  { ms: 300000, label: '5 min' },
+  { ms: 900000, label: '15 min' }
+];
+
+export const DEFAULT_LIVE_SETTINGS = { enabled: false, intervalMs: 60000, extendedHours: false };
+
+export const CLOSED_RECHECK_MS = 15 * 60 * 1000;
+export const MAX_HIDDEN_BACKOFF_MS = 30 * 60 * 1000;
+export const LIVE_FLASH_MS = 1500;
+
+// Timers fire a little early or late; a symbol within this much of its next poll is treated as due
+const DUE_SLACK_MS = 1000;
+
+const EXTENDED_STATES = ['PRE', 'PREPRE', 'POST', 'POSTPOST'];
+
+export const MARKET_STATE_LABELS = {
+  REGULAR: 'Open',
+  PRE: 'Pre-market',
+  PREPRE: 'Pre-market',
+  POST: 'After hours',
+  POSTPOST: 'After hours',
+  CLOSED: 'Closed'
+};
+
+// Providers that do not report a market state are treated as trading, so they keep updating
+export const isMarketLive = (marketState, { extendedHours = false } = {}) => {
+  if (!marketState) return true;
+  if (marketState === 'REGULAR') return true;
+  return extendedHours && EXTENDED_STATES.includes(marketState);
+};
+
+// Symbols to include in the next poll: never polled yet, or their interval (live or closed re-check) has passed
+export const selectDueSymbols = (symbols, { marketStates = {}, lastPolled = {}, now = Date.now(), intervalMs, extendedHours = false }) => (
+  symbols.filter(symbol => {
+    if (lastPolled[symbol] === undefined) return true;
+    const wait = isMarketLive(marketStates[symbol], { extendedHours }) ? intervalMs : CLOSED_RECHECK_MS;
+    return now - lastPolled[symbol] >= wait - DUE_SLACK_MS;
+  })
+);
+
+// Doubles the delay for every poll made while the tab stays hidden, capped at MAX_HIDDEN_BACKOFF_MS
+export const nextPollDelay = (intervalMs, hiddenPolls = 0) => (
+  hiddenPolls > 0 ? Math.min(intervalMs * 2 ** hiddenPolls, Math.max(intervalMs, MAX_HIDDEN_BACKOFF_MS)) : intervalMs
+);
+
+const direction = (before, after) => {
+  if (typeof before !== 'number' || typeof after !== 'number' || before === after) return null;
+  return after > before ? 'up' : 'down';
+};
+
+// Merge one poll into the live quote map: { [symbol]: { price, dayChange, dayChangePercent, currency, marketState,
+// stale, updatedAt, error, flash: { price, dayChange } } }. results is { [symbol]: { data } | { error } }.
+// A failed symbol keeps its last good values with the error attached.
+export const mergeLiveQuotes = (previous, results, checkedAt) => {
+  const next = { ...previous };
+
+  Object.entries(results).forEach(([symbol, result]) => {
+    const before = previous[symbol];
+
+    if (result.error) {
+      next[symbol] = { ...(before || {}), error: result.error, flash: null };
+      return;
+    }
+
+    const { data } = result;
+    next[symbol] = {
+      price: data.currentPrice,
+      dayChange: data.dayChange,
+      dayChangePercent: data.dayChangePercent,
+      currency: data.currency,
+      marketState: data.marketState || null,
+      stale: Boolean(data.stale),
+      updatedAt: checkedAt,
+      error: null,
+      flash: before ? {
+        price: direction(before.price, data.currentPrice),
+        dayChange: direction(before.dayChangePercent, data.dayChangePercent)
+      } : null
+    };
+  });
+
+  return next;
+};
+
+export const clearFlashes = (quotes) => {
+  const next = {};
+  Object.entries(quotes).forEach(([symbol, quote]) => {
+    next[symbol] = quote.flash ? { ...quote, flash: null } : quote;
+  });
+  return next;
+};
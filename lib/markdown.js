@@ -0,0 +1,223 @@
+// /lib/markdown.js
+// Small Markdown parser for the analysis report. Handles headings, paragraphs, bullet lists, pipe tables, rules and
+// **bold** / *italic* text, plus two report directives: inline {{badge:BUY}} and block-level {{chart:AAPL}}.
+// The output is a plain block tree that FinMaster renders as React elements (and renderMarkdownHtml renders as
+// static HTML for exports) - raw HTML is never interpreted, so text always reaches the page escaped. User-supplied text should still go through escapeMarkdown so it
+// cannot inject formatting, table cells or directives.
+
+const BADGE_PATTERN = /^\{\{badge:([A-Z]+)\}\}/;
+const DIRECTIVE_PATTERN = /^\{\{([a-z-]+)(?::([^{}]*))?\}\}$/;
+const TABLE_SEPARATOR = /^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/;
+const BULLET_PATTERN = /^(?:[-*•]) (.*)$/;
+const HEADING_PATTERN = /^(#{1,6}) (.*)$/;
+
+// Backslash-escape everything the parser treats as syntax and fold newlines, for text we did not write
+export const escapeMarkdown = (text) => String(text === null || text === undefined ? '' : text)
+  .replace(/\r?\n/g, ' ')
+  .replace(/[\\`*_{}[\]<>#|]/g, '\\$&');
+
+// Parse inline text up to `closer` (or the end); returns { nodes, index, closed }
+const parseSpan = (text, start, closer) => {
+  const nodes = [];
+  let buffer = '';
+  let index = start;
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '\\' && index + 1 < text.length) {
+      buffer += text[index + 1];
+      index += 2;
+      continue;
+    }
+
+    // Bold is tried before closing an italic span so *a **b** c* nests correctly
+    if (closer !== '**' && text.startsWith('**', index)) {
+      const inner = parseSpan(text, index + 2, '**');
+      if (inner.closed && inner.nodes.length > 0) {
+        flush();
+        nodes.push({ type: 'strong', children: inner.nodes });
+        index = inner.index;
+        continue;
+      }
+    }
+
+    if (closer && text.startsWith(closer, index)) {
+      flush();
+      return { nodes, index: index + closer.length, closed: true };
+    }
+
+    if (char === '*' && closer !== '*' && !text.startsWith('**', index)) {
+      const inner = parseSpan(text, index + 1, '*');
+      if (inner.closed && inner.nodes.length > 0) {
+        flush();
+        nodes.push({ type: 'em', children: inner.nodes });
+        index = inner.index;
+        continue;
+      }
+    }
+
+    const badge = char === '{' ? text.slice(index).match(BADGE_PATTERN) : null;
+    if (badge) {
+      flush();
+      nodes.push({ type: 'badge', value: badge[1] });
+      index += badge[0].length;
+      continue;
+    }
+
+    buffer += char;
+    index++;
+  }
+
+  flush();
+  return { nodes, index, closed: false };
+};
+
+// [{ type: 'text' | 'strong' | 'em' | 'badge', value?, children? }]
+export const parseInline = (text) => parseSpan(text, 0, null).nodes;
+
+// Split a table row on unescaped pipes, keeping escapes for the inline parser
+const splitRow = (line) => {
+  const cells = [];
+  let cell = '';
+
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '\\' && index + 1 < line.length) {
+      cell += char + line[index + 1];
+      index++;
+    } else if (char === '|') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+
+  // Leading and trailing pipes leave empty edge cells
+  if (line.startsWith('|')) cells.shift();
+  if (line.endsWith('|') && !line.endsWith('\\|')) cells.pop();
+  return cells.map(value => parseInline(value.trim()));
+};
+
+// Block tree: heading { level, children }, paragraph { lines }, list { items }, table { header, rows },
+// rule, directive { name, value }
+export const parseMarkdown = (markdown) => {
+  const lines = (markdown || '').split(/\r?\n/);
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  const closeOpenBlocks = () => {
+    paragraph = null;
+    list = null;
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+
+    if (!line) {
+      closeOpenBlocks();
+      continue;
+    }
+
+    const directive = line.match(DIRECTIVE_PATTERN);
+    if (directive) {
+      closeOpenBlocks();
+      blocks.push({ type: 'directive', name: directive[1], value: directive[2] === undefined ? null : directive[2] });
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      closeOpenBlocks();
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      continue;
+    }
+
+    if (/^(-{3,}|\*{3,})$/.test(line)) {
+      closeOpenBlocks();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    if (line.startsWith('|') && index + 1 < lines.length && TABLE_SEPARATOR.test(lines[index + 1].trim())) {
+      closeOpenBlocks();
+      const header = splitRow(line);
+      const rows = [];
+      index++;
+      while (index + 1 < lines.length && lines[index + 1].trim().startsWith('|')) {
+        index++;
+        rows.push(splitRow(lines[index].trim()));
+      }
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    const bullet = line.match(BULLET_PATTERN);
+    if (bullet) {
+      if (!list) {
+        closeOpenBlocks();
+        list = { type: 'list', items: [] };
+        blocks.push(list);
+      }
+      list.items.push(parseInline(bullet[1]));
+      continue;
+    }
+
+    if (!paragraph) {
+      closeOpenBlocks();
+      paragraph = { type: 'paragraph', lines: [] };
+      blocks.push(paragraph);
+    }
+    paragraph.lines.push(parseInline(line));
+  }
+
+  return blocks;
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (text) => String(text === null || text === undefined ? '' : text)
+  .replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const inlineToHtml = (nodes) => nodes.map(node => {
+  if (node.type === 'strong') return `<strong>${inlineToHtml(node.children)}</strong>`;
+  if (node.type === 'em') return `<em>${inlineToHtml(node.children)}</em>`;
+  if (node.type === 'badge') return `<span class="badge badge-${node.value.toLowerCase()}">${node.value}</span>`;
+  return escapeHtml(node.value);
+}).join('');
+
+// Static HTML for the block tree; directives (charts) have no static form and are left out
+export const renderMarkdownHtml = (markdown) => parseMarkdown(markdown)
+  .map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${inlineToHtml(block.children)}</h${block.level}>`;
+      case 'paragraph':
+        return `<p>${block.lines.map(inlineToHtml).join('<br>\n')}</p>`;
+      case 'list':
+        return `<ul>\n${block.items.map(item => `<li>${inlineToHtml(item)}</li>`).join('\n')}\n</ul>`;
+      case 'table':
+        return [
+          '<table>',
+          `<thead><tr>${block.header.map(cell => `<th>${inlineToHtml(cell)}</th>`).join('')}</tr></thead>`,
+          '<tbody>',
+          ...block.rows.map(row => `<tr>${row.map(cell => `<td>${inlineToHtml(cell)}</td>`).join('')}</tr>`),
+          '</tbody>',
+          '</table>'
+        ].join('\n');
+      case 'rule':
+        return '<hr>';
+      default:
+        return '';
+    }
+  })
+  .filter(Boolean)
+  .join('\n');
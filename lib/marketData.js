@@ -0,0 +1,155 @@
+// /lib/marketData.js
+// Provider-agnostic quote building shared by the stock, batch quote, indicator, fundamentals and FX endpoints
+
+import { computePerformance, computeHistoricalRange } from './performance.js';
+import { computeIndicators } from './indicators.js';
+import { adjustForCorporateActions, totalReturnPoints, computeDividendStats } from './dividends.js';
+import { cachedFetch } from './cache.js';
+import { callProviders } from './providers/index.js';
+
+// Ranges and intervals accepted across providers (Yahoo's chart vocabulary)
+export const VALID_RANGES = ['1d', '5d', '1mo', '3mo', '6mo', '1y', '2y', '5y', '10y', 'ytd', 'max'];
+export const VALID_INTERVALS = ['1m', '2m', '5m', '15m', '30m', '60m', '90m', '1h', '1d', '5d', '1wk', '1mo', '3mo'];
+// Corporate actions requested with quote history so performance can be measured as total return
+export const QUOTE_EVENTS = 'div,splits';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Read ?range=&interval= from a request query; returns { options } or { message } describing the bad value
+export const parseChartOptions = (query) => {
+  const { range, interval } = query;
+
+  if (range !== undefined && !VALID_RANGES.includes(range)) {
+    return { message: `Unsupported range: ${range}. Use one of ${VALID_RANGES.join(', ')}` };
+  }
+  if (interval !== undefined && !VALID_INTERVALS.includes(interval)) {
+    return { message: `Unsupported interval: ${interval}. Use one of ${VALID_INTERVALS.join(', ')}` };
+  }
+
+  return { options: { range, interval } };
+};
+
+// Fetch a price snapshot through the provider chain and the response cache. Upstream failures (timeouts,
+// rate limits, network) fall back to the last good snapshot; a definitive "symbol not found" is passed through.
+export const getHistoryCached = async (resolved, options = {}) => {
+  const window = options.start ? `${options.start}-${options.end || 'now'}` : options.range || 'default';
+  const key = `history:${resolved.provider}:${window}:${options.interval || 'default'}${options.events ? `:${options.events}` : ''}`;
+  const { value, cache } = await cachedFetch(key, async () => {
+    const { value: snapshot, provider } = await callProviders('getHistory', resolved, options);
+    return { ...snapshot, provider };
+  }, {
+    ttlMs: 60000,
+    canServeStale: (error) => !error.status || error.status >= 500
+  });
+  return { snapshot: value, cache };
+};
+
+// Fundamentals move slowly, so they are cached for longer than prices; stale copies cover upstream failures the same way
+export const getFundamentalsCached = async (resolved) => {
+  const { value, cache } = await cachedFetch(`fundamentals:${resolved.provider}`, async () => {
+    const { value: snapshot, provider } = await callProviders('getFundamentals', resolved);
+    return { ...snapshot, provider };
+  }, {
+    ttlMs: 15 * 60 * 1000,
+    canServeStale: (error) => !error.status || error.status >= 500
+  });
+  return { snapshot: value, cache };
+};
+
+// Flags added to a response built from a cached snapshot
+export const cacheFields = (cache) => ({
+  cache,
+  ...(cache.stale ? { stale: true, staleAgeSeconds: cache.ageSeconds } : {})
+});
+
+// With daily bars the day move is measured from the bars themselves, whatever the provider put in previousClose - the
+// alert poller's day-move rule needs the previous session, not the close before the window. The last bar is the
+// current session unless the market has traded since it was stamped (a bar is stamped at or before its session's open).
+const dailyPreviousClose = (snapshot, points) => {
+  if (snapshot.interval !== '1d' || points.length < 2) return snapshot.previousClose;
+  const last = points[points.length - 1];
+  const marketTime = snapshot.marketTime ? Date.parse(snapshot.marketTime) : NaN;
+  return !isNaN(marketTime) && marketTime - last.time >= DAY_MS ? last.close : points[points.length - 2].close;
+};
+
+// Normalise a provider snapshot into the quote shape returned by /api/stock and /api/quotes. Trailing performance is
+// total return (dividends reinvested, splits adjusted); pricePerformance is the price move alone.
+export const buildQuote = (snapshot, resolved) => {
+  const exchange = resolved.exchange;
+  const points = adjustForCorporateActions(snapshot.points || [], snapshot.events);
+  const events = snapshot.events || { dividends: [], splits: [] };
+
+  const currentPrice = snapshot.price;
+  const previousClose = dailyPreviousClose(snapshot, points);
+  const dayChange = currentPrice && previousClose ? currentPrice - previousClose : 0;
+  const dayChangePercent = previousClose ? (dayChange / previousClose) * 100 : 0;
+
+  return {
+    symbol: snapshot.symbol || resolved.provider,
+    canonicalSymbol: resolved.canonical,
+    providerSymbol: resolved.provider,
+    instrumentType: resolved.type || 'equity',
+    provider: snapshot.provider,
+    currentPrice,
+    previousClose,
+    dayChange,
+    dayChangePercent,
+    fiftyTwoWeekHigh: snapshot.fiftyTwoWeekHigh,
+    fiftyTwoWeekLow: snapshot.fiftyTwoWeekLow,
+    regularMarketVolume: snapshot.volume,
+    currency: snapshot.currency || (exchange ? exchange.currency : 'USD'),
+    exchangeName: snapshot.exchangeName || (exchange ? exchange.name : undefined),
+    marketState: snapshot.marketState,
+    range: snapshot.range,
+    interval: snapshot.interval,
+    performance: computePerformance(totalReturnPoints(points), currentPrice),
+    pricePerformance: computePerformance(points, currentPrice),
+    history: computeHistoricalRange(points),
+    dividends: computeDividendStats(events, {
+      price: currentPrice,
+      start: points.length > 0 ? points[0].time : null,
+      asOf: points.length > 0 ? points[points.length - 1].time : null
+    }),
+    splits: events.splits.map(split => ({ date: new Date(split.time).toISOString().slice(0, 10), ratio: split.ratio })),
+    // Latest indicator readings only - the full series lives on /api/indicators
+    indicators: points.length > 0 ? computeIndicators(points).latest : null,
+    timestamp: new Date().toISOString()
+  };
+};
+
+// Normalise a fundamentals snapshot into the shape returned by /api/fundamentals
+export const buildFundamentals = (snapshot, resolved) => ({
+  symbol: snapshot.symbol || resolved.provider,
+  canonicalSymbol: resolved.canonical,
+  providerSymbol: resolved.provider,
+  instrumentType: resolved.type || 'equity',
+  provider: snapshot.provider,
+  currency: snapshot.currency || (resolved.exchange ? resolved.exchange.currency : null),
+  quoteType: snapshot.quoteType,
+  marketCap: snapshot.marketCap,
+  sharesOutstanding: snapshot.sharesOutstanding,
+  trailingPE: snapshot.trailingPE,
+  forwardPE: snapshot.forwardPE,
+  trailingEps: snapshot.trailingEps,
+  forwardEps: snapshot.forwardEps,
+  dividendYield: snapshot.dividendYield,
+  dividendRate: snapshot.dividendRate,
+  beta: snapshot.beta,
+  sector: snapshot.sector,
+  industry: snapshot.industry,
+  timestamp: new Date().toISOString()
+});
+
+// Map a thrown error onto the status/body pair the handlers send back
+export const describeError = (error) => {
+  if (error.status) {
+    return { status: error.status, error: error.error, message: error.message };
+  }
+  if (error.name === 'AbortError') {
+    return { status: 408, error: 'Request timeout', message: `Market data request timed out${error.provider ? ` (${error.provider})` : ''}` };
+  }
+  if (error.message.includes('fetch')) {
+    return { status: 503, error: 'Service unavailable', message: `Unable to connect to market data provider${error.provider ? ` (${error.provider})` : ''}` };
+  }
+  return { status: 500, error: 'Internal server error', message: error.message };
+};
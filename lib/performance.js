@@ -0,0 +1,73 @@
+// /lib/performance.js
+// Trailing returns and historical range computed from provider price points ({ time, close, high, low })
+
+export const PERFORMANCE_PERIODS = [
+  { key: '1M', months: 1 },
+  { key: '3M', months: 3 },
+  { key: '6M', months: 6 },
+  { key: 'YTD', ytd: true },
+  { key: '1Y', months: 12 },
+  { key: '3Y', months: 36 }
+];
+
+// Trading date (YYYY-MM-DD) of a point on its exchange's calendar. Providers that know the exchange's time zone set
+// point.date; otherwise the UTC date is used, which is right wherever bars are stamped during the UTC day.
+export const tradingDate = (point) => point.date || new Date(point.time).toISOString().slice(0, 10);
+
+const percentChange = (from, to) => (from ? ((to - from) / from) * 100 : null);
+
+// Last close at or before the given time, or null when history does not reach back that far
+const closeAtOrBefore = (points, time) => {
+  if (points.length === 0 || points[0].time > time) return null;
+
+  let match = null;
+  for (const point of points) {
+    if (point.time > time) break;
+    match = point;
+  }
+  return match;
+};
+
+// Returns { '1M': 2.4, '3M': -1.1, ... } in percent; periods without enough history are null
+export const computePerformance = (points, latestPrice) => {
+  const performance = {};
+  if (points.length === 0) {
+    PERFORMANCE_PERIODS.forEach(period => { performance[period.key] = null; });
+    return performance;
+  }
+
+  const last = points[points.length - 1];
+  const endPrice = typeof latestPrice === 'number' ? latestPrice : last.close;
+  const asOf = new Date(last.time);
+
+  PERFORMANCE_PERIODS.forEach(period => {
+    let start;
+    if (period.ytd) {
+      // Baseline is the last close of the previous calendar year
+      start = closeAtOrBefore(points, Date.UTC(asOf.getUTCFullYear(), 0, 1) - 1);
+    } else {
+      const target = new Date(asOf);
+      target.setUTCMonth(target.getUTCMonth() - period.months);
+      start = closeAtOrBefore(points, target.getTime());
+    }
+    performance[period.key] = start ? percentChange(start.close, endPrice) : null;
+  });
+
+  return performance;
+};
+
+// High/low/first/last over the whole fetched history
+export const computeHistoricalRange = (points) => {
+  if (points.length === 0) return null;
+
+  const highs = points.map(point => (typeof point.high === 'number' ? point.high : point.close));
+  const lows = points.map(point => (typeof point.low === 'number' ? point.low : point.close));
+
+  return {
+    start: new Date(points[0].time).toISOString(),
+    end: new Date(points[points.length - 1].time).toISOString(),
+    points: points.length,
+    high: Math.max(...highs),
+    low: Math.min(...lows)
+  };
+};
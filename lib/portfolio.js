@@ -0,0 +1,181 @@
+// /lib/portfolio.js
+// Holdings paste-parser and position/P&L maths for portfolio mode
+
+import { parseSymbol } from './symbols.js';
+
+const HEADER_CELLS = ['symbol', 'ticker', 'share', 'instrument'];
+
+// Split one pasted line on tabs, semicolons or commas (in that order of preference)
+const splitLine = (line) => {
+  const delimiter = line.includes('\t') ? '\t' : line.includes(';') ? ';' : ',';
+  return line.split(delimiter).map(cell => cell.trim().replace(/^['"]|['"]$/g, ''));
+};
+
+// Accepts currency-prefixed values like $150 or R 89.10, thousands separators (1,234.56, 1 234,56, 1.234,50) and a
+// decimal comma (89,10 - semicolon- or tab-separated input, as comma-separated lines would split it). Of '.' and ','
+// the later one is the decimal point; a lone comma is decimal before one or two digits and a thousands separator before
+// three. A single dot before exactly three digits (1.000) reads either way, so it is NaN along with anything that does
+// not group into thousands cleanly - the line is rejected instead of misread.
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return NaN;
+  const cleaned = String(value).replace(/[^0-9.,\-]/g, '');
+  if (!/[0-9]/.test(cleaned)) return NaN;
+
+  const lastDot = cleaned.lastIndexOf('.');
+  const lastComma = cleaned.lastIndexOf(',');
+  let decimal = lastDot > lastComma ? '.' : ',';
+  if (lastComma === -1) {
+    // 1.000 could be one or a thousand depending on the locale - refuse it rather than guess
+    if (/^-?[1-9][0-9]{0,2}\.[0-9]{3}$/.test(cleaned)) return NaN;
+    decimal = cleaned.indexOf('.') === lastDot ? '.' : null;
+  } else if (lastDot === -1 && (cleaned.indexOf(',') !== lastComma || !/,[0-9]{1,2}$/.test(cleaned))) {
+    decimal = null;
+  }
+
+  const decimalAt = decimal ? cleaned.lastIndexOf(decimal) : -1;
+  const whole = decimalAt >= 0 ? cleaned.slice(0, decimalAt) : cleaned;
+  const fraction = decimalAt >= 0 ? cleaned.slice(decimalAt + 1) : '';
+  if (!/^-?([0-9]+|[0-9]{1,3}([.,][0-9]{3})*)$/.test(whole || '0') || !/^[0-9]*$/.test(fraction)) return NaN;
+
+  return parseFloat(`${whole.replace(/[.,]/g, '') || '0'}.${fraction || '0'}`);
+};
+
+// Date rolls impossible days over (2023-02-30 becomes 2023-03-02), so numeric dates must come back with the same
+// year, month and day they were written with. Returns null when empty and undefined when not a real date.
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return undefined;
+  const parsed = date.toISOString().slice(0, 10);
+
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})\b/);
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+  const [year, month, day] = iso ? [iso[1], iso[2], iso[3]] : us ? [us[3], us[1], us[2]] : [];
+  if (year && parsed !== `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`) return undefined;
+  return parsed;
+};
+
+// Parse CSV / TSV text with columns: symbol, quantity, average cost[, purchase date]
+// A header row is skipped when its first cell looks like a column name.
+// Returns { holdings, errors, lineCount } - duplicate symbols are merged at their weighted average cost.
+export const parseHoldings = (text) => {
+  const holdings = [];
+  const errors = [];
+  let lineCount = 0;
+
+  if (!text || typeof text !== 'string') return { holdings, errors, lineCount };
+
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line.length === 0 || line.startsWith('#')) return;
+
+    const cells = splitLine(line);
+    if (lineCount === 0 && HEADER_CELLS.includes(cells[0].toLowerCase())) return;
+    lineCount++;
+
+    const reject = (message) => errors.push({ line: index + 1, input: line, message });
+
+    const resolved = parseSymbol(cells[0]);
+    if (!resolved.ok) return reject(resolved.message);
+
+    const quantity = parseAmount(cells[1]);
+    if (isNaN(quantity) || quantity <= 0) return reject(`Quantity must be a positive number (got "${cells[1] || ''}")`);
+
+    const averageCost = parseAmount(cells[2]);
+    if (isNaN(averageCost) || averageCost < 0) return reject(`Average cost must be a number (got "${cells[2] || ''}")`);
+
+    const purchaseDate = parseDate(cells[3]);
+    if (purchaseDate === undefined) return reject(`Purchase date not recognised: ${cells[3]}`);
+
+    const existing = holdings.find(holding => holding.symbol === resolved.canonical);
+    if (existing) {
+      const totalQuantity = existing.quantity + quantity;
+      existing.averageCost = (existing.averageCost * existing.quantity + averageCost * quantity) / totalQuantity;
+      existing.quantity = totalQuantity;
+      if (purchaseDate && (!existing.purchaseDate || purchaseDate < existing.purchaseDate)) {
+        existing.purchaseDate = purchaseDate;
+      }
+      return;
+    }
+
+    holdings.push({ symbol: resolved.canonical, quantity, averageCost, purchaseDate });
+  });
+
+  return { holdings, errors, lineCount };
+};
+
+// holdings: parseHoldings().holdings
+// quotes: { [symbol]: { price, currency } } with numeric prices
+// fx (optional): { base, rates: { [currency]: base units per one unit } }
+// Totals are grouped by quote currency; when fx covers every priced position, base-currency totals are added
+// and weights become true portfolio weights, otherwise weights are relative to each currency bucket.
+export const computePortfolio = (holdings, quotes, fx = null) => {
+  const positions = holdings.map(holding => {
+    const quote = quotes[holding.symbol];
+    const price = quote && typeof quote.price === 'number' ? quote.price : null;
+    const costBasis = holding.quantity * holding.averageCost;
+    const marketValue = price !== null ? holding.quantity * price : null;
+    const unrealisedPnl = marketValue !== null ? marketValue - costBasis : null;
+
+    return {
+      ...holding,
+      price,
+      currency: quote ? quote.currency : null,
+      costBasis,
+      marketValue,
+      unrealisedPnl,
+      unrealisedPnlPercent: unrealisedPnl !== null && costBasis > 0 ? (unrealisedPnl / costBasis) * 100 : null,
+      weight: null
+    };
+  });
+
+  const totals = {};
+  positions.forEach(position => {
+    if (position.marketValue === null) return;
+    const currency = position.currency || 'N/A';
+    if (!totals[currency]) totals[currency] = { currency, costBasis: 0, marketValue: 0, unrealisedPnl: 0, positions: 0 };
+    totals[currency].costBasis += position.costBasis;
+    totals[currency].marketValue += position.marketValue;
+    totals[currency].unrealisedPnl += position.unrealisedPnl;
+    totals[currency].positions++;
+  });
+
+  Object.values(totals).forEach(total => {
+    total.unrealisedPnlPercent = total.costBasis > 0 ? (total.unrealisedPnl / total.costBasis) * 100 : null;
+  });
+
+  // Convert into the base currency when every priced position has a rate
+  const priced = positions.filter(position => position.marketValue !== null);
+  const canConvert = fx && fx.rates && priced.length > 0 && priced.every(position => typeof fx.rates[position.currency] === 'number');
+  let baseTotals = null;
+
+  if (canConvert) {
+    baseTotals = { currency: fx.base, costBasis: 0, marketValue: 0, unrealisedPnl: 0, positions: priced.length };
+    priced.forEach(position => {
+      const rate = fx.rates[position.currency];
+      position.fxRate = rate;
+      position.costBasisBase = position.costBasis * rate;
+      position.marketValueBase = position.marketValue * rate;
+      position.unrealisedPnlBase = position.unrealisedPnl * rate;
+      baseTotals.costBasis += position.costBasisBase;
+      baseTotals.marketValue += position.marketValueBase;
+      baseTotals.unrealisedPnl += position.unrealisedPnlBase;
+    });
+    baseTotals.unrealisedPnlPercent = baseTotals.costBasis > 0 ? (baseTotals.unrealisedPnl / baseTotals.costBasis) * 100 : null;
+  }
+
+  positions.forEach(position => {
+    if (position.marketValue === null) return;
+    if (baseTotals) {
+      position.weight = baseTotals.marketValue > 0 ? (position.marketValueBase / baseTotals.marketValue) * 100 : null;
+      return;
+    }
+    const total = totals[position.currency || 'N/A'];
+    position.weight = total.marketValue > 0 ? (position.marketValue / total.marketValue) * 100 : null;
+  });
+
+  return { positions, totals: Object.values(totals), baseTotals };
+};
@@ -0,0 +1,19 @@
+// /lib/providers/demo.js
+// Seeded demo provider (see lib/demo.js). Enable with MARKET_DATA_PROVIDERS=demo for repeatable offline runs;
+// do not list it after a live provider - failover would then mix demo prices into live responses.
+
+import { DEMO_SEED, DEMO_PROVIDER, DEMO_FIXTURES, generateDemoSnapshot, generateDemoFundamentals } from '../demo.js';
+
+export const createDemoProvider = ({ seed = DEMO_SEED } = {}) => ({
+  name: DEMO_PROVIDER,
+  getQuote: async (resolved) => generateDemoSnapshot(resolved, { seed }),
+  getHistory: async (resolved, { range, start, end } = {}) => generateDemoSnapshot(resolved, { range, start, end, seed }),
+  getFundamentals: async (resolved) => generateDemoFundamentals(resolved, { seed }),
+  search: async (query, { limit = 10 } = {}) => {
+    const needle = query.toUpperCase();
+    return Object.entries(DEMO_FIXTURES)
+      .filter(([symbol, fixture]) => symbol.includes(needle) || fixture.name.toUpperCase().includes(needle))
+      .slice(0, limit)
+      .map(([symbol, fixture]) => ({ symbol, name: fixture.name, exchange: DEMO_PROVIDER, type: 'DEMO', currency: null }));
+  }
+});
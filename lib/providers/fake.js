@@ -0,0 +1,67 @@
+// /lib/providers/fake.js
+// In-memory provider for exercising handlers without network access.
+// fixtures: { [providerSymbol]: snapshot fields (price, currency, points, ..., fundamentals: { marketCap, trailingPE, ... }) },
+// searchResults: [{ symbol, name, ... }]
+
+import { httpError } from '../errors.js';
+
+export const createFakeProvider = ({ name = 'fake', fixtures = {}, searchResults = [], failWith = null } = {}) => {
+  const lookup = async (resolved) => {
+    if (failWith) throw failWith;
+
+    const fixture = fixtures[resolved.provider];
+    if (!fixture) {
+      throw httpError(404, 'Symbol not found', `No data available for symbol: ${resolved.provider}`);
+    }
+
+    return {
+      provider: name,
+      symbol: resolved.provider,
+      currency: 'USD',
+      marketState: 'CLOSED',
+      marketTime: null,
+      points: [],
+      events: { dividends: [], splits: [] },
+      raw: null,
+      ...fixture
+    };
+  };
+
+  const lookupFundamentals = async (resolved) => {
+    const { fundamentals = {}, currency = 'USD' } = await lookup(resolved);
+
+    return {
+      provider: name,
+      symbol: resolved.provider,
+      currency,
+      quoteType: null,
+      marketCap: null,
+      sharesOutstanding: null,
+      trailingPE: null,
+      forwardPE: null,
+      trailingEps: null,
+      forwardEps: null,
+      dividendYield: null,
+      dividendRate: null,
+      beta: null,
+      sector: null,
+      industry: null,
+      raw: null,
+      ...fundamentals
+    };
+  };
+
+  return {
+    name,
+    getQuote: lookup,
+    getHistory: lookup,
+    getFundamentals: lookupFundamentals,
+    search: async (query) => {
+      if (failWith) throw failWith;
+      const needle = query.toUpperCase();
+      return searchResults.filter(result => (
+        result.symbol.toUpperCase().includes(needle) || (result.name || '').toUpperCase().includes(needle)
+      ));
+    }
+  };
+};
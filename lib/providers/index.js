@@ -0,0 +1,72 @@
+// /lib/providers/index.js
+// Market data provider registry with ordered failover.
+//
+// A provider is { name, getQuote(resolved), getHistory(resolved, { range, interval, start, end, events }), search(query, { limit }) }
+// plus an optional getFundamentals(resolved)
+// where `resolved` comes from lib/symbols.js parseSymbol (or lib/exchanges.js resolveSymbol). getQuote/getHistory resolve to a snapshot:
+//   { provider, symbol, currency, exchangeName, marketState, marketTime, price, previousClose,
+//     fiftyTwoWeekHigh, fiftyTwoWeekLow, volume, range, interval, points: [{ time, date, open, high, low, close, adjClose, volume }],
+//     events: { dividends: [{ time, date, amount }], splits: [{ time, date, numerator, denominator, ratio }] }, raw }
+// getFundamentals resolves to { provider, symbol, currency, quoteType, marketCap, sharesOutstanding, trailingPE, forwardPE,
+//   trailingEps, forwardEps, dividendYield (percent), dividendRate, beta, sector, industry, raw } with null for unknown fields.
+// All methods reject with an Error (status 404 for unknown symbols) when they cannot answer.
+
+import { createYahooProvider } from './yahoo.js';
+import { createDemoProvider } from './demo.js';
+
+const available = {
+  yahoo: createYahooProvider,
+  demo: createDemoProvider
+};
+
+// MARKET_DATA_PROVIDERS=yahoo,alphavantage sets the order providers are tried in
+const configuredOrder = () => {
+  const setting = (typeof process !== 'undefined' && process.env && process.env.MARKET_DATA_PROVIDERS) || 'yahoo';
+  return setting.split(',').map(name => name.trim()).filter(name => available[name]);
+};
+
+let providers = null;
+
+export const getProviders = () => {
+  if (!providers) {
+    providers = configuredOrder().map(name => available[name]());
+  }
+  return providers;
+};
+
+// Register a provider factory so it can be named in MARKET_DATA_PROVIDERS
+export const registerProvider = (name, factory) => {
+  available[name] = factory;
+  providers = null;
+};
+
+// Replace the active provider list outright (e.g. with a fake provider in tests)
+export const setProviders = (nextProviders) => {
+  providers = nextProviders;
+};
+
+// Try each provider in order; resolves to { value, provider } from the first that answers.
+// When all fail, an upstream failure is reported in preference to "not found" since a later provider
+// may simply have been unreachable.
+export const callProviders = async (method, ...args) => {
+  const errors = [];
+
+  for (const provider of getProviders()) {
+    if (typeof provider[method] !== 'function') continue;
+
+    try {
+      const value = await provider[method](...args);
+      return { value, provider: provider.name };
+    } catch (error) {
+      console.warn(`Provider ${provider.name} failed ${method}: ${error.message}`);
+      error.provider = provider.name;
+      errors.push(error);
+    }
+  }
+
+  if (errors.length === 0) {
+    throw new Error(`No market data provider supports ${method}`);
+  }
+
+  throw errors.find(error => !error.status || error.status >= 500) || errors[0];
+};
@@ -0,0 +1,287 @@
+// /lib/providers/yahoo.js
+// Yahoo Finance market data provider (v8 chart, v10 quoteSummary and v1 search endpoints)
+// quoteSummary needs a session: a cookie from fc.yahoo.com and the crumb issued for it, cached per instance.
+
+import { httpError } from '../errors.js';
+
+const YAHOO_BASE_URL = 'https://query1.finance.yahoo.com';
+// Any page on this host answers with the session cookie that quoteSummary's crumb is tied to
+const YAHOO_COOKIE_URL = 'https://fc.yahoo.com';
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)';
+const DEFAULT_TIMEOUT_MS = 10000;
+// Yahoo's sessions last far longer; refreshing now and then keeps a warm instance from holding a revoked one
+const SESSION_TTL_MS = 6 * 60 * 60 * 1000;
+
+const fetchWithTimeout = async (url, headers, timeoutMs, options = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      redirect: options.redirect || 'follow',
+      signal: controller.signal,
+      headers: { 'User-Agent': USER_AGENT, ...headers }
+    });
+    // Read before the timer is cleared, so a stalled body is aborted too
+    return { response, body: options.asText ? await response.text() : response.ok ? await response.json() : null };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+// session is { cookie, crumb } for the endpoints that need one (quoteSummary); the others are called without
+const yahooFetch = async (path, params, { timeoutMs = DEFAULT_TIMEOUT_MS, session = null } = {}) => {
+  const query = new URLSearchParams(session ? { ...params, crumb: session.crumb } : params).toString();
+  const url = `${YAHOO_BASE_URL}${path}${query ? `?${query}` : ''}`;
+  const { response, body } = await fetchWithTimeout(url, {
+    'Accept': 'application/json',
+    ...(session ? { 'Cookie': session.cookie } : {})
+  }, timeoutMs);
+
+  if (!response.ok) {
+    const error = new Error(`Yahoo Finance API error: ${response.status} ${response.statusText}`);
+    // Kept apart from error.status, which handlers would pass straight on to the client
+    error.upstreamStatus = response.status;
+    throw error;
+  }
+
+  return body;
+};
+
+// name=value pairs from the Set-Cookie headers, ready to send back as a Cookie header
+const readCookies = (response) => {
+  const headers = typeof response.headers.getSetCookie === 'function'
+    ? response.headers.getSetCookie()
+    : (response.headers.get('set-cookie') || '').split(/,(?=\s*[^;,=\s]+=)/);
+  return headers.map(header => header.split(';')[0].trim()).filter(Boolean).join('; ');
+};
+
+let session = null;
+let pendingSession = null;
+
+// Cookie and crumb for quoteSummary, fetched once and shared by concurrent requests until they expire or are refused
+const getSession = async ({ refresh = false } = {}) => {
+  if (!refresh && session && Date.now() - session.fetchedAt < SESSION_TTL_MS) return session;
+  if (pendingSession) return pendingSession;
+
+  pendingSession = (async () => {
+    // Not following redirects, as the cookie may come on a redirect response and fetch would drop it
+    const { response: cookieResponse } = await fetchWithTimeout(YAHOO_COOKIE_URL, {}, DEFAULT_TIMEOUT_MS, { redirect: 'manual', asText: true });
+    const cookie = readCookies(cookieResponse);
+    if (!cookie) throw new Error('Yahoo Finance API error: no session cookie');
+
+    const { response, body } = await fetchWithTimeout(`${YAHOO_BASE_URL}/v1/test/getcrumb`, { 'Cookie': cookie }, DEFAULT_TIMEOUT_MS, { asText: true });
+    const crumb = body.trim();
+    // A refused request answers with an HTML or JSON error page instead of the short crumb string
+    if (!response.ok || !crumb || /[\s<{]/.test(crumb)) {
+      throw new Error(`Yahoo Finance API error: could not get a crumb (${response.status})`);
+    }
+
+    session = { cookie, crumb, fetchedAt: Date.now() };
+    return session;
+  })();
+
+  try {
+    return await pendingSession;
+  } finally {
+    pendingSession = null;
+  }
+};
+
+// quoteSummary with the session attached; a 401 or 403 means the crumb went stale, so it is renewed and tried once more
+const yahooFetchWithCrumb = async (path, params) => {
+  try {
+    return await yahooFetch(path, params, { session: await getSession() });
+  } catch (error) {
+    if (error.upstreamStatus !== 401 && error.upstreamStatus !== 403) throw error;
+    return yahooFetch(path, params, { session: await getSession({ refresh: true }) });
+  }
+};
+
+// Pull [{ time, date, open, high, low, close, adjClose, volume }] out of a chart result, skipping the null gaps Yahoo
+// leaves for halted days. date is the exchange-local trading date: NZX and (in summer) ASX daily bars are stamped the
+// previous evening in UTC. The offset is today's, which is close enough as bars are stamped around the open.
+const extractPoints = (result) => {
+  const timestamps = result.timestamp || [];
+  const offsetMs = (result.meta && result.meta.gmtoffset ? result.meta.gmtoffset : 0) * 1000;
+  const quote = (result.indicators && result.indicators.quote && result.indicators.quote[0]) || {};
+  const adjusted = (result.indicators && result.indicators.adjclose && result.indicators.adjclose[0]) || {};
+  const closes = quote.close || [];
+  const pick = (series, index) => (series ? series[index] : null);
+
+  return timestamps
+    .map((timestamp, index) => ({
+      time: timestamp * 1000,
+      date: new Date(timestamp * 1000 + offsetMs).toISOString().slice(0, 10),
+      open: pick(quote.open, index),
+      high: quote.high ? quote.high[index] : closes[index],
+      low: quote.low ? quote.low[index] : closes[index],
+      close: closes[index],
+      adjClose: adjusted.adjclose ? adjusted.adjclose[index] : closes[index],
+      volume: pick(quote.volume, index)
+    }))
+    .filter(point => typeof point.close === 'number' && !isNaN(point.close));
+};
+
+// Yahoo keys events by timestamp: { dividends: { [ts]: { amount, date } }, splits: { [ts]: { date, numerator, denominator } } }
+// Events carry the same exchange-local date as the bar they fall on.
+const extractEvents = (result) => {
+  const events = result.events || {};
+  const offsetMs = (result.meta && result.meta.gmtoffset ? result.meta.gmtoffset : 0) * 1000;
+  const localDate = (timestamp) => new Date(timestamp * 1000 + offsetMs).toISOString().slice(0, 10);
+  const byTime = (a, b) => a.time - b.time;
+
+  return {
+    dividends: Object.values(events.dividends || {})
+      .map(dividend => ({ time: dividend.date * 1000, date: localDate(dividend.date), amount: dividend.amount }))
+      .sort(byTime),
+    splits: Object.values(events.splits || {})
+      .map(split => ({
+        time: split.date * 1000,
+        date: localDate(split.date),
+        numerator: split.numerator,
+        denominator: split.denominator,
+        ratio: split.splitRatio || `${split.numerator}:${split.denominator}`
+      }))
+      .sort(byTime)
+  };
+};
+
+// Close of the session before the last bar's. meta.previousClose only comes with the default 1d window; for longer
+// windows Yahoo sends chartPreviousClose instead, which is the close before the window starts (years back for
+// range=5y), so the previous session is read off the bars - by exchange-local date, which also covers intraday bars.
+// Null when every bar is from the same session, where chartPreviousClose is the previous session's close.
+const previousSessionClose = (points, gmtOffsetSeconds) => {
+  const localDay = (time) => Math.floor((time / 1000 + (gmtOffsetSeconds || 0)) / 86400);
+  const lastDay = points.length > 0 ? localDay(points[points.length - 1].time) : null;
+
+  for (let index = points.length - 2; index >= 0; index--) {
+    if (localDay(points[index].time) < lastDay) return points[index].close;
+  }
+  return null;
+};
+
+// start/end (epoch ms) take precedence over range; events='div,splits' adds dividend and split history
+const getHistory = async (resolved, { range, interval, start, end, events } = {}) => {
+  const params = {};
+  if (start) {
+    params.period1 = Math.floor(start / 1000);
+    params.period2 = Math.floor((end || Date.now()) / 1000);
+  } else if (range) {
+    params.range = range;
+  }
+  if (interval) params.interval = interval;
+  if (events) {
+    params.events = events;
+    params.includeAdjustedClose = 'true';
+  }
+
+  const data = await yahooFetch(`/v8/finance/chart/${encodeURIComponent(resolved.provider)}`, params);
+
+  if (!data.chart || !data.chart.result || !data.chart.result[0]) {
+    throw httpError(404, 'Symbol not found', `No data available for symbol: ${resolved.provider}`);
+  }
+
+  const result = data.chart.result[0];
+  const meta = result.meta;
+
+  if (!meta || typeof meta.regularMarketPrice === 'undefined') {
+    throw httpError(404, 'No market data', `Market data not available for symbol: ${resolved.provider}`);
+  }
+
+  const points = extractPoints(result);
+  const previousClose = typeof meta.previousClose === 'number'
+    ? meta.previousClose
+    : previousSessionClose(points, meta.gmtoffset) || meta.chartPreviousClose;
+
+  return {
+    provider: 'yahoo',
+    symbol: meta.symbol || resolved.provider,
+    currency: meta.currency,
+    exchangeName: meta.fullExchangeName || meta.exchangeName,
+    marketState: meta.marketState,
+    marketTime: meta.regularMarketTime ? new Date(meta.regularMarketTime * 1000).toISOString() : null,
+    price: meta.regularMarketPrice,
+    previousClose,
+    fiftyTwoWeekHigh: meta.fiftyTwoWeekHigh,
+    fiftyTwoWeekLow: meta.fiftyTwoWeekLow,
+    volume: meta.regularMarketVolume,
+    range: meta.range,
+    interval: meta.dataGranularity,
+    points,
+    events: extractEvents(result),
+    raw: data.chart
+  };
+};
+
+const FUNDAMENTAL_MODULES = ['price', 'summaryDetail', 'defaultKeyStatistics', 'assetProfile'];
+
+// quoteSummary wraps numbers as { raw, fmt } (or {} when missing); returns the first field that holds a number
+const rawValue = (...fields) => {
+  for (const field of fields) {
+    const value = field && typeof field === 'object' ? field.raw : field;
+    if (typeof value === 'number' && !isNaN(value)) return value;
+  }
+  return null;
+};
+
+const getFundamentals = async (resolved) => {
+  // quoteSummary refuses requests without a session cookie and its crumb ("Invalid Crumb")
+  const data = await yahooFetchWithCrumb(`/v10/finance/quoteSummary/${encodeURIComponent(resolved.provider)}`, {
+    modules: FUNDAMENTAL_MODULES.join(',')
+  });
+
+  const result = data.quoteSummary && data.quoteSummary.result && data.quoteSummary.result[0];
+  if (!result) {
+    throw httpError(404, 'Symbol not found', `No fundamentals available for symbol: ${resolved.provider}`);
+  }
+
+  const price = result.price || {};
+  const summary = result.summaryDetail || {};
+  const statistics = result.defaultKeyStatistics || {};
+  const profile = result.assetProfile || {};
+  const dividendYield = rawValue(summary.dividendYield);
+
+  return {
+    provider: 'yahoo',
+    symbol: price.symbol || resolved.provider,
+    currency: price.currency || summary.currency || null,
+    quoteType: price.quoteType || null,
+    marketCap: rawValue(price.marketCap, summary.marketCap),
+    sharesOutstanding: rawValue(statistics.sharesOutstanding),
+    trailingPE: rawValue(summary.trailingPE),
+    forwardPE: rawValue(summary.forwardPE, statistics.forwardPE),
+    trailingEps: rawValue(statistics.trailingEps),
+    forwardEps: rawValue(statistics.forwardEps),
+    // Yahoo reports the yield as a fraction; snapshots carry percent like the performance figures
+    dividendYield: dividendYield === null ? null : Math.round(dividendYield * 1000000) / 10000,
+    dividendRate: rawValue(summary.dividendRate),
+    beta: rawValue(summary.beta, statistics.beta),
+    sector: profile.sector || null,
+    industry: profile.industry || null,
+    raw: data.quoteSummary
+  };
+};
+
+const search = async (query, { limit = 10 } = {}) => {
+  const data = await yahooFetch('/v1/finance/search', { q: query, quotesCount: limit, newsCount: 0 });
+
+  return (data.quotes || [])
+    .filter(quote => quote.symbol)
+    .map(quote => ({
+      symbol: quote.symbol,
+      name: quote.longname || quote.shortname || quote.symbol,
+      exchange: quote.exchDisp || quote.exchange,
+      type: quote.quoteType,
+      currency: quote.currency || null
+    }));
+};
+
+export const createYahooProvider = () => ({
+  name: 'yahoo',
+  // The default chart window carries the live quote fields in its meta block
+  getQuote: (resolved) => getHistory(resolved),
+  getHistory,
+  getFundamentals,
+  search
+});
@@ -0,0 +1,89 @@
+// /lib/rateLimit.js
+// Token-bucket rate limiter with a pluggable store.
+//
+// Each caller (an API key, or a client address for anonymous access) owns a bucket holding up to `capacity` tokens
+// that refills at `refillPerSecond`. A request spends one token; an empty bucket means 429 until the next token is due.
+//
+// Store interface (all methods async so a Redis-like store can be dropped in):
+//   get(id)                   -> { tokens, updatedAt } | null
+//   set(id, bucket, ttlMs)    -> stores the bucket, may evict once ttlMs has passed
+//   take(id, limit)           -> optional; spends a token atomically and returns the takeToken() result. Stores shared
+//                                between instances should provide it, as get-then-set lets concurrent requests overspend.
+// The default store is an in-memory map, so limits are per serverless instance while it stays warm.
+
+const DEFAULT_MAX_BUCKETS = 5000;
+
+export const createMemoryRateLimitStore = ({ maxBuckets = DEFAULT_MAX_BUCKETS } = {}) => {
+  const buckets = new Map();
+
+  return {
+    name: 'memory',
+    async get(id) {
+      const item = buckets.get(id);
+      if (!item) return null;
+      if (item.expiresAt <= Date.now()) {
+        buckets.delete(id);
+        return null;
+      }
+      return item.bucket;
+    },
+    async set(id, bucket, ttlMs) {
+      buckets.delete(id);
+      buckets.set(id, { bucket, expiresAt: Date.now() + ttlMs });
+      // Oldest-written buckets go first; an evicted caller simply starts again with a full bucket
+      while (buckets.size > maxBuckets) {
+        buckets.delete(buckets.keys().next().value);
+      }
+    },
+    get size() {
+      return buckets.size;
+    }
+  };
+};
+
+let store = createMemoryRateLimitStore();
+
+export const getRateLimitStore = () => store;
+
+// Swap the backing store, e.g. setRateLimitStore(createRedisRateLimitStore(client))
+export const setRateLimitStore = (nextStore) => {
+  store = nextStore;
+};
+
+// Refill a bucket for the time since it was last touched and try to spend one token. Pure, so stores implementing
+// take() can reuse it inside their own transaction.
+export const spendToken = (bucket, { capacity, refillPerSecond }, now = Date.now()) => {
+  const elapsedSeconds = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+  const available = bucket ? Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond) : capacity;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    limit: capacity,
+    remaining: Math.floor(tokens),
+    // Seconds until the next whole token - what Retry-After should say when the request is refused
+    retryAfterSeconds: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond),
+    // Seconds until the bucket is full again
+    resetSeconds: Math.ceil((capacity - tokens) / refillPerSecond)
+  };
+};
+
+// Spend a token from the caller's bucket. Returns { allowed, limit, remaining, retryAfterSeconds, resetSeconds }.
+// A failing store lets the request through - the limiter protects the upstream quota, it must not take the API down.
+export const takeToken = async (id, limit) => {
+  try {
+    if (typeof store.take === 'function') {
+      return await store.take(id, limit);
+    }
+
+    const result = spendToken(await store.get(id), limit);
+    // Keep the bucket until it would have refilled anyway; after that a fresh bucket is the same thing
+    await store.set(id, result.bucket, Math.max(1000, result.resetSeconds * 1000));
+    return result;
+  } catch (error) {
+    console.error(`Rate limit store failed for ${id}:`, error.message);
+    return { allowed: true, limit: limit.capacity, remaining: null, retryAfterSeconds: 0, resetSeconds: 0 };
+  }
+};
@@ -0,0 +1,179 @@
+// /lib/recommendation.js
+// Deterministic, rule-based BUY / HOLD / WAIT / SELL rating.
+// Each rule looks at the share's metrics and either returns null (did not fire) or a { score, detail } contribution.
+// The summed score is mapped onto a rating through configurable thresholds.
+
+export const RATINGS = ['BUY', 'HOLD', 'WAIT', 'SELL'];
+
+export const DEFAULT_THRESHOLDS = {
+  // Score cut-offs: score >= buy -> BUY, >= hold -> HOLD, >= wait -> WAIT, otherwise SELL
+  buy: 2,
+  hold: 0,
+  wait: -2,
+
+  // Rule parameters (percentages)
+  strongYearReturn: 10,
+  weakYearReturn: -15,
+  strongQuarterReturn: 5,
+  weakQuarterReturn: -10,
+  strongThreeYearReturn: 20,
+  weakThreeYearReturn: -20,
+  nearLowPercent: 15,
+  nearHighPercent: 5,
+  // Return over the benchmark window minus the benchmark's return
+  strongExcessReturn: 10,
+  weakExcessReturn: -10,
+
+  // Technical indicator levels
+  rsiOverbought: 70,
+  rsiOversold: 30
+};
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+const pct = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+// Rules run in order; the id is stable so callers can filter or replace individual rules
+export const DEFAULT_RULES = [
+  {
+    id: 'year-momentum',
+    label: '1-year momentum',
+    evaluate: ({ performance }, t) => {
+      const value = performance && performance['1Y'];
+      if (!isNumber(value)) return null;
+      if (value > t.strongYearReturn) return { score: 2, detail: `1Y return ${pct(value)} above ${pct(t.strongYearReturn)}` };
+      if (value < t.weakYearReturn) return { score: -2, detail: `1Y return ${pct(value)} below ${pct(t.weakYearReturn)}` };
+      return null;
+    }
+  },
+  {
+    id: 'quarter-momentum',
+    label: '3-month momentum',
+    evaluate: ({ performance }, t) => {
+      const value = performance && performance['3M'];
+      if (!isNumber(value)) return null;
+      if (value > t.strongQuarterReturn) return { score: 1, detail: `3M return ${pct(value)} above ${pct(t.strongQuarterReturn)}` };
+      if (value < t.weakQuarterReturn) return { score: -1, detail: `3M return ${pct(value)} below ${pct(t.weakQuarterReturn)}` };
+      return null;
+    }
+  },
+  {
+    id: 'long-term-trend',
+    label: '3-year trend',
+    evaluate: ({ performance }, t) => {
+      const value = performance && performance['3Y'];
+      if (!isNumber(value)) return null;
+      if (value > t.strongThreeYearReturn) return { score: 1, detail: `3Y return ${pct(value)} above ${pct(t.strongThreeYearReturn)}` };
+      if (value < t.weakThreeYearReturn) return { score: -1, detail: `3Y return ${pct(value)} below ${pct(t.weakThreeYearReturn)}` };
+      return null;
+    }
+  },
+  {
+    id: 'benchmark-relative',
+    label: 'Relative to benchmark',
+    evaluate: ({ benchmark }, t) => {
+      const value = benchmark && benchmark.excessReturn;
+      if (!isNumber(value)) return null;
+      if (value > t.strongExcessReturn) return { score: 1, detail: `Excess return ${pct(value)} vs ${benchmark.symbol} above ${pct(t.strongExcessReturn)} - outperforming` };
+      if (value < t.weakExcessReturn) return { score: -1, detail: `Excess return ${pct(value)} vs ${benchmark.symbol} below ${pct(t.weakExcessReturn)} - lagging the market` };
+      return null;
+    }
+  },
+  {
+    id: 'near-52-week-low',
+    label: 'Near 52-week low',
+    evaluate: ({ price, low52Week }, t) => {
+      if (!isNumber(price) || !isNumber(low52Week) || low52Week <= 0) return null;
+      if (price < low52Week * (1 + t.nearLowPercent / 100)) {
+        return { score: 1, detail: `Price within ${t.nearLowPercent}% of 52-week low - potential value entry` };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'near-52-week-high',
+    label: 'Near 52-week high',
+    evaluate: ({ price, high52Week }, t) => {
+      if (!isNumber(price) || !isNumber(high52Week) || high52Week <= 0) return null;
+      if (price > high52Week * (1 - t.nearHighPercent / 100)) {
+        return { score: -1, detail: `Price within ${t.nearHighPercent}% of 52-week high - extended entry` };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'rsi',
+    label: 'RSI(14)',
+    evaluate: ({ indicators }, t) => {
+      const value = indicators && indicators.rsi14;
+      if (!isNumber(value)) return null;
+      if (value > t.rsiOverbought) return { score: -1, detail: `RSI ${value.toFixed(1)} overbought (above ${t.rsiOverbought})` };
+      if (value < t.rsiOversold) return { score: 1, detail: `RSI ${value.toFixed(1)} oversold (below ${t.rsiOversold})` };
+      return null;
+    }
+  },
+  {
+    id: 'sma-200-trend',
+    label: '200-day SMA trend',
+    evaluate: ({ price, indicators }) => {
+      const value = indicators && indicators.sma200;
+      if (!isNumber(price) || !isNumber(value) || value <= 0) return null;
+      const distance = ((price - value) / value) * 100;
+      if (distance >= 0) return { score: 1, detail: `Price ${pct(distance)} above 200-day SMA (${value.toFixed(2)}) - long-term uptrend` };
+      return { score: -1, detail: `Price ${pct(distance)} below 200-day SMA (${value.toFixed(2)}) - long-term downtrend` };
+    }
+  },
+  {
+    id: 'bollinger',
+    label: 'Bollinger Bands',
+    evaluate: ({ price, indicators }) => {
+      if (!indicators || !isNumber(price)) return null;
+      const { bollingerUpper, bollingerLower } = indicators;
+      if (isNumber(bollingerUpper) && price > bollingerUpper) {
+        return { score: -1, detail: `Price above upper Bollinger Band (${bollingerUpper.toFixed(2)}) - stretched` };
+      }
+      if (isNumber(bollingerLower) && price < bollingerLower) {
+        return { score: 1, detail: `Price below lower Bollinger Band (${bollingerLower.toFixed(2)}) - stretched to the downside` };
+      }
+      return null;
+    }
+  }
+];
+
+export const ratingForScore = (score, thresholds = DEFAULT_THRESHOLDS) => {
+  if (score >= thresholds.buy) return 'BUY';
+  if (score >= thresholds.hold) return 'HOLD';
+  if (score >= thresholds.wait) return 'WAIT';
+  return 'SELL';
+};
+
+// metrics: { price, previousClose, high52Week, low52Week, performance: { '1M', '3M', ..., '3Y' }, indicators, benchmark } with raw numbers
+// (indicators is the `latest` object from lib/indicators.js computeIndicators, benchmark the stats from lib/benchmark.js plus its symbol)
+// options: { thresholds, rules } - partial thresholds are merged over the defaults
+// Returns { rating, score, rules: [{ id, label, score, detail }] }
+export const rateShare = (metrics, options = {}) => {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+  const rules = options.rules || DEFAULT_RULES;
+
+  if (!metrics || !isNumber(metrics.price)) {
+    return {
+      rating: 'WAIT',
+      score: 0,
+      rules: [{ id: 'no-data', label: 'No data', score: 0, detail: 'No price data available for analysis' }]
+    };
+  }
+
+  const fired = rules
+    .map(rule => {
+      const outcome = rule.evaluate(metrics, thresholds);
+      return outcome ? { id: rule.id, label: rule.label, ...outcome } : null;
+    })
+    .filter(outcome => outcome !== null);
+
+  const score = fired.reduce((total, outcome) => total + outcome.score, 0);
+
+  return {
+    rating: ratingForScore(score, thresholds),
+    score,
+    rules: fired
+  };
+};
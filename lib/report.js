@@ -0,0 +1,446 @@
+// /lib/report.js
+// Renderers for the structured analysis report that FinMaster builds (summary, per-symbol metrics, rating and
+// narrative). The on-screen report and every export come from the same object:
+// Markdown (with or without badge/chart directives), standalone print-ready HTML, CSV of the table and JSON.
+
+import { escapeMarkdown, escapeHtml, renderMarkdownHtml } from './markdown.js';
+import { csvCell } from './history.js';
+import { PERFORMANCE_PERIODS } from './performance.js';
+
+export const REPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown;charset=utf-8' },
+  html: { extension: 'html', mimeType: 'text/html;charset=utf-8' },
+  csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  json: { extension: 'json', mimeType: 'application/json;charset=utf-8' }
+};
+
+const API_STATUS_LABELS = {
+  demo: '🧪 Demo mode - API not called',
+  connected: '✅ Connected',
+  unreachable: '❌ Unreachable'
+};
+
+const STATUS_LABELS = {
+  live: '✅ LIVE',
+  cached: '⚠️ CACHED',
+  demo: '⚠️ DEMO'
+};
+
+const formatAmount = (value) => {
+  const parsed = parseFloat(value);
+  return (isNaN(parsed) ? 0 : parsed).toFixed(2);
+};
+
+const formatPercent = (value, decimals = 1) => {
+  return typeof value === 'number' && !isNaN(value) ? `${value.toFixed(decimals)}%` : 'N/A';
+};
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+const bullets = (lines) => lines.map(line => `• ${line}`);
+
+// finmaster-report-2024-12-31-1530.md
+export const reportFileName = (report, format) => {
+  const stamp = report.generatedAt.slice(0, 16).replace('T', '-').replace(':', '');
+  return `finmaster-report-${stamp}.${REPORT_FORMATS[format].extension}`;
+};
+
+const headerLines = (report) => [
+  `# ${report.title}`,
+  `*Generated: ${new Date(report.generatedAt).toLocaleString()} | Investment Horizon: ${report.horizon}*`,
+  `*Data Source: ${report.demo ? `⚠️ DEMO DATA - seeded prices as of ${report.demo.asOf}, not live market data` : 'FinMaster API Integration'}*`
+];
+
+const dataQualityLines = ({ dataQuality }) => [
+  '## Data Quality Summary',
+  ...bullets([
+    `**Live Market Data**: ${dataQuality.live} symbols`,
+    `**Demo Data (Demo Mode)**: ${dataQuality.demo} symbols`,
+    `**Failed (No Data)**: ${dataQuality.failed} symbols`,
+    `**Cached Data (Upstream Unavailable)**: ${dataQuality.stale} symbols`,
+    `**Total Analyzed**: ${dataQuality.total} symbols`,
+    `**API Status**: ${API_STATUS_LABELS[dataQuality.apiStatus]}`
+  ])
+];
+
+const currencyLines = ({ currency }) => {
+  const rates = currency.rates.length > 0
+    ? currency.rates.map(entry => `1 ${entry.currency} = ${entry.rate.toPrecision(6)} ${currency.base}${entry.fxSymbol ? ` (${entry.fxSymbol}, as of ${new Date(entry.timestamp).toLocaleString()})` : ' (same currency)'}`)
+    : ['No FX rates available - figures shown in quote currency only'];
+
+  return [
+    '## Currency Conversion',
+    ...bullets([
+      `**Base Currency**: ${currency.base || 'N/A'}`,
+      ...rates,
+      ...(currency.error ? [`⚠️ FX lookup failed: ${escapeMarkdown(currency.error)}`] : [])
+    ])
+  ];
+};
+
+const inputLines = ({ input }) => [
+  '## Symbol Processing Summary',
+  ...bullets([
+    `**Original Input**: ${input.mode === 'portfolio' ? `${input.lineCount} holdings lines (portfolio mode)` : escapeMarkdown(input.original)}`,
+    `**Cleaned Symbols**: ${input.cleaned.join(', ')}`,
+    `**Valid Symbols Found**: ${input.cleaned.length}`,
+    `**Invalid/Removed**: ${input.invalidCount}`,
+    ...input.rejected.map(entry => (entry.line
+      ? `Line ${entry.line} rejected: ${escapeMarkdown(entry.message)}`
+      : `"${escapeMarkdown(entry.input)}" rejected (${entry.code}): ${escapeMarkdown(entry.message)}`))
+  ])
+];
+
+const badge = (rating, { badges }) => (badges ? `{{badge:${rating}}}` : `**${rating}**`);
+
+const recommendationLines = (report, options) => [
+  '## Investment Recommendations',
+  '',
+  '| **Share** | **Latest Price** | **Market Cap** | **P/E** | **Div. Yield** | **Volume** | **52-Week Range** | **Day Change** | **YTD** | **1-Year Perf.** | **3-Year Perf.** | **vs Benchmark (1Y)** | **Beta / Corr. / TE** | **Exchange** | **Recommendation** |',
+  '|-----------|------------------|----------------|---------|----------------|------------|-------------------|----------------|---------|------------------|------------------|-----------------------|-----------------------|--------------|-------------------|',
+  ...report.shares.map(share => {
+    if (share.status === 'error') {
+      return `| **${share.symbol}** | **NO DATA** | N/A | N/A | N/A | N/A | N/A | N/A | N/A | N/A | N/A | N/A | N/A | ${share.exchange ? escapeMarkdown(share.exchange) : 'N/A'} | **N/A** |`;
+    }
+
+    const { currency, display, base } = share;
+    const priceDisplay = share.status === 'demo' ? `${currency} ${display.price} ⚠️` : `${currency} ${display.price}`;
+    const basePrice = base && base.isConverted ? ` (${base.currency} ${base.price})` : '';
+    const baseRange = base && base.isConverted ? ` (${base.currency} ${base.low52Week} - ${base.high52Week})` : '';
+    const relative = display.benchmark
+      ? `${display.benchmark.excessReturn} vs ${display.benchmark.symbol}`
+      : 'N/A';
+    const tracking = display.benchmark
+      ? `${display.benchmark.beta} / ${display.benchmark.correlation} / ${display.benchmark.trackingError}`
+      : 'N/A';
+
+    return `| **${share.symbol}** | **${priceDisplay}**${basePrice} | ${display.marketCap} | ${display.fundamentals.trailingPE} | ${display.fundamentals.dividendYield} | ${display.volume} | ${currency} ${display.low52Week} - ${currency} ${display.high52Week}${baseRange} | ${display.dayChange} | ${display.performance.YTD} | ${display.yearPerformance} | ${display.performance['3Y']} | ${relative} | ${tracking} | ${escapeMarkdown(share.exchange)} | ${badge(share.rating.rating, options)} |`;
+  }),
+  // Reports saved before dividends were tracked have price-only performance
+  ...(report.shares.some(share => share.display && share.display.dividends)
+    ? ['', '*YTD, 1-year and 3-year performance are total returns - dividends reinvested and adjusted for splits.*']
+    : []),
+  ...(report.benchmark && report.benchmark.symbols.length > 0
+    ? ['', `*vs Benchmark is the ${report.benchmark.range} return in excess of the benchmark index (${report.benchmark.symbols.join(', ')}); beta, correlation and annualised tracking error are from daily returns over the same period.*`]
+    : [])
+];
+
+const portfolioLines = (report) => {
+  const { portfolio } = report;
+  if (!portfolio) return [];
+
+  const baseTotals = portfolio.baseTotals;
+  const simulated = new Set(report.shares.filter(share => share.status === 'demo').map(share => share.symbol));
+  const totalLine = (label, total) => `${label}: Market Value ${total.currency} ${formatAmount(total.marketValue)} | Cost Basis ${total.currency} ${formatAmount(total.costBasis)} | Unrealised P&L ${total.currency} ${formatAmount(total.unrealisedPnl)} (${formatPercent(total.unrealisedPnlPercent, 2)})`;
+
+  return [
+    '## Portfolio Holdings',
+    '',
+    `| **Share** | **Quantity** | **Avg Cost** | **Latest Price** | **Cost Basis** | **Market Value** | **Value (${baseTotals ? baseTotals.currency : 'Base'})** | **Unrealised P&L** | **P&L %** | **Weight** | **Held Since** |`,
+    '|-----------|--------------|--------------|------------------|----------------|------------------|----------------|--------------------|-----------|------------|----------------|',
+    ...portfolio.positions.map(position => {
+      const currency = position.currency || '';
+      const money = (value) => (value === null ? 'N/A' : `${currency} ${formatAmount(value)}`);
+
+      return `| **${position.symbol}** | ${position.quantity.toLocaleString()} | ${money(position.averageCost)} | ${money(position.price)}${simulated.has(position.symbol) ? ' ⚠️' : ''} | ${money(position.costBasis)} | ${money(position.marketValue)} | ${position.marketValueBase !== undefined ? `${baseTotals.currency} ${formatAmount(position.marketValueBase)}` : 'N/A'} | ${money(position.unrealisedPnl)} | ${formatPercent(position.unrealisedPnlPercent, 2)} | ${formatPercent(position.weight)} | ${position.purchaseDate || 'N/A'} |`;
+    }),
+    '',
+    '**Portfolio Totals:**',
+    ...bullets([
+      ...(portfolio.totals.length > 0
+        ? portfolio.totals.map(total => totalLine(`${total.currency} (${total.positions} positions)`, total))
+        : ['No priced positions']),
+      ...(baseTotals
+        ? [`${totalLine(`**Total in ${baseTotals.currency}**`, baseTotals)} - weights are share of this total`]
+        : portfolio.totals.length > 1 ? ['FX rates unavailable - totals are shown per currency and weights are relative to each currency bucket'] : [])
+    ])
+  ];
+};
+
+const ratio = (value) => (typeof value === 'number' ? value.toFixed(2) : 'N/A');
+
+const riskCells = (stats) => (stats && typeof stats.volatility === 'number'
+  ? [formatPercent(stats.volatility), formatPercent(stats.maxDrawdown), ratio(stats.sharpe), ratio(stats.sortino), formatPercent(stats.historicalVar, 2), formatPercent(stats.parametricVar, 2)]
+  : ['N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'N/A']);
+
+// Correlation shading for exports without the interactive heatmap
+const correlationShade = (value) => {
+  if (typeof value !== 'number') return 'N/A';
+  const shade = value >= 0.7 ? '🟥' : value >= 0.3 ? '🟧' : value > -0.3 ? '⬜' : '🟦';
+  return `${shade} ${value.toFixed(2)}`;
+};
+
+const correlationLines = ({ correlation, range }, options) => {
+  if (!correlation || correlation.symbols.length < 2) return [];
+
+  return [
+    '',
+    `**Correlation Matrix (daily returns, ${range}):**`,
+    ...(options.charts
+      ? ['', '{{correlation-heatmap}}']
+      : [
+        '',
+        `| | ${correlation.symbols.map(symbol => `**${symbol}**`).join(' | ')} |`,
+        `|---|${correlation.symbols.map(() => '---').join('|')}|`,
+        ...correlation.symbols.map((symbol, row) => `| **${symbol}** | ${correlation.matrix[row].map(correlationShade).join(' | ')} |`),
+        '',
+        '*🟥 0.7 and above - move together | 🟧 0.3 to 0.7 | ⬜ -0.3 to 0.3 - largely independent | 🟦 below -0.3 - tend to offset*'
+      ])
+  ];
+};
+
+const riskLines = (report, options) => {
+  const { risk } = report;
+  if (!risk) return [];
+  if (risk.error) return ['## Risk Analysis', '', `⚠️ Risk analytics unavailable: ${escapeMarkdown(risk.error)}`];
+
+  const confidence = `${Math.round(risk.confidence * 100)}%`;
+  const { portfolio } = risk;
+  const weights = portfolio && portfolio.weights
+    ? Object.entries(portfolio.weights).map(([symbol, weight]) => `${symbol} ${formatPercent(weight)}`).join(', ')
+    : null;
+
+  return [
+    '## Risk Analysis',
+    '',
+    `| **Share** | **Volatility (ann.)** | **Max Drawdown** | **Sharpe** | **Sortino** | **1-Day VaR ${confidence} (Hist.)** | **1-Day VaR ${confidence} (Param.)** |`,
+    '|-----------|-----------------------|------------------|------------|-------------|---------------------------|----------------------------|',
+    ...report.shares
+      .filter(share => share.status !== 'error')
+      .map(share => `| **${share.symbol}** | ${riskCells(share.metrics.risk).join(' | ')} |`),
+    ...(portfolio ? [`| **Whole list** | ${riskCells(portfolio).join(' | ')} |`] : []),
+    '',
+    ...bullets([
+      `Daily returns over ${risk.range}, each symbol in its own quote currency; volatility and Sharpe/Sortino are annualised (risk-free rate ${formatPercent(risk.riskFreeRate)})`,
+      `VaR is the one-day loss not exceeded on ${confidence} of days - historical from the observed returns, parametric from a normal distribution`,
+      ...(weights ? [`Whole list: ${risk.weighting === 'holdings' ? 'holdings by market value' : 'equal weights'}, rebalanced daily (${weights})`] : []),
+      ...(portfolio && portfolio.currencies && portfolio.currencies.length > 1
+        ? [`⚠️ The list mixes ${portfolio.currencies.join(', ')} - whole-list figures ignore exchange-rate moves`]
+        : [])
+    ]),
+    ...correlationLines(risk, options)
+  ];
+};
+
+const failedShareLines = (share) => [
+  `### ${share.symbol} - ❌ NO DATA`,
+  `*Exchange: ${share.exchange ? escapeMarkdown(share.exchange) : 'N/A'} | Yahoo Symbol: ${share.providerSymbol}*`,
+  '',
+  '**No recommendation** - market data could not be fetched, so this symbol was not rated.',
+  `**Error Details:** ${escapeMarkdown(share.error)}`,
+  '',
+  '---'
+];
+
+const shareLines = (share, report, options) => {
+  if (share.status === 'error') return failedShareLines(share);
+
+  const { currency, display, base, rating, narrative } = share;
+
+  return [
+    `### ${share.symbol} - ${currency} ${display.price} ${STATUS_LABELS[share.status]}`,
+    `*Exchange: ${escapeMarkdown(share.exchange)} | Yahoo Symbol: ${share.providerSymbol} | Source: ${share.dataProvider} | Updated: ${share.updated}*`,
+    `*${share.sector ? `Sector: ${escapeMarkdown(share.sector)}${share.industry ? ` (${escapeMarkdown(share.industry)})` : ''} | ` : ''}Market Cap: ${display.marketCap} | Volume: ${display.volume}*`,
+    '',
+    `**Recommendation:** ${badge(rating.rating, options)} (score ${signed(rating.score)})`,
+    '',
+    '**Rating Rules Applied:**',
+    ...bullets(rating.rules.length > 0
+      ? rating.rules.map(rule => `${rule.label} (${signed(rule.score)}): ${rule.detail}`)
+      : ['No rules fired - neutral outlook']),
+    '',
+    '**Comprehensive Price Analysis:**',
+    ...bullets([
+      `Current Price: ${currency} ${display.price}`,
+      `Previous Close: ${currency} ${display.previousClose}`,
+      `52-Week High: ${currency} ${display.high52Week}`,
+      `52-Week Low: ${currency} ${display.low52Week}`,
+      ...(base && base.isConverted
+        ? [`In ${base.currency}: ${base.currency} ${base.price} (52-week ${base.currency} ${base.low52Week} - ${base.currency} ${base.high52Week}) at ${base.rate.toPrecision(6)}`]
+        : []),
+      `Historical Range (${display.historyRange}): ${currency} ${display.historyLow} - ${currency} ${display.historyHigh}`,
+      `Day Change: ${display.dayChange}`,
+      `1-Year Performance: ${display.yearPerformance}${display.pricePerformance ? ` total return (${display.pricePerformance['1Y']} price only)` : ''}`,
+      `Daily Volume: ${display.volume}`
+    ]),
+    '',
+    '**Valuation & Fundamentals:**',
+    ...bullets([
+      `Market Capitalization: ${display.marketCap}`,
+      `P/E Ratio: ${display.fundamentals.trailingPE} trailing | ${display.fundamentals.forwardPE} forward`,
+      `EPS (TTM): ${display.fundamentals.eps}`,
+      `Dividend Yield: ${display.fundamentals.dividendYield}`,
+      `Beta: ${display.fundamentals.beta}`
+    ]),
+    '',
+    ...(display.dividends
+      ? [
+        '**Dividends & Corporate Actions:**',
+        ...bullets([
+          `Trailing Yield: ${display.dividends.trailingYield}`,
+          `Last Ex-Date: ${display.dividends.lastExDate} | Next Ex-Date: ${display.dividends.nextExDate}`,
+          `Dividend Growth: ${display.dividends.growth}`,
+          `Last Split: ${display.dividends.lastSplit}`
+        ]),
+        ''
+      ]
+      : []),
+    ...(display.benchmark
+      ? [
+        `**Benchmark Comparison (${display.benchmark.symbol}, ${display.benchmark.range}):**`,
+        ...bullets([
+          `Share Return: ${display.benchmark.shareReturn} | Benchmark Return: ${display.benchmark.benchmarkReturn}`,
+          `Excess Return: ${display.benchmark.excessReturn}`,
+          `Beta: ${display.benchmark.beta} | Correlation: ${display.benchmark.correlation}`,
+          `Tracking Error: ${display.benchmark.trackingError} (annualised)`,
+          `Alpha: ${display.benchmark.alpha} a year | Information Ratio: ${display.benchmark.informationRatio}`
+        ]),
+        ''
+      ]
+      : []),
+    display.dividends ? '**Trailing Performance (total return):**' : '**Trailing Performance:**',
+    PERFORMANCE_PERIODS.map(({ key }) => `${key}: ${display.performance[key]}`).join(' | '),
+    '',
+    '**Technical Position:**',
+    narrative.position,
+    ...bullets(narrative.indicators),
+    narrative.momentum,
+    ...(narrative.relative ? [narrative.relative] : []),
+    '',
+    `**${narrative.thesis.title}:** ${narrative.thesis.text}`,
+    '',
+    '**Risk Assessment:**',
+    ...bullets(narrative.risks.map(risk => `${risk.label}: ${risk.value}`)),
+    '',
+    ...(share.status === 'demo' && report.demo
+      ? [`⚠️ **Demo Data Notice:** Seeded demo prices as of ${report.demo.asOf} (seed ${report.demo.seed}) - not live market data. Do not base investment decisions on this analysis.`, '']
+      : []),
+    ...(options.charts ? [`{{chart:${share.symbol}}}`, ''] : []),
+    '---'
+  ];
+};
+
+const summaryLines = ({ summary }) => [
+  '## Portfolio Strategy Summary',
+  '',
+  summary.text,
+  '',
+  '**Key Considerations:**',
+  ...bullets(summary.considerations),
+  '',
+  '**Recommended Actions:**',
+  ...summary.actions.map(action => `- ${action}`),
+  '',
+  '*This analysis is powered by FinMaster\'s enhanced API integration with improved error handling and fallback mechanisms.*'
+];
+
+// Markdown report. On screen it carries {{badge:...}} and {{chart:...}} directives for the React renderer;
+// pass { badges: false, charts: false } for standard Markdown that any other tool can read.
+export const reportToMarkdown = (report, { badges = true, charts = true } = {}) => {
+  const options = { badges, charts };
+  const sections = [
+    headerLines(report),
+    dataQualityLines(report),
+    currencyLines(report),
+    inputLines(report),
+    recommendationLines(report, options),
+    portfolioLines(report),
+    riskLines(report, options),
+    [
+      '## Detailed Share Analysis',
+      ...(charts ? ['', '{{comparison-chart}}'] : []),
+      '',
+      ...report.shares.flatMap(share => shareLines(share, report, options))
+    ],
+    summaryLines(report)
+  ];
+
+  return sections
+    .filter(lines => lines.length > 0)
+    .map(lines => lines.join('\n'))
+    .join('\n\n');
+};
+
+const REPORT_STYLES = `
+  body { font-family: -apple-system, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #1e293b; margin: 0; background: #fff; }
+  main { max-width: 1100px; margin: 0 auto; padding: 32px; font-size: 14px; line-height: 1.5; }
+  h1 { font-size: 26px; margin: 0 0 8px; }
+  h2 { font-size: 20px; color: #15803d; margin: 28px 0 10px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  h3 { font-size: 16px; margin: 20px 0 8px; }
+  ul { padding-left: 20px; margin: 6px 0; }
+  table { border-collapse: collapse; width: 100%; margin: 12px 0; font-size: 12px; }
+  th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; }
+  hr { border: 0; border-top: 1px solid #e2e8f0; margin: 20px 0; }
+  .badge { display: inline-block; padding: 1px 8px; border-radius: 4px; font-weight: 700; font-size: 12px; }
+  .badge-buy { background: #22c55e; color: #fff; }
+  .badge-hold { background: #3b82f6; color: #fff; }
+  .badge-wait { background: #eab308; color: #000; }
+  .badge-sell { background: #ef4444; color: #fff; }
+  @page { size: A4 landscape; margin: 14mm; }
+  @media print {
+    main { max-width: none; padding: 0; font-size: 11px; }
+    h2, h3 { break-after: avoid; }
+    tr, li { break-inside: avoid; }
+    .badge { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+// Standalone HTML document with inline styles - opens offline and prints cleanly to PDF
+export const reportToHtml = (report) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+${renderMarkdownHtml(reportToMarkdown(report, { charts: false }))}
+</main>
+</body>
+</html>
+`;
+
+// One row per symbol with raw numbers (percentages in percent) rather than display strings
+export const reportToCsv = (report) => {
+  const header = [
+    'Symbol', 'Status', 'Exchange', 'Provider Symbol', 'Sector', 'Industry', 'Currency', 'Price', 'Previous Close',
+    'Day Change %', '52W Low', '52W High', 'Volume', 'Market Cap', 'Trailing P/E', 'Forward P/E', 'EPS', 'Dividend Yield %', 'Beta',
+    ...PERFORMANCE_PERIODS.map(({ key }) => `${key} %`),
+    'Trailing Dividend Yield %', 'Trailing Dividends', 'Last Ex-Date', 'Next Ex-Date (est.)', 'Dividend Growth 1Y %', 'Dividend Growth 3Y %', 'Last Split',
+    'Benchmark', 'Excess Return %', 'Benchmark Beta', 'Correlation', 'Tracking Error %', 'Alpha %',
+    'Volatility %', 'Max Drawdown %', 'Sharpe', 'Sortino', 'Historical VaR %', 'Parametric VaR %',
+    'Base Currency', 'Base Price', 'Recommendation', 'Score', 'Error'
+  ];
+
+  const lines = [header.map(csvCell).join(',')];
+  report.shares.forEach(share => {
+    const metrics = share.metrics || {};
+    const performance = metrics.performance || {};
+    const base = share.base && share.base.isConverted ? share.base : null;
+    const relative = metrics.benchmark || {};
+    const risk = metrics.risk || {};
+    const dividends = metrics.dividends || {};
+
+    lines.push([
+      share.symbol, share.status, share.exchange, share.providerSymbol, share.sector, share.industry, share.currency,
+      metrics.price, metrics.previousClose, metrics.dayChangePercent,
+      metrics.low52Week, metrics.high52Week, metrics.volume, metrics.marketCap,
+      metrics.trailingPE, metrics.forwardPE, metrics.trailingEps, metrics.dividendYield, metrics.beta,
+      ...PERFORMANCE_PERIODS.map(({ key }) => performance[key]),
+      dividends.trailingYield, dividends.trailingAmount, dividends.lastExDate, dividends.nextExDate, dividends.growth1y, dividends.growth3y,
+      dividends.lastSplit ? `${dividends.lastSplit.ratio} ${dividends.lastSplit.date}` : null,
+      relative.symbol, relative.excessReturn, relative.beta, relative.correlation, relative.trackingError, relative.alpha,
+      risk.volatility, risk.maxDrawdown, risk.sharpe, risk.sortino, risk.historicalVar, risk.parametricVar,
+      base ? base.currency : null, base ? base.price : null,
+      share.rating ? share.rating.rating : null, share.rating ? share.rating.score : null,
+      share.error
+    ].map(csvCell).join(','));
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+export const reportToJson = (report) => `${JSON.stringify(report, null, 2)}\n`;
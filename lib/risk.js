@@ -0,0 +1,198 @@
+// /lib/risk.js
+// Risk statistics from historical closes: annualised volatility, maximum drawdown, Sharpe and Sortino ratios,
+// historical and parametric Value at Risk, plus the pairwise correlation matrix for a list of symbols.
+// The whole-list figures treat the symbols as one portfolio rebalanced to fixed weights every period. Returns are
+// total returns (dividend-adjusted closes where the provider sends them), taken in each symbol's own quote currency,
+// so a mixed-currency list ignores exchange-rate moves.
+
+import { totalReturnClose } from './dividends.js';
+import { tradingDate } from './performance.js';
+
+// Periods in a year for each history interval, used to annualise
+export const PERIODS_PER_YEAR = { '1d': 252, '5d': 52, '1wk': 52, '1mo': 12, '3mo': 4 };
+
+// Fewer returns than this give meaningless volatilities and tail estimates
+export const MIN_RISK_OBSERVATIONS = 20;
+
+// One-tailed standard normal quantiles for the supported VaR confidence levels
+export const VAR_Z_SCORES = { 0.9: 1.2816, 0.95: 1.6449, 0.99: 2.3263 };
+export const DEFAULT_CONFIDENCE = 0.95;
+
+const round = (value, decimals = 2) => (value === null || !isFinite(value) ? null : Number(value.toFixed(decimals)));
+const mean = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((total, value) => total + (value - average) ** 2, 0) / (values.length - 1));
+};
+
+// Linear interpolation between the closest ranks, as spreadsheet PERCENTILE does
+const quantile = (values, probability) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * probability;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const correlationOf = (a, b) => {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  a.forEach((value, index) => {
+    covariance += (value - meanA) * (b[index] - meanB);
+    varianceA += (value - meanA) ** 2;
+    varianceB += (b[index] - meanB) ** 2;
+  });
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+};
+
+// Closes for the days every series has one: [{ time, closes: [..] }] in date order. Days are each exchange's own
+// trading date, so an NZX bar stamped the previous evening in UTC pairs with the same session elsewhere.
+const alignCloses = (seriesList) => {
+  const [first, ...others] = seriesList.map(points => new Map(points
+    .filter(point => typeof point.close === 'number' && point.close > 0)
+    .map(point => [tradingDate(point), point])));
+  if (!first) return [];
+
+  return [...first.entries()]
+    .filter(([day]) => others.every(closes => closes.has(day)))
+    .map(([day, point]) => ({ time: point.time, closes: [totalReturnClose(point), ...others.map(closes => totalReturnClose(closes.get(day)))] }))
+    .sort((a, b) => a.time - b.time);
+};
+
+// Per-period simple returns for each series over the aligned days: { times, returns: [[..], ..] }
+const alignedReturns = (seriesList) => {
+  const aligned = alignCloses(seriesList);
+  const returns = seriesList.map(() => []);
+  const times = [];
+  for (let index = 1; index < aligned.length; index++) {
+    times.push(aligned[index].time);
+    aligned[index].closes.forEach((close, series) => {
+      returns[series].push(close / aligned[index - 1].closes[series] - 1);
+    });
+  }
+  return { start: aligned.length > 0 ? aligned[0].time : null, times, returns };
+};
+
+// Statistics for one return series. Percentages are in percent; VaR is the one-period loss (positive number) not
+// exceeded with the given confidence. Sharpe and Sortino are annualised against an annual risk-free rate in percent.
+// Returns { observations, start, end, ... } with nulls when there are fewer than MIN_RISK_OBSERVATIONS returns.
+export const computeReturnStats = (returns, { times = [], start = null, interval = '1d', riskFreeRate = 0, confidence = DEFAULT_CONFIDENCE } = {}) => {
+  const empty = {
+    observations: returns.length,
+    start: start !== null ? new Date(start).toISOString() : null,
+    end: times.length > 0 ? new Date(times[times.length - 1]).toISOString() : null,
+    confidence,
+    annualReturn: null,
+    volatility: null,
+    maxDrawdown: null,
+    drawdownPeak: null,
+    drawdownTrough: null,
+    sharpe: null,
+    sortino: null,
+    historicalVar: null,
+    parametricVar: null
+  };
+  if (returns.length < MIN_RISK_OBSERVATIONS) return empty;
+
+  const periodsPerYear = PERIODS_PER_YEAR[interval] || PERIODS_PER_YEAR['1d'];
+  const riskFreePerPeriod = (1 + riskFreeRate / 100) ** (1 / periodsPerYear) - 1;
+  const average = mean(returns);
+  const deviation = standardDeviation(returns);
+  const downside = Math.sqrt(returns.reduce((total, value) => total + Math.min(0, value - riskFreePerPeriod) ** 2, 0) / returns.length);
+
+  // Walk the growth of 1 unit to find the deepest fall from a running peak
+  let wealth = 1;
+  let peak = { wealth: 1, time: start };
+  let maxDrawdown = 0;
+  let drawdownPeak = null;
+  let drawdownTrough = null;
+  returns.forEach((value, index) => {
+    wealth *= 1 + value;
+    if (wealth > peak.wealth) {
+      peak = { wealth, time: times[index] };
+    } else if (wealth / peak.wealth - 1 < maxDrawdown) {
+      maxDrawdown = wealth / peak.wealth - 1;
+      drawdownPeak = peak.time;
+      drawdownTrough = times[index];
+    }
+  });
+
+  const z = VAR_Z_SCORES[confidence] || VAR_Z_SCORES[DEFAULT_CONFIDENCE];
+  const toIso = (time) => (time !== null && time !== undefined ? new Date(time).toISOString() : null);
+
+  return {
+    ...empty,
+    annualReturn: round(((wealth ** (periodsPerYear / returns.length)) - 1) * 100),
+    volatility: round(deviation * Math.sqrt(periodsPerYear) * 100),
+    maxDrawdown: round(maxDrawdown * 100),
+    drawdownPeak: toIso(drawdownPeak),
+    drawdownTrough: toIso(drawdownTrough),
+    sharpe: deviation > 0 ? round((average - riskFreePerPeriod) / deviation * Math.sqrt(periodsPerYear)) : null,
+    sortino: downside > 0 ? round((average - riskFreePerPeriod) / downside * Math.sqrt(periodsPerYear)) : null,
+    historicalVar: round(Math.max(0, -quantile(returns, 1 - confidence)) * 100),
+    parametricVar: round(Math.max(0, z * deviation - average) * 100)
+  };
+};
+
+// Statistics for one symbol's price history
+export const computeRiskStats = (points, options = {}) => {
+  const { start, times, returns } = alignedReturns([points]);
+  return computeReturnStats(returns[0], { ...options, start, times });
+};
+
+// Pairwise correlation of period returns, each pair over the days both symbols traded.
+// Returns { symbols, matrix } with matrix[i][j] rounded to 2 decimals, null where the overlap is too short.
+export const correlationMatrix = (pointsBySymbol) => {
+  const symbols = Object.keys(pointsBySymbol);
+  const matrix = symbols.map(() => symbols.map(() => null));
+
+  symbols.forEach((a, i) => {
+    matrix[i][i] = 1;
+    for (let j = i + 1; j < symbols.length; j++) {
+      const { returns } = alignedReturns([pointsBySymbol[a], pointsBySymbol[symbols[j]]]);
+      const value = returns[0].length >= MIN_RISK_OBSERVATIONS ? round(correlationOf(returns[0], returns[1])) : null;
+      matrix[i][j] = value;
+      matrix[j][i] = value;
+    }
+  });
+
+  return { symbols, matrix };
+};
+
+// Weights normalised to sum to 1 over the given symbols; missing or non-positive weights mean equal weighting
+export const normaliseWeights = (symbols, weights = {}) => {
+  const given = symbols.map(symbol => (typeof weights[symbol] === 'number' && weights[symbol] > 0 ? weights[symbol] : 0));
+  const total = given.reduce((sum, weight) => sum + weight, 0);
+  const result = {};
+  symbols.forEach((symbol, index) => {
+    result[symbol] = total > 0 ? given[index] / total : 1 / symbols.length;
+  });
+  return result;
+};
+
+// Per-symbol statistics, the whole list as a fixed-weight portfolio over the days every symbol traded, and the
+// correlation matrix. pointsBySymbol is { [symbol]: snapshot points }; weights is { [symbol]: weight }.
+export const analyseRisk = (pointsBySymbol, { weights = {}, ...options } = {}) => {
+  const symbols = Object.keys(pointsBySymbol);
+  const results = {};
+  symbols.forEach(symbol => {
+    results[symbol] = computeRiskStats(pointsBySymbol[symbol], options);
+  });
+
+  let portfolio = null;
+  if (symbols.length > 0) {
+    const normalised = normaliseWeights(symbols, weights);
+    const { start, times, returns } = alignedReturns(symbols.map(symbol => pointsBySymbol[symbol]));
+    const combined = times.map((time, index) => symbols.reduce((total, symbol, series) => total + normalised[symbol] * returns[series][index], 0));
+    portfolio = {
+      weights: Object.fromEntries(symbols.map(symbol => [symbol, round(normalised[symbol] * 100)])),
+      ...computeReturnStats(combined, { ...options, start, times })
+    };
+  }
+
+  return { results, portfolio, correlation: correlationMatrix(pointsBySymbol) };
+};
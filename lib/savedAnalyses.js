@@ -0,0 +1,134 @@
+// /lib/savedAnalyses.js
+// History of generated analyses kept in browser storage, and the diff between two reports.
+// Each entry stores the structured report (see lib/report.js) together with the inputs that produced it,
+// so it can be reopened exactly as generated, re-run against today's prices, or compared with another run.
+
+import { escapeMarkdown } from './markdown.js';
+
+export const MAX_SAVED_ANALYSES = 25;
+
+const newId = () => `an-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Reports for "the same watchlist" share a key: input mode plus the sorted canonical symbols
+export const analysisKey = (report) => `${report.input.mode}:${[...report.input.cleaned].sort().join(',')}`;
+
+// inputs: { mode, shareList, holdingsText, baseCurrency, demoMode, watchlistName }
+export const createSavedAnalysis = (report, inputs) => ({
+  id: newId(),
+  savedAt: report.generatedAt,
+  key: analysisKey(report),
+  label: inputs.watchlistName || report.input.cleaned.join(', '),
+  inputs,
+  // The price snapshot the report was built from, for listing without opening the report
+  prices: report.shares.map(share => ({
+    symbol: share.symbol,
+    status: share.status,
+    currency: share.currency || null,
+    price: share.metrics ? share.metrics.price : null,
+    rating: share.rating ? share.rating.rating : null
+  })),
+  report
+});
+
+// Newest first, capped so browser storage stays well inside its quota
+export const addSavedAnalysis = (entries, entry, max = MAX_SAVED_ANALYSES) => [entry, ...entries].slice(0, max);
+
+export const removeSavedAnalysis = (entries, id) => entries.filter(entry => entry.id !== id);
+
+export const sanitizeSavedAnalyses = (value) => (Array.isArray(value) ? value : [])
+  .filter(entry => entry && typeof entry.id === 'string' && entry.report && Array.isArray(entry.report.shares))
+  .sort((a, b) => (a.savedAt < b.savedAt ? 1 : a.savedAt > b.savedAt ? -1 : 0));
+
+const priceOf = (share) => (share && share.status !== 'error' && share.metrics && typeof share.metrics.price === 'number' ? share.metrics.price : null);
+const ratingOf = (share) => (share && share.rating ? share.rating.rating : null);
+const scoreOf = (share) => (share && share.rating ? share.rating.score : null);
+const rulesOf = (share) => (share && share.rating ? share.rating.rules : []);
+
+// Per-symbol changes from the earlier report to the later one:
+// { from, to, rows: [{ symbol, presence, currency, price, rating, score, status, rules }], ratingChanges, added, removed }
+export const diffReports = (earlier, later) => {
+  const before = new Map(earlier.shares.map(share => [share.symbol, share]));
+  const after = new Map(later.shares.map(share => [share.symbol, share]));
+  const symbols = [...new Set([...before.keys(), ...after.keys()])];
+
+  const rows = symbols.map(symbol => {
+    const from = before.get(symbol);
+    const to = after.get(symbol);
+    const priceFrom = priceOf(from);
+    const priceTo = priceOf(to);
+    const ruleIdsFrom = new Set(rulesOf(from).map(rule => rule.id));
+    const ruleIdsTo = new Set(rulesOf(to).map(rule => rule.id));
+
+    return {
+      symbol,
+      presence: !from ? 'added' : !to ? 'removed' : 'both',
+      currency: (to && to.currency) || (from && from.currency) || null,
+      price: {
+        from: priceFrom,
+        to: priceTo,
+        changePercent: priceFrom && priceTo !== null ? ((priceTo - priceFrom) / priceFrom) * 100 : null
+      },
+      rating: { from: ratingOf(from), to: ratingOf(to), changed: Boolean(from && to) && ratingOf(from) !== ratingOf(to) },
+      score: { from: scoreOf(from), to: scoreOf(to) },
+      status: { from: from ? from.status : null, to: to ? to.status : null },
+      rules: {
+        added: rulesOf(to).filter(rule => !ruleIdsFrom.has(rule.id)).map(rule => rule.label),
+        removed: rulesOf(from).filter(rule => !ruleIdsTo.has(rule.id)).map(rule => rule.label)
+      }
+    };
+  });
+
+  return {
+    from: earlier.generatedAt,
+    to: later.generatedAt,
+    rows,
+    ratingChanges: rows.filter(row => row.rating.changed).length,
+    added: rows.filter(row => row.presence === 'added').map(row => row.symbol),
+    removed: rows.filter(row => row.presence === 'removed').map(row => row.symbol)
+  };
+};
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+// Markdown for the comparison view, in the same dialect as the report (badges render in MarkdownReport)
+export const diffToMarkdown = (diff, { badges = true } = {}) => {
+  const money = (row, value) => (value === null ? 'N/A' : `${row.currency || ''} ${value.toFixed(2)}`.trim());
+  const rating = (value) => (!value ? 'N/A' : badges ? `{{badge:${value}}}` : `**${value}**`);
+  const score = (value) => (value === null ? 'N/A' : signed(value));
+  const ruleChanges = diff.rows.filter(row => row.rules.added.length > 0 || row.rules.removed.length > 0);
+
+  return [
+    '# Report Comparison',
+    `*Earlier: ${new Date(diff.from).toLocaleString()} | Later: ${new Date(diff.to).toLocaleString()}*`,
+    '',
+    '## Summary',
+    `• **Symbols Compared**: ${diff.rows.length}`,
+    `• **Rating Changes**: ${diff.ratingChanges}`,
+    `• **Added Since Earlier Report**: ${diff.added.length > 0 ? diff.added.join(', ') : 'None'}`,
+    `• **Removed Since Earlier Report**: ${diff.removed.length > 0 ? diff.removed.join(', ') : 'None'}`,
+    '',
+    '## Price & Rating Changes',
+    '',
+    '| **Share** | **Earlier Price** | **Later Price** | **Change** | **Earlier Rating** | **Later Rating** | **Score** |',
+    '|-----------|-------------------|-----------------|------------|--------------------|------------------|-----------|',
+    ...diff.rows.map(row => [
+      `**${row.symbol}**${row.rating.changed ? ' 🔄' : ''}`,
+      money(row, row.price.from),
+      money(row, row.price.to),
+      row.price.changePercent === null ? 'N/A' : `${signed(row.price.changePercent.toFixed(2))}%`,
+      rating(row.rating.from),
+      rating(row.rating.to),
+      `${score(row.score.from)} → ${score(row.score.to)}`
+    ].join(' | ')).map(line => `| ${line} |`),
+    '',
+    '## Rating Rule Changes',
+    ...(ruleChanges.length > 0
+      ? ruleChanges.flatMap(row => [
+        '',
+        `### ${row.symbol}`,
+        ...row.rules.added.map(label => `• Now firing: ${escapeMarkdown(label)}`),
+        ...row.rules.removed.map(label => `• No longer firing: ${escapeMarkdown(label)}`)
+      ])
+      : ['• No rule changes between the two reports'])
+  ].join('\n');
+};
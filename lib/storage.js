@@ -0,0 +1,98 @@
+// /lib/storage.js
+// Browser persistence for watchlists, API settings, saved analyses and price alerts.
+//
+// Adapter interface (all methods async so an IndexedDB-backed store can be dropped in):
+//   get(key)          -> stored value | null
+//   set(key, value)   -> stores a JSON-serialisable value, throws when the store is full
+//   delete(key)
+// The default adapter wraps window.localStorage and falls back to memory where it is unavailable
+// (private browsing, server-side rendering, Node). Keys carry a version so a later shape change can migrate.
+
+export const STORAGE_KEYS = {
+  watchlists: 'finmaster:v1:watchlists',
+  settings: 'finmaster:v1:settings',
+  analyses: 'finmaster:v1:analyses',
+  alerts: 'finmaster:v1:alerts',
+  alertLog: 'finmaster:v1:alert-log'
+};
+
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      return entries.has(key) ? JSON.parse(entries.get(key)) : null;
+    },
+    async set(key, value) {
+      entries.set(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+export const createLocalStorageStore = (storage) => ({
+  name: 'localStorage',
+  async get(key) {
+    const text = storage.getItem(key);
+    return text === null ? null : JSON.parse(text);
+  },
+  async set(key, value) {
+    storage.setItem(key, JSON.stringify(value));
+  },
+  async delete(key) {
+    storage.removeItem(key);
+  }
+});
+
+// Accessing localStorage throws in some sandboxed iframes, so probe it once
+const detectLocalStorage = () => {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) return null;
+    const probe = '__finmaster_probe__';
+    window.localStorage.setItem(probe, probe);
+    window.localStorage.removeItem(probe);
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+};
+
+let adapter = null;
+
+export const getStorageAdapter = () => {
+  if (!adapter) {
+    const storage = detectLocalStorage();
+    adapter = storage ? createLocalStorageStore(storage) : createMemoryStore();
+  }
+  return adapter;
+};
+
+// Swap the backing store, e.g. setStorageAdapter(createIndexedDbStore(db))
+export const setStorageAdapter = (nextAdapter) => {
+  adapter = nextAdapter;
+};
+
+// Read a value, returning fallback when it is missing or unreadable (corrupt JSON is treated as missing)
+export const loadState = async (key, fallback) => {
+  try {
+    const value = await getStorageAdapter().get(key);
+    return value === null || value === undefined ? fallback : value;
+  } catch (error) {
+    console.warn(`Could not read ${key} from ${getStorageAdapter().name}:`, error.message);
+    return fallback;
+  }
+};
+
+// Resolves to true when the value was stored; quota and permission errors are logged, not thrown
+export const saveState = async (key, value) => {
+  try {
+    await getStorageAdapter().set(key, value);
+    return true;
+  } catch (error) {
+    console.warn(`Could not save ${key} to ${getStorageAdapter().name}:`, error.message);
+    return false;
+  }
+};
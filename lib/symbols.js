@@ -0,0 +1,126 @@
+// /lib/symbols.js
+// Symbol grammar shared by the API handlers and the FinMaster UI.
+// Classifies each input as equity, index, fx, crypto or future and returns structured diagnostics for rejects.
+//
+//   AAPL, F, BRK.B, BF-B        US equities, incl. single-letter and class shares (Yahoo: BRK-B)
+//   JSE:STXRES, LON:BT.A        exchange-prefixed equities (Yahoo: STXRES.JO, BT-A.L)
+//   STXRES.JO, 0700.HK, 7203.T  Yahoo suffix form, incl. numeric HKEX/Tokyo/Korea codes
+//   ^GSPC, ^J203.JO             indices
+//   EURUSD=X, EUR/USD, JPY=X    FX pairs
+//   BTC-USD, ETH-EUR            crypto
+//   ES=F, GC=F                  futures
+
+import { findExchangeByPrefix, findExchangeBySuffix } from './exchanges.js';
+
+export const INSTRUMENT_TYPES = ['equity', 'index', 'fx', 'crypto', 'future'];
+
+const MAX_LENGTH = 24;
+const CRYPTO_QUOTES = ['USD', 'USDT', 'USDC', 'EUR', 'GBP', 'ZAR', 'JPY', 'AUD', 'CAD', 'BTC', 'ETH'];
+
+const INDEX_PATTERN = /^\^[A-Z0-9][A-Z0-9.\-]{0,11}$/;
+const FX_PATTERN = /^([A-Z]{3})?[A-Z]{3}=X$/;
+const FX_SLASH_PATTERN = /^([A-Z]{3})\/([A-Z]{3})$/;
+const FUTURE_PATTERN = /^[A-Z0-9]{1,6}=F$/;
+const CRYPTO_PATTERN = /^([A-Z0-9]{2,10})-([A-Z]{3,4})$/;
+// Letters or digits, optionally followed by a single share-class letter (BRK.B, BRK-B, BT.A)
+const TICKER_PATTERN = /^([A-Z0-9]{1,10})(?:[.\-]([A-Z]))?$/;
+
+const reject = (input, code, message) => ({ ok: false, input, code, message });
+
+const accept = (input, fields) => ({ ok: true, input, shareClass: null, exchange: null, ...fields });
+
+// Yahoo wants class shares dash-separated (BRK-B, BT-A.L) and HKEX codes zero-padded to four digits
+const providerTicker = (base, shareClass, exchange) => {
+  const padded = exchange && exchange.code === 'HKEX' && /^\d+$/.test(base) ? base.padStart(4, '0') : base;
+  return shareClass ? `${padded}-${shareClass}` : padded;
+};
+
+const displayTicker = (base, shareClass, exchange) => {
+  const padded = exchange && exchange.code === 'HKEX' && /^\d+$/.test(base) ? base.padStart(4, '0') : base;
+  return shareClass ? `${padded}.${shareClass}` : padded;
+};
+
+// Equity ticker (without any exchange prefix/suffix) on a given exchange; a null or suffix-less exchange means a US listing
+const parseEquity = (input, tickerText, exchange) => {
+  const match = tickerText.match(TICKER_PATTERN);
+  if (!match) {
+    return reject(input, 'INVALID_FORMAT', `"${tickerText}" is not a valid ticker - use letters/digits with an optional class letter (BRK.B)`);
+  }
+
+  const [, base, shareClass = null] = match;
+  const suffix = exchange ? exchange.suffix : '';
+
+  if (!suffix && /^\d+$/.test(base)) {
+    return reject(input, 'MISSING_EXCHANGE', `Numeric code ${base} needs an exchange, e.g. ${base}.HK or HKEX:${base}`);
+  }
+  if (!suffix && base.length > 5) {
+    return reject(input, 'INVALID_FORMAT', `US tickers are 1-5 letters (got ${base}) - add an exchange prefix for other markets`);
+  }
+
+  const ticker = displayTicker(base, shareClass, exchange);
+
+  return accept(input, {
+    type: 'equity',
+    ticker,
+    shareClass,
+    exchange,
+    canonical: suffix ? `${exchange.code}:${ticker}` : ticker,
+    provider: `${providerTicker(base, shareClass, exchange)}${suffix}`
+  });
+};
+
+// Returns { ok: true, input, type, ticker, shareClass, exchange, canonical, provider }
+//      or { ok: false, input, code, message }
+// The accepted shape is a superset of exchanges.resolveSymbol() so it can be used wherever that is.
+export const parseSymbol = (rawInput) => {
+  if (typeof rawInput !== 'string') return reject(String(rawInput), 'EMPTY', 'Symbol is required');
+
+  const input = rawInput.trim();
+  const cleaned = input.replace(/['"\s]/g, '').toUpperCase();
+
+  if (cleaned.length === 0) return reject(input, 'EMPTY', 'Symbol is required');
+  if (cleaned.length > MAX_LENGTH) return reject(input, 'TOO_LONG', `Symbols are at most ${MAX_LENGTH} characters`);
+  if (/[^A-Z0-9.:\-^=/]/.test(cleaned)) {
+    return reject(input, 'INVALID_CHARACTERS', 'Only letters, digits and . : - ^ = / are allowed');
+  }
+
+  if (cleaned.startsWith('^')) {
+    if (!INDEX_PATTERN.test(cleaned)) return reject(input, 'INVALID_FORMAT', `"${cleaned}" is not a valid index symbol (e.g. ^GSPC)`);
+    const dotIndex = cleaned.lastIndexOf('.');
+    const exchange = dotIndex > 0 ? findExchangeBySuffix(cleaned.slice(dotIndex)) : null;
+    return accept(input, { type: 'index', ticker: cleaned, exchange, canonical: cleaned, provider: cleaned });
+  }
+
+  const slashMatch = cleaned.match(FX_SLASH_PATTERN);
+  if (slashMatch || FX_PATTERN.test(cleaned)) {
+    const pair = slashMatch ? `${slashMatch[1]}${slashMatch[2]}=X` : cleaned;
+    return accept(input, { type: 'fx', ticker: pair.replace('=X', ''), canonical: pair, provider: pair });
+  }
+
+  if (FUTURE_PATTERN.test(cleaned)) {
+    return accept(input, { type: 'future', ticker: cleaned.replace('=F', ''), canonical: cleaned, provider: cleaned });
+  }
+
+  const cryptoMatch = cleaned.match(CRYPTO_PATTERN);
+  if (cryptoMatch && CRYPTO_QUOTES.includes(cryptoMatch[2])) {
+    return accept(input, { type: 'crypto', ticker: cleaned, canonical: cleaned, provider: cleaned });
+  }
+
+  // Prefix form: JSE:STXRES, HKEX:700, NYSE:BRK.B
+  const colonIndex = cleaned.indexOf(':');
+  if (colonIndex !== -1) {
+    const prefix = cleaned.slice(0, colonIndex);
+    const exchange = findExchangeByPrefix(prefix);
+    if (!exchange) return reject(input, 'UNKNOWN_EXCHANGE', `Unknown exchange prefix: ${prefix}`);
+    return parseEquity(input, cleaned.slice(colonIndex + 1), exchange);
+  }
+
+  // Suffix form: STXRES.JO, 0700.HK, BT-A.L - a trailing part that is not a known suffix is a share class (BRK.B)
+  const dotIndex = cleaned.lastIndexOf('.');
+  if (dotIndex > 0) {
+    const exchange = findExchangeBySuffix(cleaned.slice(dotIndex));
+    if (exchange) return parseEquity(input, cleaned.slice(0, dotIndex), exchange);
+  }
+
+  return parseEquity(input, cleaned, null);
+};
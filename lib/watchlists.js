@@ -0,0 +1,48 @@
+// /lib/watchlists.js
+// Named watchlists kept in browser storage: [{ id, name, mode, shareList, holdingsText, baseCurrency, createdAt, updatedAt }]
+// mode is 'watchlist' (shareList holds the symbols) or 'portfolio' (holdingsText holds the pasted holdings).
+// All helpers are pure and return a new list, most recently updated first.
+
+export const MAX_WATCHLIST_NAME_LENGTH = 60;
+export const MAX_WATCHLISTS = 50;
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Returns { name } or { message } describing why the name cannot be used
+export const validateWatchlistName = (raw) => {
+  const name = typeof raw === 'string' ? raw.trim().replace(/\s+/g, ' ') : '';
+
+  if (!name) return { message: 'Give the watchlist a name' };
+  if (name.length > MAX_WATCHLIST_NAME_LENGTH) {
+    return { message: `Watchlist names are limited to ${MAX_WATCHLIST_NAME_LENGTH} characters` };
+  }
+  return { name };
+};
+
+const byUpdatedAt = (a, b) => (a.updatedAt < b.updatedAt ? 1 : a.updatedAt > b.updatedAt ? -1 : 0);
+
+// Saving under an existing name (case-insensitive) overwrites that watchlist; returns { watchlists, watchlist }
+export const upsertWatchlist = (watchlists, { name, mode = 'watchlist', shareList = '', holdingsText = '', baseCurrency = 'USD' }, now = new Date()) => {
+  const timestamp = now.toISOString();
+  const existing = watchlists.find(item => item.name.toLowerCase() === name.toLowerCase());
+  const watchlist = {
+    id: existing ? existing.id : newId('wl'),
+    name,
+    mode,
+    shareList,
+    holdingsText,
+    baseCurrency,
+    createdAt: existing ? existing.createdAt : timestamp,
+    updatedAt: timestamp
+  };
+
+  const others = watchlists.filter(item => item.id !== watchlist.id);
+  return { watchlists: [watchlist, ...others].sort(byUpdatedAt).slice(0, MAX_WATCHLISTS), watchlist };
+};
+
+export const removeWatchlist = (watchlists, id) => watchlists.filter(item => item.id !== id);
+
+// Drop entries that do not look like watchlists (e.g. hand-edited storage)
+export const sanitizeWatchlists = (value) => (Array.isArray(value) ? value : [])
+  .filter(item => item && typeof item.id === 'string' && typeof item.name === 'string')
+  .sort(byUpdatedAt);